@@ -0,0 +1,144 @@
+import { AssetRegistry } from '../world/AssetRegistry.js';
+import { LowPolyTree } from './LowPolyTree.js';
+import { LowPolyRock } from './LowPolyRock.js';
+import { LowPolyBush } from './LowPolyBush.js';
+import { LowPolyBuilding } from './LowPolyBuilding.js';
+import { LowPolyApartment } from './LowPolyApartment.js';
+import { LowPolyRoad } from './LowPolyRoad.js';
+import { LowPolyMegaRock } from './LowPolyMegaRock.js';
+
+// The assets every world has. Scattered types come first, most important
+// first (see AssetRegistry): apartments and buildings keep their place over
+// trees, and trees over rocks and bushes.
+export function createDefaultAssets() {
+  const assets = new AssetRegistry();
+  
+  assets.register('apartment', {
+    factory: random => new LowPolyApartment(random),
+    merged: true,
+    clearedByRoads: true,
+    tags: ['building', 'walkable'], // Flat roofs
+    spawn: {
+      density: 'apartmentDensity',
+      radius: 10,
+      minHeight: 0.5,
+      maxSlope: 15,
+      flatness: { radius: 10, maxRise: 0.3 },
+      chunkChance: 0.5,
+      biomes: {
+        plains: { density: 1.5, scale: [0.8, 1.2] },
+        forest: { density: 0.3, scale: [0.8, 1.2] },
+        desert: { density: 0.2, scale: [0.8, 1.2] },
+        tundra: { density: 0.2, scale: [0.8, 1.2] },
+        alpine: { density: 0.1, scale: [0.8, 1.2] }
+      }
+    }
+  });
+  
+  assets.register('building', {
+    factory: random => new LowPolyBuilding(random),
+    merged: true,
+    clearedByRoads: true,
+    tags: ['building'],
+    spawn: {
+      density: 'buildingDensity',
+      radius: 5,
+      minHeight: 0.5,
+      maxSlope: 20,
+      flatness: { radius: 5, maxRise: 0.5 },
+      cluster: { scale: 200, strength: 0.5 },
+      villages: true, // Its patches are the villages roads join
+      biomes: {
+        plains: { density: 1.5, scale: [0.8, 1.2] },
+        forest: { density: 0.4, scale: [0.8, 1.2] },
+        desert: { density: 0.3, scale: [0.8, 1.2] },
+        tundra: { density: 0.3, scale: [0.8, 1.2] },
+        swamp: { density: 0.1, scale: [0.8, 1.2] },
+        alpine: { density: 0.2, scale: [0.8, 1.2] }
+      }
+    }
+  });
+  
+  assets.register('tree', {
+    factory: random => new LowPolyTree(random),
+    clearedByRoads: true,
+    tags: ['vegetation'],
+    spawn: {
+      density: 'treeDensity',
+      radius: 1,
+      minHeight: 0.45,
+      maxSlope: 35,
+      cluster: { scale: 90, strength: 0.9 }, // Forests and clearings
+      biomes: {
+        plains: { density: 0.4, scale: [0.8, 1.2] },
+        forest: { density: 2.5, scale: [0.9, 1.4] },
+        desert: { density: 0.05, scale: [0.6, 0.9] },
+        tundra: { density: 0.3, scale: [0.5, 0.8] },
+        swamp: { density: 1.0, scale: [0.7, 1.1] },
+        alpine: { density: 0.6, scale: [0.7, 1.1] }
+      }
+    }
+  });
+  
+  assets.register('rock', {
+    factory: random => new LowPolyRock(random),
+    clearedByRoads: true,
+    tags: ['rock'],
+    spawn: {
+      density: 'rockDensity',
+      radius: 0.8,
+      minHeight: 0.3,
+      maxSlope: 50,
+      cluster: { scale: 40, strength: 0.5 },
+      biomes: {
+        plains: { density: 0.6, scale: [0.8, 1.2] },
+        forest: { density: 0.8, scale: [0.8, 1.2] },
+        desert: { density: 1.5, scale: [0.9, 1.6] },
+        tundra: { density: 1.5, scale: [0.8, 1.3] },
+        swamp: { density: 0.2, scale: [0.6, 1.0] },
+        alpine: { density: 2.0, scale: [0.9, 1.5] }
+      }
+    }
+  });
+  
+  assets.register('bush', {
+    factory: random => new LowPolyBush(random),
+    clearedByRoads: true,
+    tags: ['vegetation'],
+    spawn: {
+      density: 'bushDensity',
+      radius: 0.6,
+      minHeight: 0.45,
+      maxSlope: 40,
+      cluster: { scale: 30, strength: 0.6 }, // Groves
+      biomes: {
+        plains: { density: 1.0, scale: [0.8, 1.2] },
+        forest: { density: 1.5, scale: [0.8, 1.3] },
+        desert: { density: 0.3, scale: [0.5, 0.8] },
+        tundra: { density: 0.3, scale: [0.5, 0.8] },
+        swamp: { density: 2.0, scale: [0.9, 1.4] },
+        alpine: { density: 0.5, scale: [0.6, 1.0] }
+      }
+    }
+  });
+  
+  // Placed by PlacementPlanner, one per mega rock chunk
+  assets.register('megarock', {
+    factory: random => new LowPolyMegaRock(random),
+    tags: ['rock', 'walkable', 'climbable']
+  });
+  
+  // Town roads, laid out by PlacementPlanner
+  assets.register('road', {
+    factory: random => new LowPolyRoad(random),
+    create: (factory, { x, y, z, rotation }) => factory.createStraight(x, y, z, rotation),
+    tags: ['road']
+  });
+  assets.register('intersection', {
+    factory: 'road',
+    create: (factory, { x, y, z }) => factory.createIntersection(x, y, z),
+    tags: ['road']
+  });
+  
+  return assets;
+}
@@ -1,7 +1,11 @@
 import * as THREE from 'three';
+import { BoxCollider } from '../world/Colliders.js';
 
 export class LowPolyApartment {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
+    
     // Pre-create building parts for better performance
     this.createApartmentParts();
   }
@@ -89,13 +93,38 @@ export class LowPolyApartment {
     return geometry;
   }
   
-  create(x, y, z) {
+  create(x, y, z, random = this.random) {
+    // Select building style
+    const buildingType = Math.floor(random.random() * 3);
+    const apartment = this.createType(buildingType, random);
+    apartment.userData.impostor = { variant: `apartment:${buildingType}` };
+    
+    // Position apartment in world
+    apartment.position.set(x, y, z);
+    
+    // Random rotation (4 cardinal directions)
+    apartment.rotation.y = Math.PI * 0.5 * Math.floor(random.random() * 4);
+    
+    return apartment;
+  }
+  
+  // Collider of a placed apartment: the box around its walls and roof
+  createCollider(apartment) {
+    return BoxCollider.fromObject(apartment);
+  }
+  
+  // Apartments to bake impostor sprites from (see ImpostorAtlas), one per style
+  getImpostorVariants(random) {
+    return [0, 1, 2].map(buildingType => [`apartment:${buildingType}`, this.createType(buildingType, random)]);
+  }
+  
+  // Create an apartment building of a style at the origin. Windows and the
+  // entrance are marked userData.detail, to be left out in the mid-range level
+  // of detail.
+  createType(buildingType, random) {
     // Create a group for the apartment building
     const apartment = new THREE.Group();
     
-    // Select building style
-    const buildingType = Math.floor(Math.random() * 3);
-    
     // Create the main building structure
     const baseGeometry = this.baseGeometries[buildingType].clone();
     
@@ -107,13 +136,13 @@ export class LowPolyApartment {
     ];
     
     // Select random color from the palette
-    const colorIndex = Math.floor(Math.random() * buildingColors.length);
+    const colorIndex = Math.floor(random.random() * buildingColors.length);
     const buildingColor = new THREE.Color(buildingColors[colorIndex]);
     
     // Slightly randomize color
-    buildingColor.r += (Math.random() - 0.5) * 0.05;
-    buildingColor.g += (Math.random() - 0.5) * 0.05;
-    buildingColor.b += (Math.random() - 0.5) * 0.05;
+    buildingColor.r += (random.random() - 0.5) * 0.05;
+    buildingColor.g += (random.random() - 0.5) * 0.05;
+    buildingColor.b += (random.random() - 0.5) * 0.05;
     
     // Create material
     const buildingMaterial = new THREE.MeshStandardMaterial({
@@ -173,22 +202,16 @@ export class LowPolyApartment {
     apartment.add(roof);
     
     // Add windows in a grid pattern
-    this.addWindowGrid(apartment, buildingType);
+    this.addWindowGrid(apartment, buildingType, random);
     
     // Add entrance
     this.addEntrance(apartment, buildingType);
     
-    // Position apartment in world
-    apartment.position.set(x, y, z);
-    
-    // Random rotation (4 cardinal directions)
-    apartment.rotation.y = Math.PI * 0.5 * Math.floor(Math.random() * 4);
-    
     return apartment;
   }
   
   // Add grid of windows
-  addWindowGrid(apartment, buildingType) {
+  addWindowGrid(apartment, buildingType, random) {
     // Window material
     const windowMaterial = new THREE.MeshStandardMaterial({
       color: 0x6a8fc2, // Blue-ish window color
@@ -274,7 +297,7 @@ export class LowPolyApartment {
           }
           
           // Create window with random chance to be lit
-          const useLight = Math.random() > 0.7;
+          const useLight = random.random() > 0.7;
           const material = useLight ? litWindowMaterial : windowMaterial;
           const window = new THREE.Mesh(windowGeometry, material);
           
@@ -286,6 +309,7 @@ export class LowPolyApartment {
           window.position.x += Math.cos(rotation) * 0.01;
           window.position.z += Math.sin(rotation) * 0.01;
           
+          window.userData.detail = true;
           apartment.add(window);
         }
       }
@@ -321,6 +345,7 @@ export class LowPolyApartment {
         break;
     }
     
+    door.userData.detail = true;
     apartment.add(door);
     
     // Add steps/entrance platform
@@ -332,6 +357,7 @@ export class LowPolyApartment {
     
     const step = new THREE.Mesh(stepGeometry, stepMaterial);
     step.position.set(door.position.x, 0.1, door.position.z - 0.6);
+    step.userData.detail = true;
     apartment.add(step);
   }
 } 
\ No newline at end of file
@@ -1,7 +1,11 @@
 import * as THREE from 'three';
+import { BoxCollider } from '../world/Colliders.js';
 
 export class LowPolyBuilding {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
+    
     // Pre-create common building parts
     this.createBuildingParts();
   }
@@ -68,13 +72,37 @@ export class LowPolyBuilding {
     return geometry;
   }
   
-  create(x, y, z) {
+  create(x, y, z, random = this.random) {
+    // Select building style based on pseudo-random choice
+    const buildingType = Math.floor(random.random() * 3);
+    const building = this.createType(buildingType, random);
+    building.userData.impostor = { variant: `building:${buildingType}` };
+    
+    // Position building in world
+    building.position.set(x, y, z);
+    
+    // Random rotation
+    building.rotation.y = Math.PI * 0.5 * Math.floor(random.random() * 4);
+    
+    return building;
+  }
+  
+  // Collider of a placed building: the box around its walls and roof
+  createCollider(building) {
+    return BoxCollider.fromObject(building);
+  }
+  
+  // Buildings to bake impostor sprites from (see ImpostorAtlas), one per style
+  getImpostorVariants(random) {
+    return [0, 1, 2].map(buildingType => [`building:${buildingType}`, this.createType(buildingType, random)]);
+  }
+  
+  // Create a building of a style at the origin. Doors and windows are marked
+  // userData.detail, to be left out in the mid-range level of detail.
+  createType(buildingType, random) {
     // Create a group for the building
     const building = new THREE.Group();
     
-    // Select building style based on pseudo-random choice
-    const buildingType = Math.floor(Math.random() * 3);
-    
     // Create the main building structure
     const baseGeometry = this.baseGeometries[buildingType].clone();
     
@@ -96,9 +124,9 @@ export class LowPolyBuilding {
     }
     
     // Slightly randomize color
-    buildingColor.r += (Math.random() - 0.5) * 0.1;
-    buildingColor.g += (Math.random() - 0.5) * 0.1;
-    buildingColor.b += (Math.random() - 0.5) * 0.1;
+    buildingColor.r += (random.random() - 0.5) * 0.1;
+    buildingColor.g += (random.random() - 0.5) * 0.1;
+    buildingColor.b += (random.random() - 0.5) * 0.1;
     
     // Create material
     const buildingMaterial = new THREE.MeshStandardMaterial({
@@ -135,12 +163,6 @@ export class LowPolyBuilding {
     // Add windows
     this.addWindows(building, buildingType);
     
-    // Position building in world
-    building.position.set(x, y, z);
-    
-    // Random rotation
-    building.rotation.y = Math.PI * 0.5 * Math.floor(Math.random() * 4);
-    
     return building;
   }
   
@@ -187,6 +209,7 @@ export class LowPolyBuilding {
     
     const door = new THREE.Mesh(doorGeometry, doorMaterial);
     door.position.set(doorX, doorY, doorZ);
+    door.userData.detail = true;
     building.add(door);
   }
   
@@ -236,6 +259,7 @@ export class LowPolyBuilding {
       const window = new THREE.Mesh(windowGeometry, windowMaterial);
       window.position.set(pos.x, pos.y, pos.z);
       window.rotation.y = pos.rotY;
+      window.userData.detail = true;
       building.add(window);
     });
   }
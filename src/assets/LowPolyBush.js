@@ -1,7 +1,13 @@
 import * as THREE from 'three';
+import { InstancedObject } from '../world/InstancedObject.js';
+import { ResourceTracker } from '../world/ResourceTracker.js';
+import { CircleCollider } from '../world/Colliders.js';
 
 export class LowPolyBush {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
+    
     // Bush geometries for variety
     this.bushGeometries = [
       new THREE.IcosahedronGeometry(0.5, 0),
@@ -18,74 +24,94 @@ export class LowPolyBush {
         vertex.fromBufferAttribute(positionAttribute, i);
         
         // Add more random variation to make bushes look fluffy
-        vertex.x += (Math.random() - 0.5) * 0.3;
-        vertex.y *= 0.8 + Math.random() * 0.4; // Slightly squash vertically
-        vertex.z += (Math.random() - 0.5) * 0.3;
+        vertex.x += (random.random() - 0.5) * 0.3;
+        vertex.y *= 0.8 + random.random() * 0.4; // Slightly squash vertically
+        vertex.z += (random.random() - 0.5) * 0.3;
         
         positionAttribute.setXYZ(i, vertex.x, vertex.y, vertex.z);
       }
       
       geometry.computeVertexNormals();
     });
+    
+    // Shared by every bush; each bush is drawn as instances with colours of its own
+    this.material = new THREE.MeshStandardMaterial({
+      flatShading: true,
+      roughness: 0.9,
+    });
+    
+    // Shared by every bush, so they live as long as the factory
+    this.resources = new ResourceTracker();
+    this.resources.track([...this.bushGeometries, this.material]);
   }
   
-  create(x, y, z) {
-    // Create a group for the bush (may contain multiple parts)
-    const bush = new THREE.Group();
+  // Bushes to bake impostor sprites from (see ImpostorAtlas), one per shape,
+  // in white so each bush's sprite can take its colour
+  getImpostorVariants() {
+    const material = new THREE.MeshStandardMaterial({ color: 0xffffff, flatShading: true, roughness: 0.9 });
     
+    return this.bushGeometries.map((geometry, index) => {
+      const bush = new THREE.Mesh(geometry, material);
+      bush.position.y = 0.3; // Raised like the main part of a bush
+      return [`bush:${index}`, bush];
+    });
+  }
+  
+  // Create a bush as an InstancedObject (one or two parts), to be added to
+  // instance batches by ObjectPlacer
+  create(x, y, z, random = this.random) {
     // Select random geometry
-    const geometryIndex = Math.floor(Math.random() * this.bushGeometries.length);
-    const geometry = this.bushGeometries[geometryIndex].clone();
+    const geometryIndex = Math.floor(random.random() * this.bushGeometries.length);
     
     // Random green color, more varied than trees
-    const hue = 0.25 + (Math.random() - 0.5) * 0.15; // Green with some variation
-    const saturation = 0.4 + Math.random() * 0.3;
-    const lightness = 0.25 + Math.random() * 0.15;
-    
-    const material = new THREE.MeshStandardMaterial({
-      color: new THREE.Color().setHSL(hue, saturation, lightness),
-      flatShading: true,
-      roughness: 0.9,
-    });
+    const hue = 0.25 + (random.random() - 0.5) * 0.15; // Green with some variation
+    const saturation = 0.4 + random.random() * 0.3;
+    const lightness = 0.25 + random.random() * 0.15;
     
-    // Create main bush mesh
-    const mainBush = new THREE.Mesh(geometry, material);
-    mainBush.castShadow = true;
-    mainBush.receiveShadow = true;
-    mainBush.position.y = 0.3; // Slightly raise above ground
-    bush.add(mainBush);
+    // Main bush part, slightly raised above ground
+    const color = new THREE.Color().setHSL(hue, saturation, lightness);
+    const parts = [{
+      geometry: this.bushGeometries[geometryIndex],
+      material: this.material,
+      color,
+      matrix: new THREE.Matrix4().makeTranslation(0, 0.3, 0)
+    }];
     
     // Sometimes add a secondary smaller bush part
-    if (Math.random() > 0.5) {
+    if (random.random() > 0.5) {
       const secondaryGeometry = this.bushGeometries[
-        Math.floor(Math.random() * this.bushGeometries.length)
-      ].clone();
-      
-      const secondaryMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color().setHSL(hue, saturation, lightness * 0.9),
-        flatShading: true,
-        roughness: 0.9,
-      });
-      
-      const secondaryBush = new THREE.Mesh(secondaryGeometry, secondaryMaterial);
-      secondaryBush.castShadow = true;
-      secondaryBush.receiveShadow = true;
-      secondaryBush.scale.set(0.7, 0.7, 0.7);
-      secondaryBush.position.set(
-        (Math.random() - 0.5) * 0.5,
+        Math.floor(random.random() * this.bushGeometries.length)
+      ];
+      const offset = new THREE.Vector3(
+        (random.random() - 0.5) * 0.5,
         0.2,
-        (Math.random() - 0.5) * 0.5
+        (random.random() - 0.5) * 0.5
       );
       
-      bush.add(secondaryBush);
+      parts.push({
+        geometry: secondaryGeometry,
+        simpleGeometry: null, // Too small to see in the mid-range
+        material: this.material,
+        color: new THREE.Color().setHSL(hue, saturation, lightness * 0.9),
+        matrix: new THREE.Matrix4().compose(offset, new THREE.Quaternion(), new THREE.Vector3(0.7, 0.7, 0.7))
+      });
     }
     
+    const bush = new InstancedObject(parts);
+    bush.userData.impostor = { variant: `bush:${geometryIndex}`, color };
+    
     // Position bush in world
     bush.position.set(x, y, z);
     
     // Random rotation
-    bush.rotation.y = Math.random() * Math.PI * 2;
+    bush.rotation.y = random.random() * Math.PI * 2;
     
     return bush;
   }
-} 
\ No newline at end of file
+  
+  // Collider of a placed bush: a cylinder around its main part
+  createCollider(bush) {
+    const { position, scale } = bush;
+    return new CircleCollider(position.x, position.y, position.z, 0.5 * scale.x, 0.9 * scale.y);
+  }
+}
@@ -1,9 +1,12 @@
 import * as THREE from 'three';
+import { MeshCollider } from '../world/Colliders.js';
 
 export class LowPolyMegaRock {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
     // Initialize random seed
-    this.seed = Math.random() * 10000;
+    this.seed = random.random() * 10000;
     // Pre-create base geometries for different mega rock types
     this.createBaseGeometries();
   }
@@ -58,26 +61,26 @@ export class LowPolyMegaRock {
   }
   
   // Create a floating island with arches - fractal version
-  createFloatingIsland(seed = 0) {
+  createFloatingIsland(seed = 0, random = this.random) {
     const geometry = new THREE.BufferGeometry();
     
     // Create a complex shape with arches and caves
     // Base island is a half sphere with flattened top
-    const baseRadius = 15 + Math.random() * 10;
-    const baseHeight = 25 + Math.random() * 10;
+    const baseRadius = 15 + random.random() * 10;
+    const baseHeight = 25 + random.random() * 10;
     
     // Create vertices for the base
     const vertices = [];
     const indices = [];
     
     // Create a flattened half-sphere for the base
-    const segments = 12 + Math.floor(Math.random() * 8); // Randomize segment count
-    const rings = 6 + Math.floor(Math.random() * 4);
+    const segments = 12 + Math.floor(random.random() * 8); // Randomize segment count
+    const rings = 6 + Math.floor(random.random() * 4);
     
     // Create main body of the floating island (half-sphere with flat top)
     // With fractal displacement
-    const fractalScale = 0.03 + Math.random() * 0.04;
-    const displacementStrength = 3 + Math.random() * 5;
+    const fractalScale = 0.03 + random.random() * 0.04;
+    const displacementStrength = 3 + random.random() * 5;
     
     for (let y = 0; y <= rings; y++) {
       const v = y / rings;
@@ -119,19 +122,19 @@ export class LowPolyMegaRock {
     }
     
     // Create arches with fractal variation
-    const numArches = 2 + Math.floor(Math.random() * 3); // Random number of arches
-    const archFractalScale = 0.1 + Math.random() * 0.1;
+    const numArches = 2 + Math.floor(random.random() * 3); // Random number of arches
+    const archFractalScale = 0.1 + random.random() * 0.1;
     
     for (let i = 0; i < numArches; i++) {
-      const angle = (i / numArches) * Math.PI * 2 + Math.random() * 0.5; // Randomize placement
+      const angle = (i / numArches) * Math.PI * 2 + random.random() * 0.5; // Randomize placement
       const startIndex = vertices.length / 3;
       
-      const archHeight = 10 + Math.random() * 10;
-      const archWidth = 6 + Math.random() * 4;
-      const archDepth = 4 + Math.random() * 3;
+      const archHeight = 10 + random.random() * 10;
+      const archWidth = 6 + random.random() * 4;
+      const archDepth = 4 + random.random() * 3;
       
-      const archSegments = Math.floor(segments / 2 + Math.random() * 4);
-      const archRingsSegments = Math.floor(segments / 4 + Math.random() * 3);
+      const archSegments = Math.floor(segments / 2 + random.random() * 4);
+      const archRingsSegments = Math.floor(segments / 4 + random.random() * 3);
       
       for (let j = 0; j <= archSegments; j++) {
         const archAngle = j / archSegments * Math.PI;
@@ -192,20 +195,20 @@ export class LowPolyMegaRock {
   }
   
   // Create a massive crystal formation - fractal version
-  createCrystalFormation(seed = 0) {
+  createCrystalFormation(seed = 0, random = this.random) {
     // Use a simple geometry approach instead of merging
     const geometry = new THREE.BufferGeometry();
     const vertices = [];
     const indices = [];
     
     // Create base with fractal perturbation
-    const baseRadius = 12 + Math.random() * 6;
-    const baseHeight = 8 + Math.random() * 5;
-    const segments = 5 + Math.floor(Math.random() * 4); // Random segment count for base
+    const baseRadius = 12 + random.random() * 6;
+    const baseHeight = 8 + random.random() * 5;
+    const segments = 5 + Math.floor(random.random() * 4); // Random segment count for base
     
     // Fractal parameters for base
-    const baseFractalScale = 0.1 + Math.random() * 0.05;
-    const baseDisplacement = 1 + Math.random() * 2;
+    const baseFractalScale = 0.1 + random.random() * 0.05;
+    const baseDisplacement = 1 + random.random() * 2;
     
     // Create base vertices with fractal displacement
     for (let y = 0; y <= 1; y++) {
@@ -244,20 +247,20 @@ export class LowPolyMegaRock {
     const baseVertexCount = vertices.length / 3;
     
     // Randomly determine number of crystals
-    const numCrystals = 5 + Math.floor(Math.random() * 5);
+    const numCrystals = 5 + Math.floor(random.random() * 5);
     
     // Create surrounding crystals with fractal variations
     for (let i = 0; i < numCrystals; i++) {
       // Randomize placement within the base
-      const angle = (i / numCrystals) * Math.PI * 2 + Math.random() * 0.3;
-      const distance = (baseRadius * 0.3) + Math.random() * (baseRadius * 0.5);
+      const angle = (i / numCrystals) * Math.PI * 2 + random.random() * 0.3;
+      const distance = (baseRadius * 0.3) + random.random() * (baseRadius * 0.5);
       
       // Vary crystal parameters
-      const crystalHeight = 12 + Math.random() * 25;
-      const crystalRadius = 1.5 + Math.random() * 3;
+      const crystalHeight = 12 + random.random() * 25;
+      const crystalRadius = 1.5 + random.random() * 3;
       
       // Number of sides for this crystal
-      const crystalSides = 3 + Math.floor(Math.random() * 3); // 3 to 5 sides
+      const crystalSides = 3 + Math.floor(random.random() * 3); // 3 to 5 sides
       
       // Base of crystal
       const baseX = Math.cos(angle) * distance;
@@ -272,7 +275,7 @@ export class LowPolyMegaRock {
         const pointAngle = (j / crystalSides) * Math.PI * 2;
         
         // Apply some variation to the crystal base points
-        const variation = 0.8 + Math.random() * 0.4;
+        const variation = 0.8 + random.random() * 0.4;
         
         vertices.push(
           baseX + Math.cos(pointAngle) * crystalRadius * variation,
@@ -282,12 +285,12 @@ export class LowPolyMegaRock {
       }
       
       // Fractal parameters for this crystal
-      const fractalScale = 0.15 + Math.random() * 0.1;
-      const fractalStrength = 0.5 + Math.random() * 1.5;
+      const fractalScale = 0.15 + random.random() * 0.1;
+      const fractalStrength = 0.5 + random.random() * 1.5;
       
       // Add tip of crystal with fractal displacement
-      const tipX = baseX + (Math.random() * 2 - 1) * 3; // Slight random tilt
-      const tipZ = baseZ + (Math.random() * 2 - 1) * 3;
+      const tipX = baseX + (random.random() * 2 - 1) * 3; // Slight random tilt
+      const tipZ = baseZ + (random.random() * 2 - 1) * 3;
       
       // Apply fractal displacement to tip
       const [fracTipX, fracTipY, fracTipZ] = this.displaceVertex(
@@ -317,9 +320,9 @@ export class LowPolyMegaRock {
     }
     
     // Add central crystal with fractal variations
-    const centralHeight = 35 + Math.random() * 15;
-    const centralRadius = 4 + Math.random() * 3;
-    const centralSides = 5 + Math.floor(Math.random() * 4); // 5 to 8 sides
+    const centralHeight = 35 + random.random() * 15;
+    const centralRadius = 4 + random.random() * 3;
+    const centralSides = 5 + Math.floor(random.random() * 4); // 5 to 8 sides
     
     // Add central crystal base
     const centralBaseIndex = vertices.length / 3;
@@ -330,7 +333,7 @@ export class LowPolyMegaRock {
       const angle = (i / centralSides) * Math.PI * 2;
       
       // Add some variation to the base points
-      const variation = 0.85 + Math.random() * 0.3;
+      const variation = 0.85 + random.random() * 0.3;
       
       vertices.push(
         Math.cos(angle) * centralRadius * variation,
@@ -340,8 +343,8 @@ export class LowPolyMegaRock {
     }
     
     // Fractal parameters for central crystal
-    const centralFractalScale = 0.05 + Math.random() * 0.05;
-    const centralFractalStrength = 2 + Math.random() * 3;
+    const centralFractalScale = 0.05 + random.random() * 0.05;
+    const centralFractalStrength = 2 + random.random() * 3;
     
     // Add central tip with fractal displacement
     const [fracCentralX, fracCentralY, fracCentralZ] = this.displaceVertex(
@@ -379,21 +382,23 @@ export class LowPolyMegaRock {
   }
   
   // Create a giant mesa formation with stepped sides - fractal version
-  createMesaFormation(seed = 0) {
+  createMesaFormation(seed = 0, random = this.random) {
     const geometry = new THREE.BufferGeometry();
     
     // Create a mesa with layered/stepped sides
-    const baseRadius = 20 + Math.random() * 10;
-    const height = 30 + Math.random() * 15;
-    const layers = 4 + Math.floor(Math.random() * 4); // Random number of layers
+    const baseRadius = 20 + random.random() * 10;
+    const height = 30 + random.random() * 15;
+    const layers = 4 + Math.floor(random.random() * 4); // Random number of layers
     
     const vertices = [];
     const indices = [];
     
     // Fractal parameters
-    const fractalScale = 0.03 + Math.random() * 0.04;
-    const horizontalDisplacement = 2 + Math.random() * 3; // Displacement for x/z
-    const verticalDisplacement = 1 + Math.random() * 2;  // Less displacement for height
+    const fractalScale = 0.03 + random.random() * 0.04;
+    const horizontalDisplacement = 2 + random.random() * 3; // Displacement for x/z
+    const verticalDisplacement = 1 + random.random() * 2;  // Less displacement for height
+    
+    let prevSegments = 0; // Segments of the layer below
     
     // Create stepped layers with fractal displacement
     for (let layer = 0; layer <= layers; layer++) {
@@ -401,8 +406,8 @@ export class LowPolyMegaRock {
       const layerHeight = layerRatio * height;
       
       // Random offset for this layer to create more interesting shapes
-      const layerOffsetX = (Math.random() * 2 - 1) * 3 * layerRatio;
-      const layerOffsetZ = (Math.random() * 2 - 1) * 3 * layerRatio;
+      const layerOffsetX = (random.random() * 2 - 1) * 3 * layerRatio;
+      const layerOffsetZ = (random.random() * 2 - 1) * 3 * layerRatio;
       
       // Vary layer radius with some noise
       const noiseValue = this.fbm(layer * 0.5, seed * 0.1, 2, seed);
@@ -412,7 +417,7 @@ export class LowPolyMegaRock {
       const layerRadius = baseRadius * (1 - 0.15 * layerRatio * variance);
       
       // Number of segments varies by layer - more segments in lower layers
-      const segmentsPerLayer = 6 + Math.floor((1 - layerRatio) * 6) + Math.floor(Math.random() * 3);
+      const segmentsPerLayer = 6 + Math.floor((1 - layerRatio) * 6) + Math.floor(random.random() * 3);
       
       const layerStart = vertices.length / 3;
       
@@ -454,9 +459,6 @@ export class LowPolyMegaRock {
       
       // Create faces between this layer and the previous one
       if (layer > 0) {
-        // Handle different number of segments between layers
-        const prevSegments = 6 + Math.floor((1 - (layer - 1) / layers) * 6) + Math.floor(Math.random() * 3);
-        
         // Create faces connecting layers - may need to skip or duplicate vertices
         const prevStart = layerStart - (prevSegments + 1);
         
@@ -494,6 +496,8 @@ export class LowPolyMegaRock {
           );
         }
       }
+      
+      prevSegments = segmentsPerLayer;
     }
     
     // Create the geometry
@@ -506,25 +510,25 @@ export class LowPolyMegaRock {
   }
   
   // Create an alien monolith formation - fractal version
-  createMonolithFormation(seed = 0) {
+  createMonolithFormation(seed = 0, random = this.random) {
     const geometry = new THREE.BufferGeometry();
     
     // Create a tall, imposing alien structure
-    const baseWidth = 15 + Math.random() * 8;
-    const baseDepth = 15 + Math.random() * 8;
-    const height = 40 + Math.random() * 20;
+    const baseWidth = 15 + random.random() * 8;
+    const baseDepth = 15 + random.random() * 8;
+    const height = 40 + random.random() * 20;
     
     // Create vertices for a complex monolith
     const vertices = [];
     const indices = [];
     
     // Create base - slightly wider at bottom
-    const baseSegments = 6 + Math.floor(Math.random() * 4);
-    const baseHeight = height * (0.1 + Math.random() * 0.1);
+    const baseSegments = 6 + Math.floor(random.random() * 4);
+    const baseHeight = height * (0.1 + random.random() * 0.1);
     
     // Fractal parameters for base
-    const baseFractalScale = 0.1 + Math.random() * 0.1;
-    const baseDisplacement = 1.5 + Math.random() * 1.5;
+    const baseFractalScale = 0.1 + random.random() * 0.1;
+    const baseDisplacement = 1.5 + random.random() * 1.5;
     
     for (let y = 0; y <= 1; y++) {
       const yPos = y * baseHeight;
@@ -602,24 +606,24 @@ export class LowPolyMegaRock {
     }
     
     // Random number of pillars - between 2 and 4
-    const numPillars = 2 + Math.floor(Math.random() * 3);
+    const numPillars = 2 + Math.floor(random.random() * 3);
     
     // Fractal parameters for pillars
-    const pillarFractalScale = 0.05 + Math.random() * 0.05;
-    const pillarDisplacement = 1 + Math.random() * 2;
+    const pillarFractalScale = 0.05 + random.random() * 0.05;
+    const pillarDisplacement = 1 + random.random() * 2;
     
     // Create the tall monolith pillars with fractal variations
-    const monolithSegments = 3 + Math.floor(Math.random() * 3);
+    const monolithSegments = 3 + Math.floor(random.random() * 3);
     
     // Create multiple tall pillars with fractal displacement
     for (let pillar = 0; pillar < numPillars; pillar++) {
       // Random pillar dimensions
-      const pillarWidth = baseWidth * (0.15 + Math.random() * 0.1);
-      const pillarDepth = baseDepth * (0.15 + Math.random() * 0.1);
-      const pillarHeight = height * (0.7 + Math.random() * 0.3);
+      const pillarWidth = baseWidth * (0.15 + random.random() * 0.1);
+      const pillarDepth = baseDepth * (0.15 + random.random() * 0.1);
+      const pillarHeight = height * (0.7 + random.random() * 0.3);
       
       // Random pillar position within base bounds
-      const randPlacement = Math.random();
+      const randPlacement = random.random();
       const angle = (pillar / numPillars) * Math.PI * 2 + randPlacement * Math.PI / 4;
       const distance = baseWidth * 0.25 * randPlacement;
       
@@ -641,7 +645,7 @@ export class LowPolyMegaRock {
             const zPos = pillarZ + (zRatio - 0.5) * pillarDepth;
             
             // Taper the top slightly
-            const taper = y === 0 ? 1.0 : 0.8 + Math.random() * 0.2;
+            const taper = y === 0 ? 1.0 : 0.8 + random.random() * 0.2;
             
             // Apply fractal displacement - less at edges and top
             const edgeFactor = Math.min(xRatio, 1-xRatio, zRatio, 1-zRatio) * 2;
@@ -712,31 +716,31 @@ export class LowPolyMegaRock {
   }
 
   // Create a mega rock at the specified position
-  create(x, y, z) {
+  create(x, y, z, random = this.random) {
     // Generate a new seed for this instance
     const instanceSeed = this.seed + x * 100 + z * 10;
     
     // Randomly select a mega rock type
-    const typeIndex = Math.floor(Math.random() * this.baseGeometryTypes.length);
+    const typeIndex = Math.floor(random.random() * this.baseGeometryTypes.length);
     const selectedType = this.baseGeometryTypes[typeIndex];
     
     // Generate a new geometry using fractal methods
     let geometry;
     switch (selectedType) {
       case 'floatingIsland':
-        geometry = this.createFloatingIsland(instanceSeed);
+        geometry = this.createFloatingIsland(instanceSeed, random);
         break;
       case 'crystalFormation':
-        geometry = this.createCrystalFormation(instanceSeed);
+        geometry = this.createCrystalFormation(instanceSeed, random);
         break;
       case 'mesaFormation':
-        geometry = this.createMesaFormation(instanceSeed);
+        geometry = this.createMesaFormation(instanceSeed, random);
         break;
       case 'monolithFormation':
-        geometry = this.createMonolithFormation(instanceSeed);
+        geometry = this.createMonolithFormation(instanceSeed, random);
         break;
       default:
-        geometry = this.createFloatingIsland(instanceSeed);
+        geometry = this.createFloatingIsland(instanceSeed, random);
     }
     
     // Create material with alien/weird colors and variations
@@ -764,9 +768,9 @@ export class LowPolyMegaRock {
     
     // Vary the color slightly
     const colorVariation = 0.15;
-    const rVar = r * (1 - colorVariation + Math.random() * colorVariation * 2);
-    const gVar = g * (1 - colorVariation + Math.random() * colorVariation * 2);
-    const bVar = b * (1 - colorVariation + Math.random() * colorVariation * 2);
+    const rVar = r * (1 - colorVariation + random.random() * colorVariation * 2);
+    const gVar = g * (1 - colorVariation + random.random() * colorVariation * 2);
+    const bVar = b * (1 - colorVariation + random.random() * colorVariation * 2);
     
     const variedColor = new THREE.Color(
       Math.min(Math.max(rVar, 0), 1),
@@ -778,8 +782,8 @@ export class LowPolyMegaRock {
     const material = new THREE.MeshStandardMaterial({
       color: variedColor,
       flatShading: true,
-      roughness: 0.7 + Math.random() * 0.3,
-      metalness: 0.1 + Math.random() * 0.3,
+      roughness: 0.7 + random.random() * 0.3,
+      metalness: 0.1 + random.random() * 0.3,
       // Add some emissive glow for some types
       emissive: selectedType === 'crystalFormation' ? variedColor.clone().multiplyScalar(0.2) : 0x000000
     });
@@ -793,13 +797,14 @@ export class LowPolyMegaRock {
     rock.position.set(x, y, z);
     
     // Random rotation on Y axis
-    rock.rotation.y = Math.random() * Math.PI * 2;
-    
-    // Add user data for collision detection
-    rock.userData.type = 'megarock';
-    rock.userData.collisionRadius = 25; // Large collision radius
-    rock.userData.isClimbable = true;   // Mark as climbable for potential gameplay use
+    rock.rotation.y = random.random() * Math.PI * 2;
     
     return rock;
   }
+  
+  // Collider of a placed mega rock: its triangles, so the player can get
+  // close to its arches, columns and overhangs
+  createCollider(rock) {
+    return new MeshCollider(rock);
+  }
 } 
\ No newline at end of file
@@ -1,7 +1,11 @@
 import * as THREE from 'three';
+import { ResourceTracker } from '../world/ResourceTracker.js';
 
 export class LowPolyRoad {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
+    
     // Pre-create common road parts
     this.createRoadParts();
     
@@ -17,6 +21,18 @@ export class LowPolyRoad {
       color: 0xffffff,
       side: THREE.DoubleSide
     });
+    
+    // Shared by every road, so chunks that track their roads don't free them
+    this.resources = new ResourceTracker();
+    this.resources.track([
+      this.roadGeometry,
+      this.intersectionGeometry,
+      this.curvedRoadGeometry,
+      this.tJunctionGeometry,
+      ...Object.values(this.markingGeometries),
+      this.roadMaterial,
+      this.markingsMaterial
+    ]);
   }
   
   // Create common road parts
@@ -34,6 +50,32 @@ export class LowPolyRoad {
     
     // T-junction - create geometry only
     this.tJunctionGeometry = this.createTJunctionGeometry();
+    
+    // Lane markings, shared by every road like the road shapes
+    this.markingGeometries = this.createMarkingGeometries();
+  }
+  
+  // Create the lane marking shapes: flat lines along or across a road and
+  // the center line of a curve
+  createMarkingGeometries() {
+    const flatLine = (width, length) => new THREE.PlaneGeometry(width, length).rotateX(-Math.PI / 2);
+    
+    // Curved line following the road center
+    const curve = new THREE.EllipseCurve(
+      0, 0,            // Center
+      4, 4,            // X and Y radius
+      0, Math.PI/2,    // Start and end angle
+      false,           // Clockwise
+      0                // Rotation
+    );
+    
+    return {
+      straight: flatLine(0.2, 14), // Center line of a straight piece
+      across: flatLine(10, 0.2),
+      along: flatLine(0.2, 10),
+      halfAlong: flatLine(0.2, 5),
+      curve: new THREE.BufferGeometry().setFromPoints(curve.getPoints(8))
+    };
   }
   
   // Create a curved road geometry
@@ -146,7 +188,6 @@ export class LowPolyRoad {
     
     // Add road markings
     const markings = this.createStraightRoadMarkings();
-    markings.rotation.y = rotation;
     road.add(markings);
     
     return road;
@@ -216,10 +257,7 @@ export class LowPolyRoad {
     const markingsGroup = new THREE.Group();
     
     // Simple straight road with center line
-    const lineGeometry = new THREE.PlaneGeometry(0.2, 14);
-    lineGeometry.rotateX(-Math.PI / 2);
-    
-    const line = new THREE.Mesh(lineGeometry, this.markingsMaterial);
+    const line = new THREE.Mesh(this.markingGeometries.straight, this.markingsMaterial);
     line.position.y = 0.01; // Slightly above the road
     markingsGroup.add(line);
     
@@ -231,18 +269,12 @@ export class LowPolyRoad {
     const markingsGroup = new THREE.Group();
     
     // Horizontal line
-    const hLineGeometry = new THREE.PlaneGeometry(10, 0.2);
-    hLineGeometry.rotateX(-Math.PI / 2);
-    
-    const hLine = new THREE.Mesh(hLineGeometry, this.markingsMaterial);
+    const hLine = new THREE.Mesh(this.markingGeometries.across, this.markingsMaterial);
     hLine.position.y = 0.01;
     markingsGroup.add(hLine);
     
     // Vertical line
-    const vLineGeometry = new THREE.PlaneGeometry(0.2, 10);
-    vLineGeometry.rotateX(-Math.PI / 2);
-    
-    const vLine = new THREE.Mesh(vLineGeometry, this.markingsMaterial);
+    const vLine = new THREE.Mesh(this.markingGeometries.along, this.markingsMaterial);
     vLine.position.y = 0.01;
     markingsGroup.add(vLine);
     
@@ -253,20 +285,8 @@ export class LowPolyRoad {
   createCurvedRoadMarkings() {
     const markingsGroup = new THREE.Group();
     
-    // Create a curved line following the road center
-    const curve = new THREE.EllipseCurve(
-      0, 0,            // Center
-      4, 4,            // X and Y radius
-      0, Math.PI/2,    // Start and end angle
-      false,           // Clockwise
-      0                // Rotation
-    );
-    
-    const points = curve.getPoints(8);
-    const curveGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    
-    // Create a thin plane along the curve
-    const line = new THREE.Line(curveGeometry, this.markingsMaterial);
+    // Create a thin line along the curve
+    const line = new THREE.Line(this.markingGeometries.curve, this.markingsMaterial);
     line.position.y = 0.01;
     markingsGroup.add(line);
     
@@ -278,18 +298,12 @@ export class LowPolyRoad {
     const markingsGroup = new THREE.Group();
     
     // Horizontal line
-    const hLineGeometry = new THREE.PlaneGeometry(10, 0.2);
-    hLineGeometry.rotateX(-Math.PI / 2);
-    
-    const hLine = new THREE.Mesh(hLineGeometry, this.markingsMaterial);
+    const hLine = new THREE.Mesh(this.markingGeometries.across, this.markingsMaterial);
     hLine.position.y = 0.01;
     markingsGroup.add(hLine);
     
     // Vertical line (only the bottom half)
-    const vLineGeometry = new THREE.PlaneGeometry(0.2, 5);
-    vLineGeometry.rotateX(-Math.PI / 2);
-    
-    const vLine = new THREE.Mesh(vLineGeometry, this.markingsMaterial);
+    const vLine = new THREE.Mesh(this.markingGeometries.halfAlong, this.markingsMaterial);
     vLine.position.set(0, 0.01, 2.5);
     markingsGroup.add(vLine);
     
@@ -297,7 +311,7 @@ export class LowPolyRoad {
   }
   
   // Create road texture
-  createRoadTexture() {
+  createRoadTexture(random = this.random) {
     // Create a simple procedural road texture
     const canvas = document.createElement('canvas');
     canvas.width = 128;
@@ -311,9 +325,9 @@ export class LowPolyRoad {
     // Add noise grains for asphalt texture
     context.fillStyle = '#505050';
     for (let i = 0; i < 5000; i++) {
-      const x = Math.random() * canvas.width;
-      const y = Math.random() * canvas.height;
-      const size = Math.random() * 2;
+      const x = random.random() * canvas.width;
+      const y = random.random() * canvas.height;
+      const size = random.random() * 2;
       context.fillRect(x, y, size, size);
     }
     
@@ -325,53 +339,4 @@ export class LowPolyRoad {
     
     return texture;
   }
-  
-  // Create road networks between positions
-  createRoadNetwork(scene, positions, y = 0) {
-    // Logic to determine road placement between positions
-    // For now, we'll implement a simple grid pattern
-    
-    // Create roads between positions
-    for (let i = 0; i < positions.length; i++) {
-      for (let j = i + 1; j < positions.length; j++) {
-        // Get positions
-        const posA = positions[i];
-        const posB = positions[j];
-        
-        // Calculate distance
-        const dx = posB.x - posA.x;
-        const dz = posB.z - posA.z;
-        const distance = Math.sqrt(dx * dx + dz * dz);
-        
-        // If distance is reasonable, create a road
-        if (distance < 100) {
-          this.createRoadBetweenPoints(scene, posA, posB, y);
-        }
-      }
-    }
-  }
-  
-  // Create road segments between two points
-  createRoadBetweenPoints(scene, pointA, pointB, y = 0) {
-    // Calculate direction and distance
-    const dx = pointB.x - pointA.x;
-    const dz = pointB.z - pointA.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-    const angle = Math.atan2(dz, dx);
-    
-    // Segment size
-    const segmentLength = 16;
-    const numSegments = Math.ceil(distance / segmentLength);
-    
-    // Create segments
-    for (let i = 0; i < numSegments; i++) {
-      const ratio = i / numSegments;
-      const x = pointA.x + dx * ratio;
-      const z = pointA.z + dz * ratio;
-      
-      // Create a road segment
-      const road = this.createStraight(x, y, z, angle);
-      scene.add(road);
-    }
-  }
-} 
\ No newline at end of file
+}
\ No newline at end of file
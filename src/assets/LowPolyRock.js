@@ -1,7 +1,13 @@
 import * as THREE from 'three';
+import { InstancedObject } from '../world/InstancedObject.js';
+import { ResourceTracker } from '../world/ResourceTracker.js';
+import { CircleCollider } from '../world/Colliders.js';
 
 export class LowPolyRock {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
+    
     // Pre-create several rock geometries for variety
     this.rockGeometries = [
       new THREE.IcosahedronGeometry(0.5, 0),
@@ -19,46 +25,72 @@ export class LowPolyRock {
         vertex.fromBufferAttribute(positionAttribute, i);
         
         // Add random variation to each vertex
-        vertex.x += (Math.random() - 0.5) * 0.2;
-        vertex.y += (Math.random() - 0.5) * 0.2;
-        vertex.z += (Math.random() - 0.5) * 0.2;
+        vertex.x += (random.random() - 0.5) * 0.2;
+        vertex.y += (random.random() - 0.5) * 0.2;
+        vertex.z += (random.random() - 0.5) * 0.2;
         
         positionAttribute.setXYZ(i, vertex.x, vertex.y, vertex.z);
       }
       
       geometry.computeVertexNormals();
     });
+    
+    // Every rock shape in the mid-range level of detail
+    this.simpleGeometry = new THREE.OctahedronGeometry(0.5, 0);
+    
+    // Shared by every rock; each rock is drawn as an instance with a colour of its own
+    this.material = new THREE.MeshStandardMaterial({
+      flatShading: true,
+      roughness: 0.9,
+    });
+    
+    // Shared by every rock, so they live as long as the factory
+    this.resources = new ResourceTracker();
+    this.resources.track([...this.rockGeometries, this.simpleGeometry, this.material]);
+  }
+  
+  // Rocks to bake impostor sprites from (see ImpostorAtlas), one per shape,
+  // in white so each rock's sprite can take its colour
+  getImpostorVariants() {
+    const material = new THREE.MeshStandardMaterial({ color: 0xffffff, flatShading: true, roughness: 0.9 });
+    return this.rockGeometries.map((geometry, index) => [`rock:${index}`, new THREE.Mesh(geometry, material)]);
   }
   
-  create(x, y, z) {
+  // Create a rock as an InstancedObject, to be added to instance batches by ObjectPlacer
+  create(x, y, z, random = this.random) {
     // Select random rock geometry
-    const geometryIndex = Math.floor(Math.random() * this.rockGeometries.length);
-    const geometry = this.rockGeometries[geometryIndex].clone();
+    const geometryIndex = Math.floor(random.random() * this.rockGeometries.length);
     
     // Random grey color
-    const brightness = 0.2 + Math.random() * 0.15;
-    const material = new THREE.MeshStandardMaterial({
-      color: new THREE.Color().setHSL(0.1, 0.05, brightness),
-      flatShading: true,
-      roughness: 0.8 + Math.random() * 0.2,
-    });
-    
-    // Create rock mesh
-    const rock = new THREE.Mesh(geometry, material);
-    rock.castShadow = true;
-    rock.receiveShadow = true;
+    const brightness = 0.2 + random.random() * 0.15;
+    const color = new THREE.Color().setHSL(0.1, 0.05, brightness);
+    const rock = new InstancedObject([
+      {
+        geometry: this.rockGeometries[geometryIndex],
+        simpleGeometry: this.simpleGeometry,
+        material: this.material,
+        color
+      }
+    ]);
+    rock.userData.impostor = { variant: `rock:${geometryIndex}`, color };
     
     // Position rock in world
     rock.position.set(x, y - 0.3, z); // Slightly sink into ground
     
     // Random rotation and scale
-    rock.rotation.x = Math.random() * Math.PI;
-    rock.rotation.y = Math.random() * Math.PI;
-    rock.rotation.z = Math.random() * Math.PI;
+    rock.rotation.x = random.random() * Math.PI;
+    rock.rotation.y = random.random() * Math.PI;
+    rock.rotation.z = random.random() * Math.PI;
     
-    const scale = 0.5 + Math.random() * 0.7;
+    const scale = 0.5 + random.random() * 0.7;
     rock.scale.set(scale, scale * 0.8, scale);
     
     return rock;
   }
-} 
\ No newline at end of file
+  
+  // Collider of a placed rock: a cylinder around the part above its (sunken) centre
+  createCollider(rock) {
+    const { position, scale } = rock;
+    return new CircleCollider(position.x, position.y, position.z, 0.6 * scale.x, 0.6 * scale.y);
+  }
+}
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
+import { InstancedObject } from '../world/InstancedObject.js';
+import { ResourceTracker } from '../world/ResourceTracker.js';
+import { CircleCollider } from '../world/Colliders.js';
 
 export class LowPolyTree {
-  constructor() {
+  constructor(random) {
+    // Seeded random generator used when no per-call generator is given
+    this.random = random;
+    
     // Pre-create geometries for better performance
     this.trunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 1.5, 5, 1, false);
     this.trunkGeometry.translate(0, 0.75, 0); // Center trunk vertically
@@ -15,53 +21,93 @@ export class LowPolyTree {
       // Minimal low-poly tree
       new THREE.TetrahedronGeometry(1.5, 0)
     ];
-  }
-  
-  create(x, y, z) {
-    // Create a group for the tree
-    const tree = new THREE.Group();
     
-    // Random variation in color
-    const greenHue = 0.25 + Math.random() * 0.1;
-    const greenSaturation = 0.5 + Math.random() * 0.3;
+    // Position leaves on top of trunk
+    this.leafGeometries.forEach(geometry => geometry.translate(0, 2.5, 0));
+    
+    // Fewer faces for the mid-range level of detail
+    this.simpleTrunkGeometry = new THREE.CylinderGeometry(0.2, 0.3, 1.5, 3, 1, false).translate(0, 0.75, 0);
+    this.simpleLeafGeometries = [
+      new THREE.ConeGeometry(1, 3, 4, 1, false).translate(0, 2.5, 0),
+      new THREE.OctahedronGeometry(1.2, 0).translate(0, 2.5, 0),
+      this.leafGeometries[2] // Already as simple as it gets
+    ];
     
-    // Create trunk
-    const trunkMaterial = new THREE.MeshStandardMaterial({
-      color: new THREE.Color().setHSL(0.1, 0.5, 0.3 + Math.random() * 0.1),
+    // Shared by every tree; each tree is drawn as instances with colours of its own
+    this.trunkMaterial = new THREE.MeshStandardMaterial({
       flatShading: true,
       roughness: 0.9,
     });
-    
-    const trunk = new THREE.Mesh(this.trunkGeometry, trunkMaterial);
-    trunk.castShadow = true;
-    trunk.receiveShadow = true;
-    tree.add(trunk);
-    
-    // Select random leaf geometry
-    const leafType = Math.floor(Math.random() * this.leafGeometries.length);
-    const leafGeometry = this.leafGeometries[leafType].clone();
-    
-    // Position leaves on top of trunk
-    leafGeometry.translate(0, 2.5, 0);
-    
-    // Create leaves
-    const leafMaterial = new THREE.MeshStandardMaterial({
-      color: new THREE.Color().setHSL(greenHue, greenSaturation, 0.3 + Math.random() * 0.1),
+    this.leafMaterial = new THREE.MeshStandardMaterial({
       flatShading: true,
       roughness: 0.8,
     });
     
-    const leaves = new THREE.Mesh(leafGeometry, leafMaterial);
-    leaves.castShadow = true;
-    leaves.receiveShadow = true;
-    tree.add(leaves);
+    // Shared by every tree, so they live as long as the factory
+    this.resources = new ResourceTracker();
+    this.resources.track([
+      this.trunkGeometry,
+      this.simpleTrunkGeometry,
+      ...this.leafGeometries,
+      ...this.simpleLeafGeometries,
+      this.trunkMaterial,
+      this.leafMaterial
+    ]);
+  }
+  
+  // Trees to bake impostor sprites from (see ImpostorAtlas), one per leaf type.
+  // The leaves are white, so each tree's sprite can take its leaf colour.
+  getImpostorVariants() {
+    const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0xc8a070, flatShading: true, roughness: 0.9 });
+    const leafMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, flatShading: true, roughness: 0.8 });
+    
+    return this.leafGeometries.map((leafGeometry, leafType) => {
+      const tree = new THREE.Group();
+      tree.add(new THREE.Mesh(this.trunkGeometry, trunkMaterial), new THREE.Mesh(leafGeometry, leafMaterial));
+      return [`tree:${leafType}`, tree];
+    });
+  }
+  
+  // Create a tree as an InstancedObject (a trunk and leaves), to be added to
+  // instance batches by ObjectPlacer
+  create(x, y, z, random = this.random) {
+    // Random variation in color
+    const greenHue = 0.25 + random.random() * 0.1;
+    const greenSaturation = 0.5 + random.random() * 0.3;
+    const trunkColor = new THREE.Color().setHSL(0.1, 0.5, 0.3 + random.random() * 0.1);
+    
+    // Select random leaf geometry
+    const leafType = Math.floor(random.random() * this.leafGeometries.length);
+    const leafColor = new THREE.Color().setHSL(greenHue, greenSaturation, 0.3 + random.random() * 0.1);
+    
+    const tree = new InstancedObject([
+      {
+        geometry: this.trunkGeometry,
+        simpleGeometry: this.simpleTrunkGeometry,
+        material: this.trunkMaterial,
+        color: trunkColor
+      },
+      {
+        geometry: this.leafGeometries[leafType],
+        simpleGeometry: this.simpleLeafGeometries[leafType],
+        material: this.leafMaterial,
+        color: leafColor
+      }
+    ]);
+    tree.userData.impostor = { variant: `tree:${leafType}`, color: leafColor };
     
     // Position tree in world
     tree.position.set(x, y, z);
     
     // Random rotation for variety
-    tree.rotation.y = Math.random() * Math.PI * 2;
+    tree.rotation.y = random.random() * Math.PI * 2;
     
     return tree;
   }
-} 
\ No newline at end of file
+  
+  // Collider of a placed tree: a cylinder around the trunk and the lower leaves
+  createCollider(tree) {
+    const { position, scale } = tree;
+    return new CircleCollider(position.x, position.y, position.z, 0.8 * scale.x, 4 * scale.y);
+  }
+}
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+
+// Moves a character by velocity: it speeds up towards the speed it wants to go,
+// slows down by friction on the ground, falls by gravity and jumps. Everything
+// is per second and scaled by deltaTime, so it moves the same at any frame
+// rate. The collision system tells it where the ground is (setGroundState).
+export class CharacterMotor {
+  constructor() {
+    this.velocity = new THREE.Vector3(); // Units per second
+    
+    // Speeds the character wants to go at, per gait
+    this.walkSpeed = 10;
+    this.sprintSpeed = 18;
+    this.crouchSpeed = 4;
+    this.swimSpeed = 5;
+    
+    // How quickly it gets there
+    this.acceleration = 60; // On the ground, units per second squared
+    this.airAcceleration = 12; // Steering while in the air
+    this.friction = 10; // How quickly it stops on the ground without input (per second)
+    
+    // Jumping and falling
+    this.gravity = 20;
+    this.jumpSpeed = 7; // A jump about 1.2 units high
+    this.maxFallSpeed = 50;
+    this.coyoteTime = 0.1; // Seconds after walking off an edge that a jump still counts
+    this.jumpBufferTime = 0.1; // Seconds before landing that a jump press still counts
+    this.maxDeltaTime = 0.1; // Longer frames (a hidden tab) are slowed down rather than skipped through
+    
+    // Ground state, set by the collision system every frame
+    this.grounded = false;
+    this.climbing = false;
+    this.swimming = false;
+    this.timeSinceGrounded = Infinity;
+    this.timeSinceJumpPressed = Infinity;
+    
+    this.wishVelocity = new THREE.Vector3(); // Reused by update
+  }
+  
+  // Ask for a jump; it happens as soon as the character can jump, if that is
+  // within jumpBufferTime
+  jump() {
+    this.timeSinceJumpPressed = 0;
+  }
+  
+  // Whether the character stands on the ground or climbs. Returns the speed it
+  // hit the ground at if this lands it, else 0.
+  setGroundState(grounded, climbing) {
+    let impactSpeed = 0;
+    if (grounded && !this.grounded && this.velocity.y < 0) {
+      impactSpeed = -this.velocity.y;
+    }
+    
+    this.grounded = grounded;
+    this.climbing = climbing;
+    if (grounded) {
+      this.timeSinceGrounded = 0;
+      this.velocity.y = Math.max(0, this.velocity.y);
+    }
+    if (climbing) {
+      // The climb carries the character up; gravity waits until they let go
+      this.velocity.y = 0;
+    }
+    return impactSpeed;
+  }
+  
+  // Whether the character is in deep water, where the collision system holds
+  // it at the surface instead of gravity
+  setSwimming(swimming) {
+    this.swimming = swimming;
+    if (swimming) {
+      this.velocity.y = 0;
+    }
+  }
+  
+  // Speed the character wants to go at: 'walk', 'sprint' or 'crouch'
+  getTargetSpeed(gait) {
+    if (this.swimming) return this.swimSpeed;
+    if (gait === 'sprint') return this.sprintSpeed;
+    if (gait === 'crouch') return this.crouchSpeed;
+    return this.walkSpeed;
+  }
+  
+  // Move a position on by deltaTime seconds, heading for wishDirection (a unit
+  // vector along the ground, or zero to stop)
+  update(position, wishDirection, deltaTime, gait = 'walk') {
+    const dt = Math.min(deltaTime, this.maxDeltaTime);
+    const velocity = this.velocity;
+    const onGround = this.grounded || this.swimming;
+    const moving = wishDirection.lengthSq() > 0;
+    
+    // Speed up or steer towards the wished velocity; without input, friction
+    // stops the character on the ground and momentum carries it in the air
+    if (moving) {
+      const wish = this.wishVelocity.copy(wishDirection).multiplyScalar(this.getTargetSpeed(gait));
+      const acceleration = onGround ? this.acceleration : this.airAcceleration;
+      const dx = wish.x - velocity.x;
+      const dz = wish.z - velocity.z;
+      const difference = Math.hypot(dx, dz);
+      const change = Math.min(difference, acceleration * dt);
+      if (difference > 0) {
+        velocity.x += dx / difference * change;
+        velocity.z += dz / difference * change;
+      }
+    } else if (onGround) {
+      const damping = Math.exp(-this.friction * dt);
+      velocity.x *= damping;
+      velocity.z *= damping;
+    }
+    
+    // Jump off the ground, or just after leaving it
+    const canJump = !this.swimming && !this.climbing && (this.grounded || this.timeSinceGrounded <= this.coyoteTime);
+    if (canJump && this.timeSinceJumpPressed <= this.jumpBufferTime) {
+      velocity.y = this.jumpSpeed;
+      this.grounded = false;
+      this.timeSinceGrounded = Infinity; // One jump per time on the ground
+      this.timeSinceJumpPressed = Infinity;
+    }
+    
+    // Fall, moving by the average speed over the frame so a jump reaches the
+    // same height at any frame rate
+    const startSpeedY = velocity.y;
+    if (!this.grounded && !this.swimming && !this.climbing) {
+      velocity.y = Math.max(velocity.y - this.gravity * dt, -this.maxFallSpeed);
+    }
+    
+    position.x += velocity.x * dt;
+    position.y += (startSpeedY + velocity.y) / 2 * dt;
+    position.z += velocity.z * dt;
+    
+    this.timeSinceGrounded += dt;
+    this.timeSinceJumpPressed += dt;
+  }
+}
@@ -1,4 +1,19 @@
 import * as THREE from 'three';
+import { CharacterMotor } from './CharacterMotor.js';
+
+// Height of the pivot the body tilts around for poses (roughly the hips)
+const BODY_PIVOT_HEIGHT = 1.0;
+
+// Pivot height and forward tilt (radians) of the swim poses. The collision
+// system keeps the feet about 1.3 below the surface, so this lays the body
+// along the water line.
+const SWIM_PIVOT_HEIGHT = 1.25;
+const SURFACE_SWIM_TILT = 1.35;
+const DIVE_TILT = 1.9; // Past horizontal, head first
+const STROKE_RATE = 9; // Arm stroke phase per second (radians)
+
+// How far the body squashes down while crouching
+const CROUCH_SCALE = 0.75;
 
 export class PlayerController {
   constructor(scene, camera, controls) {
@@ -8,9 +23,28 @@ export class PlayerController {
     
     // Player properties
     this.position = new THREE.Vector3(0, 0, 0);
-    this.moveSpeed = 0.5;
     this.rotationSpeed = 0.05;
     
+    // Moves the player by velocity (speeds, jumping and gravity live there)
+    this.motor = new CharacterMotor();
+    this.velocity = this.motor.velocity;
+    
+    // Health, 0 to 1. Landing faster than safeFallSpeed hurts; at
+    // fatalFallSpeed it takes all of it.
+    this.health = 1;
+    this.safeFallSpeed = 12; // A fall of about 3.5 units
+    this.fatalFallSpeed = 26; // A fall of about 17 units
+    
+    // Water state, set by the collision system every frame:
+    // 'walking', 'surface' (swimming with the head above water) or 'diving'
+    this.swimState = 'walking';
+    this.breath = 1; // Breath left, 0 to 1
+    this.breathDuration = 20; // Seconds the player can stay under water
+    this.breathRecoveryTime = 4; // Seconds to fully catch their breath at the surface
+    this.outOfBreath = false; // Ran out under water; can't dive until breath recovers
+    this.swimHeading = 0; // Direction the body faces while swimming (radians)
+    this.strokePhase = 0; // Arm stroke animation
+    
     // Player mesh (temporary for development)
     this.createPlayerMesh();
     
@@ -19,6 +53,9 @@ export class PlayerController {
     this.moveBackward = false;
     this.moveLeft = false;
     this.moveRight = false;
+    this.diveHeld = false;
+    this.sprintHeld = false; // Shift on land
+    this.crouchHeld = false;
     
     // Set up keyboard controls
     this.setupKeyboardControls();
@@ -29,6 +66,15 @@ export class PlayerController {
     // Create a group to hold all body parts
     this.group = new THREE.Group();
     
+    // Body parts hang from a pivot at hip height, so poses can tilt the whole body
+    this.body = new THREE.Group();
+    this.body.position.y = BODY_PIVOT_HEIGHT;
+    this.body.rotation.order = 'YXZ'; // Tilt first, then turn
+    const parts = new THREE.Group();
+    parts.position.y = -BODY_PIVOT_HEIGHT;
+    this.body.add(parts);
+    this.group.add(this.body);
+    
     // Body color and material
     const bodyMaterial = new THREE.MeshStandardMaterial({
       color: 0x3366ff, // Blue clothing
@@ -75,12 +121,16 @@ export class PlayerController {
     rightLeg.castShadow = true;
     
     // Add all body parts to the group
-    this.group.add(head);
-    this.group.add(torso);
-    this.group.add(leftArm);
-    this.group.add(rightArm);
-    this.group.add(leftLeg);
-    this.group.add(rightLeg);
+    parts.add(head);
+    parts.add(torso);
+    parts.add(leftArm);
+    parts.add(rightArm);
+    parts.add(leftLeg);
+    parts.add(rightLeg);
+    
+    // Arms swing while swimming
+    this.leftArm = leftArm;
+    this.rightArm = rightArm;
     
     // Add to scene
     this.scene.add(this.group);
@@ -105,6 +155,19 @@ export class PlayerController {
         case 'KeyD':
           this.moveRight = true;
           break;
+        case 'ShiftLeft':
+        case 'ShiftRight':
+          this.diveHeld = true;
+          this.sprintHeld = true;
+          break;
+        case 'KeyC':
+          this.crouchHeld = true;
+          break;
+        case 'Space':
+          if (!event.repeat) {
+            this.motor.jump();
+          }
+          break;
       }
     });
     
@@ -122,20 +185,153 @@ export class PlayerController {
         case 'KeyD':
           this.moveRight = false;
           break;
+        case 'ShiftLeft':
+        case 'ShiftRight':
+          this.diveHeld = false;
+          this.sprintHeld = false;
+          break;
+        case 'KeyC':
+          this.crouchHeld = false;
+          break;
       }
     });
   }
   
-  // Update player position and camera
-  update() {
+  // Plain object with the player's position and state, for saving
+  getSaveData() {
+    return {
+      position: this.position.toArray(),
+      health: this.health,
+      breath: this.breath,
+      outOfBreath: this.outOfBreath,
+      swimHeading: this.swimHeading
+    };
+  }
+  
+  // Put the player back where getSaveData found them. The collision system
+  // works out the water state again on the next update.
+  restoreSaveData(data) {
+    this.position.fromArray(data.position);
+    this.group.position.copy(this.position);
+    this.velocity.set(0, 0, 0);
+    this.health = data.health ?? 1;
+    this.breath = data.breath ?? 1;
+    this.outOfBreath = Boolean(data.outOfBreath);
+    this.swimHeading = data.swimHeading || 0;
+  }
+  
+  // Start over at a position with full health, standing still
+  respawn(position) {
+    this.position.copy(position);
+    this.group.position.copy(this.position);
+    this.velocity.set(0, 0, 0);
+    this.health = 1;
+  }
+  
+  // Whether the player is dead (see respawn)
+  isDead() {
+    return this.health <= 0;
+  }
+  
+  // Update the ground state. Called by the collision system with whether the
+  // player stands on the ground and whether they are climbing; a hard landing
+  // costs health.
+  setGroundState(grounded, climbing) {
+    const impactSpeed = this.motor.setGroundState(grounded, climbing);
+    if (impactSpeed > this.safeFallSpeed) {
+      this.takeFallDamage(impactSpeed);
+    }
+  }
+  
+  // Lose health for landing at impactSpeed: none at safeFallSpeed, all of it at fatalFallSpeed
+  takeFallDamage(impactSpeed) {
+    const damage = (impactSpeed - this.safeFallSpeed) / (this.fatalFallSpeed - this.safeFallSpeed);
+    this.health = Math.max(0, this.health - Math.min(1, damage));
+  }
+  
+  // Check if the player is in deep water
+  isSwimming() {
+    return this.swimState !== 'walking';
+  }
+  
+  // Whether the player is trying to dive (and has the breath for it)
+  wantsToDive() {
+    return this.diveHeld && !this.outOfBreath;
+  }
+  
+  // Update the water state and breath. Called by the collision system with
+  // whether the player is in deep water and whether their head is under it.
+  setWaterState(swimming, headUnderwater, deltaTime) {
+    if (!swimming) {
+      this.swimState = 'walking';
+    } else {
+      this.swimState = headUnderwater ? 'diving' : 'surface';
+    }
+    this.motor.setSwimming(swimming);
+    
+    if (headUnderwater) {
+      this.breath = Math.max(0, this.breath - deltaTime / this.breathDuration);
+      if (this.breath === 0) {
+        // Out of air: the player has to come up
+        this.outOfBreath = true;
+      }
+    } else {
+      this.breath = Math.min(1, this.breath + deltaTime / this.breathRecoveryTime);
+      if (this.breath >= 0.5) {
+        this.outOfBreath = false;
+      }
+    }
+  }
+  
+  // Whether the player moves at a crouch (on land only)
+  isCrouching() {
+    return this.crouchHeld && !this.isSwimming();
+  }
+  
+  // Pose the body for the current water state: upright on land (squashed down
+  // while crouching), lying along the surface while swimming and tilted head
+  // down while diving
+  updatePose(moving, moveDirection, deltaTime) {
+    if (!this.isSwimming()) {
+      const scale = this.isCrouching() ? CROUCH_SCALE : 1;
+      this.body.position.y = BODY_PIVOT_HEIGHT * scale;
+      this.body.scale.y = scale;
+      this.body.rotation.set(0, 0, 0);
+      this.leftArm.rotation.x = 0;
+      this.rightArm.rotation.x = 0;
+      return;
+    }
+    
+    // Face the direction of travel
+    if (moving) {
+      this.swimHeading = Math.atan2(-moveDirection.x, -moveDirection.z);
+    }
+    
+    const tilt = this.swimState === 'diving' ? DIVE_TILT : SURFACE_SWIM_TILT;
+    this.body.position.y = SWIM_PIVOT_HEIGHT;
+    this.body.scale.y = 1;
+    this.body.rotation.set(-tilt, this.swimHeading, 0);
+    
+    // Alternate arm strokes while moving
+    if (moving) {
+      this.strokePhase += STROKE_RATE * deltaTime;
+    }
+    this.leftArm.rotation.x = Math.sin(this.strokePhase) * 1.2;
+    this.rightArm.rotation.x = -Math.sin(this.strokePhase) * 1.2;
+  }
+  
+  // Move the player on by deltaTime seconds and follow them with the camera
+  update(deltaTime) {
     // Store original position
     const originalPosition = this.position.clone();
     
     // Calculate movement direction
     const moveX = (this.moveRight ? 1 : 0) - (this.moveLeft ? 1 : 0);
     const moveZ = (this.moveBackward ? 1 : 0) - (this.moveForward ? 1 : 0);
+    const moving = moveX !== 0 || moveZ !== 0;
+    const moveDirection = new THREE.Vector3(); // Direction of travel this frame
     
-    if (moveX !== 0 || moveZ !== 0) {
+    if (moving) {
       // Get camera direction for movement relative to view
       const cameraDirection = new THREE.Vector3();
       this.camera.getWorldDirection(cameraDirection);
@@ -157,10 +353,9 @@ export class PlayerController {
         moveVector.add(rightVector.multiplyScalar(moveX));
       }
       
-      // Normalize and apply movement
+      // Normalize, so moving diagonally is no faster
       moveVector.normalize();
-      this.position.x -= moveVector.x * this.moveSpeed;
-      this.position.z -= moveVector.z * this.moveSpeed;
+      moveDirection.copy(moveVector).negate();
     }
     
     // Check if position was changed externally (e.g., by collision system)
@@ -173,8 +368,18 @@ export class PlayerController {
       this.position.copy(this.group.position);
     }
     
+    // Speed up towards the direction of travel (slower when swimming), fall and jump
+    let gait = 'walk';
+    if (this.isCrouching()) {
+      gait = 'crouch';
+    } else if (this.sprintHeld && !this.isSwimming()) {
+      gait = 'sprint';
+    }
+    this.motor.update(this.position, moveDirection, deltaTime, gait);
+    
     // Update player mesh position from our current abstract position
     this.group.position.copy(this.position);
+    this.updatePose(moving, moveDirection, deltaTime);
     
     // Update camera to follow player
     // For development, we'll keep using OrbitControls, but in a real game
@@ -4,6 +4,12 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { WorldGenerator } from './world/WorldGenerator.js';
 import { PlayerController } from './entities/PlayerController.js';
 import { SystemManager } from './systems/SystemManager.js';
+import { UnderwaterEffect } from './world/UnderwaterEffect.js';
+import { SaveSystem, AUTOSAVE_SLOT } from './systems/SaveSystem.js';
+import { ResourceTracker } from './world/ResourceTracker.js';
+
+// Save slots offered in the save menu, besides the autosave
+const SAVE_SLOTS = ['slot-1', 'slot-2', 'slot-3'];
 
 // Create a scene
 const scene = new THREE.Scene();
@@ -49,30 +55,6 @@ scene.add(sunLight);
 const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
 scene.add(ambientLight);
 
-// Create world generator
-const worldGenerator = new WorldGenerator(scene);
-
-// Create system manager
-const systemManager = new SystemManager(scene, worldGenerator);
-
-// Find a suitable spawn point on land
-const spawnPoint = worldGenerator.findSpawnPoint();
-
-// Create player
-const player = new PlayerController(scene, camera, controls);
-player.position.copy(spawnPoint);
-// Adjust the y position to account for player height
-player.position.y -= 0.75; // Half of the player capsule height
-
-// Update camera and controls to follow player at spawn point
-camera.position.set(
-  spawnPoint.x, 
-  spawnPoint.y + 15, 
-  spawnPoint.z + 15
-);
-camera.lookAt(spawnPoint.x, spawnPoint.y, spawnPoint.z);
-controls.target.copy(spawnPoint);
-
 // Handle window resize
 window.addEventListener('resize', () => {
   // Update camera
@@ -85,7 +67,7 @@ window.addEventListener('resize', () => {
 });
 
 // Add controls UI overlay
-function createControlsOverlay() {
+function createControlsOverlay(config) {
   const overlay = document.createElement('div');
   overlay.id = 'controls-overlay';
   overlay.style.position = 'absolute';
@@ -105,36 +87,316 @@ function createControlsOverlay() {
   overlay.innerHTML = `
     <h3 style="margin: 0 0 5px 0; font-size: 16px;">Game Controls</h3>
     <p style="margin: 3px 0;">W-A-S-D Keys: Move</p>
+    <p style="margin: 3px 0;">Space: Jump</p>
+    <p style="margin: 3px 0;">Shift: Sprint, or dive while swimming</p>
+    <p style="margin: 3px 0;">C: Crouch</p>
+    <p style="margin: 3px 0;">M: Save menu</p>
     <p style="margin: 3px 0;">Mouse Drag: Look around</p>
     <p style="margin: 3px 0;">Mouse wheel: Zoom in/out</p>
+    <p style="margin: 3px 0;">Seed: ${config.seed}</p>
+    <p style="margin: 3px 0;"><a href="?${config.toURLParams()}" style="color: white; pointer-events: auto;">Link to this world</a></p>
   `;
 
   document.body.appendChild(overlay);
 }
 
-// Call this after your renderer is initialized and appended to the document
-// For example, after:
-// document.body.appendChild(renderer.domElement);
-createControlsOverlay();
+// Add a breath meter, shown while the player is short of breath
+function createBreathMeter() {
+  const meter = document.createElement('div');
+  meter.id = 'breath-meter';
+  meter.style.position = 'absolute';
+  meter.style.bottom = '30px';
+  meter.style.left = '50%';
+  meter.style.transform = 'translateX(-50%)';
+  meter.style.width = '200px';
+  meter.style.height = '12px';
+  meter.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+  meter.style.border = '2px solid white';
+  meter.style.borderRadius = '8px';
+  meter.style.overflow = 'hidden';
+  meter.style.zIndex = '1000';
+  meter.style.pointerEvents = 'none';
+  meter.style.display = 'none';
+
+  const fill = document.createElement('div');
+  fill.style.height = '100%';
+  fill.style.width = '100%';
+  fill.style.backgroundColor = '#7fd4ff';
+  meter.appendChild(fill);
+
+  document.body.appendChild(meter);
+
+  // Show the player's breath; hidden while it is full
+  return function updateBreathMeter(player) {
+    meter.style.display = player.breath < 1 ? 'block' : 'none';
+    fill.style.width = `${player.breath * 100}%`;
+    fill.style.backgroundColor = player.outOfBreath ? '#ff6b6b' : '#7fd4ff';
+  };
+}
+
+// Add a health meter above the breath meter, shown while the player is hurt
+function createHealthMeter() {
+  const meter = document.createElement('div');
+  meter.id = 'health-meter';
+  meter.style.position = 'absolute';
+  meter.style.bottom = '50px';
+  meter.style.left = '50%';
+  meter.style.transform = 'translateX(-50%)';
+  meter.style.width = '200px';
+  meter.style.height = '12px';
+  meter.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+  meter.style.border = '2px solid white';
+  meter.style.borderRadius = '8px';
+  meter.style.overflow = 'hidden';
+  meter.style.zIndex = '1000';
+  meter.style.pointerEvents = 'none';
+  meter.style.display = 'none';
+
+  const fill = document.createElement('div');
+  fill.style.height = '100%';
+  fill.style.width = '100%';
+  fill.style.backgroundColor = '#ff6b6b';
+  meter.appendChild(fill);
 
-// Animation loop
-function animate() {
-  requestAnimationFrame(animate);
+  document.body.appendChild(meter);
+
+  // Show the player's health; hidden while it is full
+  return function updateHealthMeter(player) {
+    meter.style.display = player.health < 1 ? 'block' : 'none';
+    fill.style.width = `${player.health * 100}%`;
+  };
+}
+
+// Add a counter of live GPU resources for development: what the resource
+// trackers own and what the renderer holds. Neither should keep growing while
+// walking through the world.
+function createResourceCounter() {
+  const counter = document.createElement('div');
+  counter.id = 'resource-counter';
+  counter.style.position = 'absolute';
+  counter.style.bottom = '10px';
+  counter.style.left = '10px';
+  counter.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+  counter.style.color = 'white';
+  counter.style.padding = '5px 10px';
+  counter.style.borderRadius = '5px';
+  counter.style.fontFamily = 'monospace';
+  counter.style.fontSize = '12px';
+  counter.style.zIndex = '1000';
+  counter.style.pointerEvents = 'none';
+  
+  document.body.appendChild(counter);
   
-  // Update world generator
-  worldGenerator.update(player.position);
+  // Refreshed a few times a second; the DOM doesn't need every frame
+  let frame = 0;
+  return function updateResourceCounter() {
+    if (frame++ % 20 !== 0) return;
+    
+    const tracked = ResourceTracker.getLiveCounts();
+    const { memory, render } = renderer.info;
+    counter.textContent =
+      `Tracked: ${tracked.geometries} geometries, ${tracked.materials} materials, ${tracked.textures} textures | ` +
+      `GPU: ${memory.geometries} geometries, ${memory.textures} textures, ${renderer.info.programs.length} programs, ${render.calls} draw calls`;
+  };
+}
+
+// Add a save menu, toggled with M: save, load and delete slots, and export or
+// import the game as a JSON file
+function createSaveMenu(saveSystem) {
+  const menu = document.createElement('div');
+  menu.id = 'save-menu';
+  menu.style.position = 'absolute';
+  menu.style.top = '10px';
+  menu.style.right = '10px';
+  menu.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+  menu.style.color = 'white';
+  menu.style.padding = '10px';
+  menu.style.borderRadius = '5px';
+  menu.style.fontFamily = 'Arial, sans-serif';
+  menu.style.fontSize = '14px';
+  menu.style.zIndex = '1000';
+  menu.style.minWidth = '280px';
+  menu.style.display = 'none';
   
-  // First update systems (collision, etc.)
-  systemManager.update(player);
+  menu.innerHTML = '<h3 style="margin: 0 0 5px 0; font-size: 16px;">Saved Games</h3>';
+  const list = document.createElement('div');
+  const status = document.createElement('p');
+  status.style.margin = '5px 0 0 0';
+  status.style.color = '#ff6b6b';
+  
+  function addButton(parent, label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.marginLeft = '5px';
+    button.addEventListener('click', onClick);
+    parent.appendChild(button);
+  }
+  
+  function showError(error) {
+    console.error('Save menu:', error);
+    status.textContent = error.message;
+  }
+  
+  // List the slots with what is saved in them
+  function refresh() {
+    status.textContent = '';
+    
+    saveSystem.listSaves()
+      .then(saves => {
+        const savesBySlot = new Map(saves.map(save => [save.slot, save]));
+        const slots = [AUTOSAVE_SLOT, ...SAVE_SLOTS];
+        saves.forEach(save => {
+          if (!slots.includes(save.slot)) slots.push(save.slot);
+        });
+        
+        list.innerHTML = '';
+        for (const slot of slots) {
+          const save = savesBySlot.get(slot);
+          const row = document.createElement('div');
+          row.style.margin = '3px 0';
+          row.textContent = save
+            ? `${slot}: seed ${save.config.seed}, ${new Date(save.savedAt).toLocaleString()}`
+            : `${slot}: empty`;
+          
+          if (slot !== AUTOSAVE_SLOT) {
+            addButton(row, 'Save', () => saveSystem.save(slot).then(refresh).catch(showError));
+          }
+          if (save) {
+            addButton(row, 'Load', () => saveSystem.load(slot));
+            addButton(row, 'Delete', () => saveSystem.deleteSave(slot).then(refresh).catch(showError));
+          }
+          list.appendChild(row);
+        }
+      })
+      .catch(showError);
+  }
+  
+  // Export the current game, or import one and switch to it
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    
+    saveSystem.importFromFile(file)
+      .then(slot => saveSystem.load(slot))
+      .catch(showError);
+  });
+  
+  const fileButtons = document.createElement('div');
+  fileButtons.style.marginTop = '8px';
+  addButton(fileButtons, 'Export to file', () => saveSystem.exportToFile());
+  addButton(fileButtons, 'Import from file', () => fileInput.click());
+  
+  menu.append(list, fileButtons, fileInput, status);
+  document.body.appendChild(menu);
+  
+  document.addEventListener('keydown', (event) => {
+    if (event.code !== 'KeyM') return;
+    
+    const open = menu.style.display === 'none';
+    menu.style.display = open ? 'block' : 'none';
+    if (open) refresh();
+  });
+}
+
+// Start the game once the world config is known, resuming a save if there is one
+function startGame(config, save = null) {
+  // Create world generator
+  const worldGenerator = new WorldGenerator(scene, config);
+  worldGenerator.waterMaterial.setSunDirection(sunLight.position);
+  
+  // Sprites for distant objects, baked from every object variant
+  worldGenerator.getObjectPlacer().bakeImpostors(renderer);
+  
+  // Fog and tint while the camera is under water
+  const underwaterEffect = new UnderwaterEffect(scene, worldGenerator);
+
+  // Create system manager
+  const systemManager = new SystemManager(scene, worldGenerator);
+
+  // Create player
+  const player = new PlayerController(scene, camera, controls);
+  
+  // Saving, autosave and loading
+  const saveSystem = new SaveSystem(worldGenerator, player, camera, controls);
+  systemManager.addSystem('save', saveSystem);
+  
+  if (save) {
+    // Continue where the save left off
+    saveSystem.restore(save);
+  } else {
+    // Find a suitable spawn point on land if there is one nearby
+    const spawnPoint = worldGenerator.findSpawnPoint();
+    player.position.copy(spawnPoint);
+    // Adjust the y position to account for player height
+    player.position.y -= 0.75; // Half of the player capsule height
+
+    // Update camera and controls to follow player at spawn point
+    camera.position.set(
+      spawnPoint.x, 
+      spawnPoint.y + 15, 
+      spawnPoint.z + 15
+    );
+    camera.lookAt(spawnPoint.x, spawnPoint.y, spawnPoint.z);
+    controls.target.copy(spawnPoint);
+  }
+
+  createControlsOverlay(config);
+  createSaveMenu(saveSystem);
+  const updateBreathMeter = createBreathMeter();
+  const updateHealthMeter = createHealthMeter();
+  const updateResourceCounter = import.meta.env.DEV ? createResourceCounter() : null;
   
-  // Then update player with collision-adjusted position
-  player.update();
+  // Camera view direction, used to load chunks in front of the player first
+  const viewDirection = new THREE.Vector3();
   
-  // Update controls
-  controls.update();
+  // Animation loop
+  function animate() {
+    requestAnimationFrame(animate);
+    
+    // Update world generator
+    camera.getWorldDirection(viewDirection);
+    worldGenerator.update(player.position, viewDirection);
+    
+    // First update systems (collision, etc.)
+    systemManager.update(player);
+    
+    // Then update player with collision-adjusted position
+    player.update(systemManager.deltaTime);
+    updateBreathMeter(player);
+    updateHealthMeter(player);
+    
+    // A fatal fall: start over at the spawn point
+    if (player.isDead()) {
+      player.respawn(worldGenerator.findSpawnPoint());
+    }
+    
+    // Update controls
+    controls.update();
+    
+    // Switch to the underwater look if the camera dipped below the surface
+    underwaterEffect.update(camera);
+    
+    // Render
+    renderer.render(scene, camera);
+    if (updateResourceCounter) {
+      updateResourceCounter();
+    }
+  }
   
-  // Render
-  renderer.render(scene, camera);
+  animate();
 }
 
-animate(); 
\ No newline at end of file
+// Resume a saved game (?save=slot-1), or load the world config from the URL
+// (?seed=1234&renderDistance=4&water=0.3) or from a JSON file
+// (?config=worlds/island.json), then start
+SaveSystem.loadGame(window.location.search)
+  .then(({ config, save }) => startGame(config, save))
+  .catch(error => {
+    console.error('Failed to load world config:', error);
+    throw error;
+  });
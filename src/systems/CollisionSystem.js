@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { Capsule } from 'three/examples/jsm/math/Capsule.js';
 
 export class CollisionSystem {
   constructor(worldGenerator) {
@@ -11,14 +12,42 @@ export class CollisionSystem {
     this.groundOffset = 0.05; // Small offset to keep player slightly above ground (reduced from 0.1)
     this.maxClimbAngle = 45; // Maximum angle in degrees that the player can climb
     this.maxClimbAngleRadians = this.maxClimbAngle * (Math.PI / 180);
+    this.terrainNormal = new THREE.Vector3(); // Reused by terrain slope checks
+    this.stepHeight = 0.5; // Ledges the player can step up onto (floors in volumetric worlds)
+    this.lastFreePosition = null; // Where the player's body last fitted between floor and ceiling
+    this.previousPosition = null; // Where the player was after the last update
+    this.grounded = false; // Whether the player stood on the ground after the last update
+    
+    // Water parameters
+    this.swimDepth = 1.2; // Water deeper than this makes the player swim instead of wade
+    this.floatDepth = 1.3; // How far the feet hang below the surface while swimming on it
+    this.headHeight = 1.5; // Height of the head above the feet, for the breath check
+    this.buoyancy = 3; // Speed at which the player rises back to the surface
+    this.diveSpeed = 2; // Speed at which the player sinks while diving
     
     // Flag to indicate if player origin is at feet (true) or center (false)
     this.playerOriginAtFeet = true;
     
     // Object collision parameters
     this.objectCollisionEnabled = true;
-    this.objectColliders = new Map(); // Map to store object colliders
-    this.bounceStrength = 0.5; // How strongly to bounce the player back
+    this.collisionIterations = 4; // Passes over the contacts per step (a push out of one tree can end in the next)
+    this.contactSkin = 0.001; // Extra push so a resolved contact isn't found again
+    this.minWallNormal = 0.1; // Contacts whose normal is flatter than this (tops, overhangs) don't push sideways
+    this.nearbyColliders = []; // Reused by the broadphase query each frame
+    this.collisionNormal = new THREE.Vector2(); // Reused by object collision checks
+    this.contactCount = 0; // Contacts resolved in the last step
+    this.lastClearPosition = null; // Where the player last fitted between objects
+    this.maxSweepDistance = 5; // Longer moves in one step are teleports, not swept through objects
+    
+    // Object surfaces: objects tagged 'walkable' (mega rocks, flat roofs) are
+    // ground to stand on, and the player climbs objects tagged 'climbable'
+    this.climbSpeed = 2; // Speed at which the player climbs up climbable objects
+    this.climbing = false; // Whether the player pressed against a climbable object in the last step
+    this.groundSurface = null; // Walkable object surface the player stands on ({ height, normal }), null on terrain
+    
+    // The player's body as objects see it: an upright capsule from the feet to
+    // the top of the head, moved to the player before each check
+    this.playerCapsule = new Capsule(new THREE.Vector3(), new THREE.Vector3(), this.playerRadius);
   }
   
   // Update player position based on terrain and objects
@@ -31,8 +60,8 @@ export class CollisionSystem {
       return;
     }
     
-    // Store original position to calculate movement delta
-    const originalPosition = player.position.clone();
+    // Where the player stood before this frame's move, to step back to
+    const originalPosition = this.previousPosition || player.position.clone();
     
     // Validate deltaTime
     if (typeof deltaTime !== 'number' || isNaN(deltaTime)) {
@@ -40,22 +69,68 @@ export class CollisionSystem {
       deltaTime = 1/60; // Default to 60fps
     }
     
-    // 1. Handle terrain collision and gravity
+    // 1. Handle terrain collision and ground contact
     this.handleTerrainCollision(player, deltaTime, originalPosition);
     
     // 2. Handle object collisions (after terrain collision to ensure correct height)
     if (this.objectCollisionEnabled) {
-      this.handleObjectCollision(player, originalPosition);
+      this.handleObjectCollision(player);
     }
+    
+    this.previousPosition = originalPosition.copy(player.position);
   }
   
-  // Handle terrain collision and gravity
+  // Handle terrain collision and ground contact. The player falls by their own
+  // velocity (see CharacterMotor); this catches them on the ground and tells
+  // them whether they stand on it (setGroundState).
   handleTerrainCollision(player, deltaTime, originalPosition) {
-    // Get the terrain height at player's position
-    const terrainHeight = this.getTerrainHeightAt(player.position.x, player.position.z);
+    // A fast fall can carry the feet deep into the ground in one frame
+    this.catchFall(player, originalPosition);
+    
+    // Walls and ceilings (caves and overhangs): step back to where the body last fitted
+    if (this.isBodyBlocked(player.position)) {
+      if (this.lastFreePosition) {
+        // Stop moving into the wall or ceiling, so the next frame doesn't run into it again
+        this.stopPlayerVelocity(
+          player,
+          player.position.x - this.lastFreePosition.x,
+          player.position.y - this.lastFreePosition.y,
+          player.position.z - this.lastFreePosition.z
+        );
+        player.position.copy(this.lastFreePosition);
+        
+        // Also update mesh position directly for immediate visual effect
+        if (player.group && player.group.position) {
+          player.group.position.copy(this.lastFreePosition);
+        }
+      }
+    } else if (this.lastFreePosition) {
+      this.lastFreePosition.copy(player.position);
+    } else {
+      this.lastFreePosition = player.position.clone();
+    }
+    
+    // Get the height of the ground under the player's feet (terrain, or a
+    // walkable object standing on it)
+    const originOffset = this.playerOriginAtFeet ? 0 : this.playerHeight / 2;
+    const groundHeight = this.getGroundHeightAt(
+      player.position.x,
+      player.position.z,
+      player.position.y - originOffset
+    );
     
     // If no height found (e.g., outside map bounds), return
-    if (terrainHeight === null) return;
+    if (groundHeight === null) return;
+    
+    // In deep water the player swims instead of walking along the bottom
+    const waterLevel = this.worldGenerator.getWaterLevelAt(player.position.x, player.position.z);
+    if (waterLevel !== null && waterLevel - groundHeight > this.swimDepth) {
+      this.grounded = false;
+      this.setPlayerGroundState(player, false, false);
+      this.handleWaterMovement(player, deltaTime, groundHeight, waterLevel);
+      return;
+    }
+    this.setPlayerWaterState(player, false, false, deltaTime);
     
     // Calculate player's feet position based on origin
     let playerFeetHeight;
@@ -67,303 +142,348 @@ export class CollisionSystem {
       playerFeetHeight = player.position.y - this.playerHeight / 2;
     }
     
-    // Check if player is below terrain (collision)
-    if (playerFeetHeight < terrainHeight) {
-      // Check if the slope is too steep to climb
-      if (this.isSlopeTooSteep(player.position)) {
-        // If too steep, revert movement
-        player.position.copy(originalPosition);
-        
-        // Also update mesh position directly for immediate visual effect
-        if (player.group && player.group.position) {
-          player.group.position.copy(originalPosition);
-        }
-      } else {
-        // If slope is climbable, adjust height to be on ground
-        let newY;
-        if (this.playerOriginAtFeet) {
-          // If origin is at feet, place feet directly on terrain plus offset
-          newY = terrainHeight + this.groundOffset;
-        } else {
-          // If origin is at center, place center at terrain + half height + offset
-          newY = terrainHeight + this.playerHeight / 2 + this.groundOffset;
-        }
-        
-        player.position.y = newY;
-        
-        // Also update mesh position directly for immediate visual effect
-        if (player.group && player.group.position) {
-          player.group.position.y = newY;
-        }
-      }
-    }
-    
-    // Apply gravity if player is above ground
-    if (playerFeetHeight > terrainHeight + this.groundOffset) {
-      // Simple gravity implementation
-      const gravityDelta = 9.81 * deltaTime; // Adjust fall speed
-      player.position.y -= gravityDelta;
+    // The feet reach the ground, or on the ground, it drops away by no more
+    // than a step (down a slope or a ledge) while the player isn't jumping off it
+    const rising = Boolean(player.velocity) && player.velocity.y > 0;
+    const heightAboveGround = playerFeetHeight - (groundHeight + this.groundOffset);
+    const touching = heightAboveGround <= 0;
+    const following = this.grounded && !rising && !this.climbing && heightAboveGround <= this.stepHeight;
+    const moved = originalPosition.distanceTo(player.position);
+    
+    if (playerFeetHeight < groundHeight && this.grounded && moved <= this.maxSweepDistance &&
+        this.isSlopeTooSteep(player.position, groundHeight)) {
+      // Walking into ground too steep to walk up: step back to where the player stood
+      player.position.copy(originalPosition);
       
       // Also update mesh position directly for immediate visual effect
       if (player.group && player.group.position) {
-        player.group.position.y -= gravityDelta;
+        player.group.position.copy(originalPosition);
       }
-      
-      // Calculate new feet position after gravity
-      let newPlayerFeetHeight;
+    } else if (touching || following) {
+      // Stand on the ground
+      let newY;
       if (this.playerOriginAtFeet) {
-        newPlayerFeetHeight = player.position.y;
+        // If origin is at feet, place feet directly on terrain plus offset
+        newY = groundHeight + this.groundOffset;
       } else {
-        newPlayerFeetHeight = player.position.y - this.playerHeight / 2;
+        // If origin is at center, place center at terrain + half height + offset
+        newY = groundHeight + this.playerHeight / 2 + this.groundOffset;
       }
       
-      // Don't fall below ground
-      if (newPlayerFeetHeight < terrainHeight) {
-        let newY;
-        if (this.playerOriginAtFeet) {
-          newY = terrainHeight + this.groundOffset;
-        } else {
-          newY = terrainHeight + this.playerHeight / 2 + this.groundOffset;
-        }
-        
-        player.position.y = newY;
-        
-        // Also update mesh position directly for immediate visual effect
-        if (player.group && player.group.position) {
-          player.group.position.y = newY;
-        }
+      player.position.y = newY;
+      
+      // Also update mesh position directly for immediate visual effect
+      if (player.group && player.group.position) {
+        player.group.position.y = newY;
+      }
+      this.grounded = true;
+    } else {
+      this.grounded = false;
+    }
+    
+    // Climb up a climbable object the player is pressing against instead of
+    // falling; over its top, the ground check above steps them onto it
+    if (this.climbing) {
+      const climbDelta = this.climbSpeed * deltaTime;
+      player.position.y += climbDelta;
+      
+      // Also update mesh position directly for immediate visual effect
+      if (player.group && player.group.position) {
+        player.group.position.y += climbDelta;
       }
     }
+    
+    this.setPlayerGroundState(player, this.grounded, this.climbing);
   }
   
-  // Handle collision with objects in the world
-  handleObjectCollision(player, originalPosition) {
-    // Get player position in 2D (x, z) for collision testing
-    const playerPos2D = new THREE.Vector2(player.position.x, player.position.z);
+  // Sweep a falling player's feet down from where they were last frame, and
+  // stop them on the floor (terrain or a walkable object) they passed through.
+  // The ground check then lands them there.
+  catchFall(player, originalPosition) {
+    const position = player.position;
+    if (!player.velocity || player.velocity.y >= 0 || position.y >= originalPosition.y) return;
     
-    // Early return if no object placer
-    if (!this.worldGenerator.objectPlacer) return;
+    // Teleports (loading, respawning) aren't falls
+    if (Math.hypot(position.x - originalPosition.x, position.z - originalPosition.z) > this.maxSweepDistance) return;
     
-    const objectPlacer = this.worldGenerator.objectPlacer;
+    const originOffset = this.playerOriginAtFeet ? 0 : this.playerHeight / 2;
+    const startFeetHeight = originalPosition.y - originOffset;
+    const floorHeight = this.getGroundHeightAt(position.x, position.z, startFeetHeight);
+    if (floorHeight === null || startFeetHeight < floorHeight) return;
+    
+    const landedY = floorHeight + this.groundOffset + originOffset;
+    if (position.y >= landedY) return;
     
-    // Check collisions in priority order
-    const collisionResult = this.checkMegaRockCollisions(playerPos2D, objectPlacer) || 
-                            this.checkBuildingCollisions(playerPos2D, objectPlacer) || 
-                            this.checkApartmentCollisions(playerPos2D, objectPlacer) ||
-                            this.checkWorldObjectCollisions(playerPos2D, objectPlacer);
+    position.y = landedY;
     
-    // Apply collision response if needed
-    if (collisionResult) {
-      this.applyCollisionResponse(player, originalPosition, collisionResult);
+    // Also update mesh position directly for immediate visual effect
+    if (player.group && player.group.position) {
+      player.group.position.y = landedY;
     }
   }
-
-  // Check for collisions with mega rocks
-  checkMegaRockCollisions(playerPos2D, objectPlacer) {
-    const megaRockRadius = 1;
+  
+  // Move the player through deep water: buoyancy holds them at the surface,
+  // diving takes them under, and the bottom stops them
+  handleWaterMovement(player, deltaTime, terrainHeight, waterLevel) {
+    const originOffset = this.playerOriginAtFeet ? 0 : this.playerHeight / 2;
+    const floatHeight = waterLevel - this.floatDepth; // Feet height when swimming at the surface
+    let feetHeight = player.position.y - originOffset;
+    
+    const diving = typeof player.wantsToDive === 'function' && player.wantsToDive();
+    if (diving) {
+      feetHeight -= this.diveSpeed * deltaTime;
+    } else if (feetHeight < floatHeight) {
+      // Float back up to the surface
+      feetHeight = Math.min(floatHeight, feetHeight + this.buoyancy * deltaTime);
+    } else if (feetHeight > floatHeight + this.stepHeight) {
+      // Still in the air above the water (jumping or falling in): the player
+      // falls until the surface catches them
+      this.setPlayerWaterState(player, false, false, deltaTime);
+      return;
+    } else {
+      // Caught by the surface
+      feetHeight = floatHeight;
+    }
     
-    for (const megaRockPos of objectPlacer.megaRockPositions) {
-      const megaRockPos2D = new THREE.Vector2(megaRockPos.x, megaRockPos.z);
-      const distance = playerPos2D.distanceTo(megaRockPos2D);
-      
-      if (distance < this.playerRadius + megaRockRadius) {
-        // Calculate bounce direction (away from mega rock)
-        const normal = new THREE.Vector2().subVectors(playerPos2D, megaRockPos2D).normalize();
-        return { normal };
-      }
+    // Don't sink into the ground
+    feetHeight = Math.max(feetHeight, terrainHeight + this.groundOffset);
+    
+    const newY = feetHeight + originOffset;
+    player.position.y = newY;
+    
+    // Also update mesh position directly for immediate visual effect
+    if (player.group && player.group.position) {
+      player.group.position.y = newY;
     }
     
-    return null;
+    const headUnderwater = feetHeight + this.headHeight < waterLevel;
+    this.setPlayerWaterState(player, true, headUnderwater, deltaTime);
   }
   
-  // Check for collisions with buildings
-  checkBuildingCollisions(playerPos2D, objectPlacer) {
-    const buildingRadius = 1;
-    
-    for (const buildingPos of objectPlacer.buildingPositions) {
-      const buildingPos2D = new THREE.Vector2(buildingPos.x, buildingPos.z);
-      const distance = playerPos2D.distanceTo(buildingPos2D);
-      
-      if (distance < this.playerRadius + buildingRadius) {
-        // Calculate bounce direction (away from building)
-        const normal = new THREE.Vector2().subVectors(playerPos2D, buildingPos2D).normalize();
-        return { normal };
-      }
+  // Take away the part of the player's velocity going along a direction (x, y, z),
+  // e.g. into a wall or ceiling that stopped them
+  stopPlayerVelocity(player, x, y, z) {
+    const velocity = player.velocity;
+    const length = Math.hypot(x, y, z);
+    if (!velocity || length < 1e-9) return;
+    
+    const speed = (velocity.x * x + velocity.y * y + velocity.z * z) / length;
+    if (speed <= 0) return;
+    
+    velocity.x -= speed * x / length;
+    velocity.y -= speed * y / length;
+    velocity.z -= speed * z / length;
+  }
+  
+  // Tell the player whether they stand on the ground and whether they climb
+  setPlayerGroundState(player, grounded, climbing) {
+    if (typeof player.setGroundState === 'function') {
+      player.setGroundState(grounded, climbing);
     }
-    
-    return null;
   }
   
-  // Check for collisions with apartments
-  checkApartmentCollisions(playerPos2D, objectPlacer) {
-    const apartmentRadius = 1;
+  // Tell the player whether they are swimming and whether their head is under water
+  setPlayerWaterState(player, swimming, headUnderwater, deltaTime) {
+    if (typeof player.setWaterState === 'function') {
+      player.setWaterState(swimming, headUnderwater, deltaTime);
+    }
+  }
+  
+  // Handle collision with objects in the world: push the player out of every
+  // collider they walked into, along the ground. Pushing out along a contact's
+  // normal takes back the part of the step that went into the surface and keeps
+  // the part along it, so the player slides along walls and hedges instead of
+  // stopping. Passes repeat until nothing overlaps, since the push out of one
+  // object can end in the next (between closely spaced trees, in a corner).
+  // Contacts pushing against each other (a gap narrower than the player) can't
+  // be settled that way; then the player goes back to where they last fitted.
+  //
+  // The move from there is taken in steps no longer than the player's radius,
+  // so a fast step can't carry the player through a thin wall (the sides of a
+  // mega rock are one triangle thick) and out the other side.
+  handleObjectCollision(player) {
+    // Early return if no object placer
+    if (!this.worldGenerator.objectPlacer) return;
     
-    for (const apartmentPos of objectPlacer.apartmentPositions) {
-      const apartmentPos2D = new THREE.Vector2(apartmentPos.x, apartmentPos.z);
-      const distance = playerPos2D.distanceTo(apartmentPos2D);
-      
-      if (distance < this.playerRadius + apartmentRadius) {
-        // Calculate bounce direction (away from apartment)
-        const normal = new THREE.Vector2().subVectors(playerPos2D, apartmentPos2D).normalize();
-        return { normal };
+    const objectPlacer = this.worldGenerator.objectPlacer;
+    const position = player.position;
+    const from = this.lastClearPosition;
+    
+    let steps = 1;
+    let stepX = 0;
+    let stepZ = 0;
+    if (from) {
+      const distance = Math.hypot(position.x - from.x, position.z - from.y);
+      if (distance > this.playerRadius && distance <= this.maxSweepDistance) {
+        steps = Math.ceil(distance / this.playerRadius);
+        stepX = (position.x - from.x) / steps;
+        stepZ = (position.z - from.y) / steps;
+        position.x = from.x;
+        position.z = from.y;
       }
     }
     
-    return null;
-  }
-  
-  // Check for collisions with other world objects
-  checkWorldObjectCollisions(playerPos2D, objectPlacer) {
-    for (const [chunkKey, objects] of objectPlacer.objects) {
-      for (const object of objects) {
-        // Skip non-collidable objects or objects without position
-        if (!object.position) continue;
-        
-        // Get collision radius based on object type
-        const objectRadius = this.getObjectCollisionRadius(object);
-        
-        // Simple distance check
-        const objectPos2D = new THREE.Vector2(object.position.x, object.position.z);
-        const distance = playerPos2D.distanceTo(objectPos2D);
+    this.contactCount = 0;
+    this.climbing = false;
+    for (let step = 0; step < steps; step++) {
+      position.x += stepX;
+      position.z += stepZ;
+      const stepEndX = position.x;
+      const stepEndZ = position.z;
+      
+      if (this.settleObjectContacts(position, objectPlacer)) {
+        // Stop moving into what pushed the player out
+        this.stopPlayerVelocity(player, stepEndX - position.x, 0, stepEndZ - position.z);
         
-        if (distance < this.playerRadius + objectRadius) {
-          // Calculate bounce direction (away from object)
-          const normal = new THREE.Vector2().subVectors(playerPos2D, objectPos2D).normalize();
-          return { normal };
+        if (this.lastClearPosition) {
+          this.lastClearPosition.set(position.x, position.z);
+        } else {
+          this.lastClearPosition = new THREE.Vector2(position.x, position.z);
+        }
+      } else {
+        if (this.lastClearPosition) {
+          // Stop moving into the gap that doesn't fit the player
+          this.stopPlayerVelocity(player, stepEndX - this.lastClearPosition.x, 0, stepEndZ - this.lastClearPosition.y);
+          position.x = this.lastClearPosition.x;
+          position.z = this.lastClearPosition.y;
         }
+        break;
       }
     }
     
-    return null;
+    // Update mesh position for immediate visual feedback
+    if (this.contactCount > 0 && player.group && player.group.position) {
+      player.group.position.x = player.position.x;
+      player.group.position.z = player.position.z;
+    }
   }
   
-  // Determine collision radius based on object type
-  getObjectCollisionRadius(object) {
-    // If object has type metadata
-    if (object.userData && object.userData.type) {
-      switch (object.userData.type) {
-        case 'tree': return 0.8;
-        case 'rock': return 0.6;
-        case 'bush': return 0.5;
-        default: return 0.5;
-      }
-    } 
-    
-    // Try to guess based on size or children
-    if (object.scale && object.scale.x > 1.5) {
-      return 0.8; // Probably a tree
-    }
-    
-    return 0.4; // Default size
+  // Fit the player capsule to the player's position
+  updatePlayerCapsule(position) {
+    const feetHeight = this.playerOriginAtFeet ? position.y : position.y - this.playerHeight / 2;
+    const capsule = this.playerCapsule;
+    capsule.radius = this.playerRadius;
+    capsule.start.set(position.x, feetHeight + this.playerRadius, position.z);
+    capsule.end.set(position.x, feetHeight + this.playerHeight - this.playerRadius, position.z);
+    return capsule;
   }
   
-  // Apply collision response
-  applyCollisionResponse(player, originalPosition, collisionResult) {
-    const { normal } = collisionResult;
-    const bounceDistance = this.bounceStrength;
-    
-    // Move player position away from collision along normal
-    player.position.x = originalPosition.x + normal.x * bounceDistance;
-    player.position.z = originalPosition.z + normal.y * bounceDistance;
-    
-    // Update mesh position for immediate visual feedback
-    if (player.group && player.group.position) {
-      player.group.position.x = player.position.x;
-      player.group.position.z = player.position.z;
+  // Push a position out of the objects it overlaps, over up to
+  // collisionIterations passes. Returns whether it ends up clear of them.
+  settleObjectContacts(position, objectPlacer) {
+    for (let i = 0; i < this.collisionIterations; i++) {
+      if (!this.resolveObjectContacts(position, objectPlacer)) return true;
     }
+    return !this.overlapsObjects(position, objectPlacer);
   }
   
-  // Register a world object for collision detection
-  registerObjectCollider(object, radius) {
-    if (!object.uuid) return;
+  // One pass over the colliders of world objects around the player (circles,
+  // boxes and triangle meshes their factories declare, see Colliders), found
+  // through the object placer's collider grid. Each contact moves the position
+  // out before the next is tested, so contacts on several sides settle
+  // together. Returns whether anything overlapped.
+  resolveObjectContacts(position, objectPlacer) {
+    const capsule = this.updatePlayerCapsule(position);
+    const nearby = objectPlacer.getCollidersNear(capsule.start.x, capsule.start.z, capsule.radius, this.nearbyColliders);
+    let touched = false;
+    
+    for (const object of nearby) {
+      const contact = object.userData.collider.intersectCapsule(capsule);
+      if (!contact) continue;
+      
+      // Walls push along the ground; contacts straight above or below (the top
+      // of a rock, an overhang) don't push sideways
+      const normal = this.collisionNormal.set(contact.normal.x, contact.normal.z);
+      const horizontal = normal.length();
+      if (horizontal < this.minWallNormal) continue;
+      normal.divideScalar(horizontal);
+      
+      // Far enough along the ground to free the contact's depth along its normal
+      const push = contact.depth / horizontal + this.contactSkin;
+      position.x += normal.x * push;
+      position.z += normal.y * push;
+      this.updatePlayerCapsule(position);
+      
+      if (object.userData.tags.includes('climbable')) {
+        this.climbing = true;
+      }
+      this.contactCount++;
+      touched = true;
+    }
     
-    this.objectColliders.set(object.uuid, {
-      object,
-      radius: radius || 1.0
+    return touched;
+  }
+  
+  // Whether the player would overlap the collider of any world object at a
+  // position (ignoring contacts that don't push sideways, as above)
+  overlapsObjects(position, objectPlacer) {
+    const capsule = this.updatePlayerCapsule(position);
+    const nearby = objectPlacer.getCollidersNear(capsule.start.x, capsule.start.z, capsule.radius, this.nearbyColliders);
+    
+    return nearby.some(object => {
+      const contact = object.userData.collider.intersectCapsule(capsule);
+      return contact !== null && Math.hypot(contact.normal.x, contact.normal.z) >= this.minWallNormal;
     });
   }
   
-  // Remove an object collider
-  removeObjectCollider(object) {
-    if (!object.uuid) return;
-    this.objectColliders.delete(object.uuid);
+  // Get the height of the ground under feet at a given height (on the triangles
+  // the player sees). In volumetric worlds this is the floor the feet stand on,
+  // e.g. inside a cave rather than on the hill above it.
+  getTerrainHeightAt(x, z, feetHeight) {
+    return this.worldGenerator.getFloorHeightAt(x, feetHeight + this.stepHeight, z);
   }
   
-  // Get terrain height at position
-  getTerrainHeightAt(x, z) {
-    // Get active chunks from WorldGenerator
-    const chunks = this.worldGenerator.chunks;
-    
-    // Find the chunk that contains this position
-    const chunkSize = this.worldGenerator.CHUNK_SIZE;
-    const chunkX = Math.floor(x / chunkSize);
-    const chunkZ = Math.floor(z / chunkSize);
-    const chunkKey = `${chunkX},${chunkZ}`;
-    
-    // Get the chunk
-    const chunk = chunks.get(chunkKey);
-    
-    // If chunk exists, get height
-    if (chunk) {
-      return chunk.getHeightAt(x, z);
-    }
-    
-    // Try using initial chunk if main chunks aren't loaded yet
-    if (this.worldGenerator.initialChunk) {
-      return this.worldGenerator.initialChunk.getHeightAt(x, z);
-    }
-    
-    // If no height found, return null
-    return null;
+  // Get the height of the ground under feet at a given height: the terrain, or
+  // the top of a walkable object standing on it, whichever is higher. Both are
+  // looked for from a step above the feet down, so the player steps up onto low
+  // ledges of either. The object surface, if it won, is kept in groundSurface.
+  getGroundHeightAt(x, z, feetHeight) {
+    const terrainHeight = this.getTerrainHeightAt(x, z, feetHeight);
+    const surface = this.getWalkableSurfaceAt(x, feetHeight + this.stepHeight, z);
+    
+    const onSurface = surface !== null && (terrainHeight === null || surface.height > terrainHeight);
+    this.groundSurface = onSurface ? surface : null;
+    return onSurface ? surface.height : terrainHeight;
   }
   
-  // Check if the slope at position is too steep to climb
-  isSlopeTooSteep(position) {
-    // Sample points around the player to determine slope
-    const sampleDistance = 0.5;
-    
-    // Get heights at sampled points
-    const centerHeight = this.getTerrainHeightAt(position.x, position.z);
-    
-    // If no height data, assume not steep
-    if (centerHeight === null) return false;
-    
-    // Get 4 heights around the player
-    const northHeight = this.getTerrainHeightAt(position.x, position.z - sampleDistance);
-    const southHeight = this.getTerrainHeightAt(position.x, position.z + sampleDistance);
-    const eastHeight = this.getTerrainHeightAt(position.x + sampleDistance, position.z);
-    const westHeight = this.getTerrainHeightAt(position.x - sampleDistance, position.z);
-    
-    // Calculate the steepest slope
-    const slopes = [];
-    
-    if (northHeight !== null) {
-      const slopeNorth = Math.abs(Math.atan((northHeight - centerHeight) / sampleDistance));
-      slopes.push(slopeNorth);
-    }
-    
-    if (southHeight !== null) {
-      const slopeSouth = Math.abs(Math.atan((southHeight - centerHeight) / sampleDistance));
-      slopes.push(slopeSouth);
-    }
-    
-    if (eastHeight !== null) {
-      const slopeEast = Math.abs(Math.atan((eastHeight - centerHeight) / sampleDistance));
-      slopes.push(slopeEast);
-    }
+  // Highest surface of a walkable object straight down from a point, as
+  // { height, normal } (see Colliders), or null if there is none
+  getWalkableSurfaceAt(x, y, z) {
+    const objectPlacer = this.worldGenerator.objectPlacer;
+    if (!objectPlacer) return null;
     
-    if (westHeight !== null) {
-      const slopeWest = Math.abs(Math.atan((westHeight - centerHeight) / sampleDistance));
-      slopes.push(slopeWest);
+    let surface = null;
+    for (const object of objectPlacer.getCollidersNear(x, z, 0, this.nearbyColliders)) {
+      if (!object.userData.tags.includes('walkable')) continue;
+      
+      const hit = object.userData.collider.raycastDown(x, y, z);
+      if (hit && (!surface || hit.height > surface.height)) {
+        surface = hit;
+      }
     }
+    return surface;
+  }
+  
+  // Check if the player's body, from just above a step to the top of the head,
+  // is inside the ground (a cave wall or ceiling, or a cliff)
+  isBodyBlocked(position) {
+    const feetHeight = this.playerOriginAtFeet ? position.y : position.y - this.playerHeight / 2;
+    const checkHeights = [this.stepHeight + 0.25, this.playerHeight * 0.65, this.playerHeight - 0.1];
     
-    // If no valid slopes, assume not steep
-    if (slopes.length === 0) return false;
+    return checkHeights.some(height => this.worldGenerator.isSolidAt(position.x, feetHeight + height, position.z));
+  }
+  
+  // Check if the ground at position is too steep to climb
+  isSlopeTooSteep(position, groundHeight) {
+    // Normal of the ground under the player (the object surface they stand on, if any)
+    const normal = this.groundSurface
+      ? this.groundSurface.normal
+      : this.worldGenerator.getFloorNormalAt(position.x, groundHeight, position.z, this.terrainNormal);
     
-    // Get the maximum slope
-    const maxSlope = Math.max(...slopes);
+    // Angle between the surface and the horizontal
+    const slope = Math.acos(Math.min(1, normal.y));
     
     // Return true if steeper than max climb angle
-    return maxSlope > this.maxClimbAngleRadians;
+    return slope > this.maxClimbAngleRadians;
   }
 } 
\ No newline at end of file
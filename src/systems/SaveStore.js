@@ -0,0 +1,74 @@
+// IndexedDB database and object store that hold the saves
+const DATABASE_NAME = 'perspective-game';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'saves';
+
+// Save slots in IndexedDB. Each save is one object stored under its `slot`
+// name; every method returns a promise.
+export class SaveStore {
+  constructor(databaseName = DATABASE_NAME) {
+    this.databaseName = databaseName;
+    this.database = null; // Promise of the open database, once opened
+  }
+  
+  // Open the database, creating the store on first use
+  open() {
+    if (this.database) return this.database;
+    
+    this.database = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('SaveStore: IndexedDB is not available'));
+        return;
+      }
+      
+      const request = indexedDB.open(this.databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'slot' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    
+    // Allow another attempt if opening failed
+    this.database.catch(() => {
+      this.database = null;
+    });
+    
+    return this.database;
+  }
+  
+  // Store a save, replacing any save in the same slot
+  put(save) {
+    return this.request('readwrite', store => store.put(save));
+  }
+  
+  // The save in a slot, or null if the slot is empty
+  async get(slot) {
+    const save = await this.request('readonly', store => store.get(slot));
+    return save || null;
+  }
+  
+  // Every save, newest first
+  async list() {
+    const saves = await this.request('readonly', store => store.getAll());
+    return saves.sort((a, b) => b.savedAt - a.savedAt);
+  }
+  
+  // Empty a slot
+  delete(slot) {
+    return this.request('readwrite', store => store.delete(slot));
+  }
+  
+  // Run one request against the store and resolve with its result
+  async request(mode, makeRequest) {
+    const database = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
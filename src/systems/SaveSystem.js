@@ -0,0 +1,217 @@
+import { SaveStore } from './SaveStore.js';
+import { WorldConfig } from '../world/WorldConfig.js';
+import { createDefaultAssets } from '../assets/DefaultAssets.js';
+
+// Version of the save format, stored in every save
+const SAVE_VERSION = 1;
+
+// Slot written by autosave
+export const AUTOSAVE_SLOT = 'autosave';
+
+// Seconds between autosaves
+const AUTOSAVE_INTERVAL = 60;
+
+// Saves and loads games. A save holds the world config (seed included), the
+// player and camera, what the player changed in the world (terrain edits and
+// added or removed objects) and gameplay state, as plain JSON-compatible data.
+// Saves go into named slots in IndexedDB (SaveStore) and can be exported to
+// and imported from JSON files.
+//
+// Loading a save reloads the page with ?save=<slot>, so the world is built
+// from scratch with the saved config and changes (see SaveSystem.loadGame).
+export class SaveSystem {
+  constructor(worldGenerator, player, camera, controls, store = new SaveStore()) {
+    this.enabled = true;
+    this.worldGenerator = worldGenerator;
+    this.player = player;
+    this.camera = camera;
+    this.controls = controls;
+    this.store = store;
+    
+    // Gameplay state
+    this.playTime = 0; // Seconds played in this world, across saves
+    
+    this.autosaveInterval = AUTOSAVE_INTERVAL;
+    this.autosaveTimer = 0;
+    this.navigating = false; // Set by load(), which leaves this game on purpose
+    
+    // Autosave when the page is hidden, since it may never come back. Not
+    // while loading another save, or this game would be written over the
+    // autosave slot the player may be loading.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && !this.navigating) {
+        this.autosave();
+      }
+    });
+  }
+  
+  // Count play time and autosave every autosaveInterval seconds
+  update(player, deltaTime) {
+    this.playTime += deltaTime;
+    this.autosaveTimer += deltaTime;
+    
+    if (this.autosaveTimer >= this.autosaveInterval) {
+      this.autosaveTimer = 0;
+      this.autosave();
+    }
+  }
+  
+  // Snapshot of the current game for a slot
+  createSave(slot) {
+    return {
+      version: SAVE_VERSION,
+      slot,
+      savedAt: Date.now(),
+      config: this.worldGenerator.config.toJSON(),
+      player: this.player.getSaveData(),
+      camera: {
+        position: this.camera.position.toArray(),
+        target: this.controls.target.toArray()
+      },
+      world: this.worldGenerator.getSaveData(),
+      gameplay: {
+        playTime: this.playTime
+      }
+    };
+  }
+  
+  // Put the player, camera and world changes back as they were in a save.
+  // Call once at startup, before the world's first update.
+  restore(save) {
+    this.worldGenerator.restoreSaveData(save.world);
+    this.player.restoreSaveData(save.player);
+    this.camera.position.fromArray(save.camera.position);
+    this.controls.target.fromArray(save.camera.target);
+    this.playTime = save.gameplay.playTime || 0;
+  }
+  
+  // Save the current game into a slot
+  save(slot) {
+    return this.store.put(this.createSave(slot));
+  }
+  
+  // Save into the autosave slot, reporting rather than throwing on failure
+  autosave() {
+    return this.save(AUTOSAVE_SLOT).catch(error => {
+      console.warn('SaveSystem: Autosave failed:', error);
+    });
+  }
+  
+  // Every stored save, newest first
+  listSaves() {
+    return this.store.list();
+  }
+  
+  // Empty a slot
+  deleteSave(slot) {
+    return this.store.delete(slot);
+  }
+  
+  // Switch to the game saved in a slot by reloading the page with it
+  load(slot) {
+    this.navigating = true;
+    window.location.search = `?save=${encodeURIComponent(slot)}`;
+  }
+  
+  // Download the current game as a JSON file
+  exportToFile() {
+    const save = this.createSave('export');
+    const blob = new Blob([JSON.stringify(save)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `world-${save.config.seed}-${new Date(save.savedAt).toISOString().slice(0, 10)}.json`;
+    link.click();
+    
+    // Some browsers start the download after click() returns, so the URL has
+    // to outlive it for a moment
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  // Read a save from a JSON file (e.g. from a file input) and store it in a
+  // slot. Resolves with the slot, ready to load.
+  async importFromFile(file, slot = 'imported') {
+    const save = SaveSystem.validate(JSON.parse(await file.text()), this.worldGenerator.assets);
+    await this.store.put({ ...save, slot });
+    return slot;
+  }
+  
+  // Check that parsed data is a save this version can load, with placements
+  // of types registered in assets; returns it
+  static validate(save, assets = createDefaultAssets()) {
+    if (!save || typeof save !== 'object') {
+      throw new Error('SaveSystem: Not a saved game');
+    }
+    if (typeof save.version !== 'number' || save.version > SAVE_VERSION) {
+      throw new Error(`SaveSystem: Unsupported save version ${save.version}`);
+    }
+    
+    // Throws if any setting is invalid
+    const config = WorldConfig.fromJSON(save.config);
+    
+    for (const vector of [save.player?.position, save.camera?.position, save.camera?.target]) {
+      if (!Array.isArray(vector) || vector.length !== 3 || !vector.every(Number.isFinite)) {
+        throw new Error('SaveSystem: Save is missing the player or camera position');
+      }
+    }
+    if (!save.world || typeof save.world !== 'object' || !save.gameplay) {
+      throw new Error('SaveSystem: Save is missing the world changes or gameplay state');
+    }
+    SaveSystem.validateWorld(save.world, config, assets);
+    
+    return save;
+  }
+  
+  // Check the world changes of a save (see WorldGenerator.getSaveData), so a
+  // broken save is turned away here rather than failing halfway through restore
+  static validateWorld({ terrain = {}, objects = {} }, config, assets) {
+    if (!terrain || typeof terrain !== 'object' || !objects || typeof objects !== 'object') {
+      throw new Error('SaveSystem: Save has invalid world changes');
+    }
+    
+    // Terrain edits hold a height change per vertex of their chunk
+    const vertices = (config.chunkSize + 1) * (config.chunkSize + 1);
+    for (const [chunkKey, deltas] of Object.entries(terrain)) {
+      if (!Array.isArray(deltas) || deltas.length !== vertices || !deltas.every(Number.isFinite)) {
+        throw new Error(`SaveSystem: Saved terrain edits for chunk ${chunkKey} don't match the chunk size ${config.chunkSize}`);
+      }
+    }
+    
+    for (const [chunkKey, changes] of Object.entries(objects)) {
+      if (!changes || !Array.isArray(changes.removed) || !Array.isArray(changes.added)) {
+        throw new Error(`SaveSystem: Invalid saved objects for chunk ${chunkKey}`);
+      }
+      for (const placement of changes.added) {
+        if (!placement || !assets.has(placement.type)) {
+          throw new Error(`SaveSystem: Saved object in chunk ${chunkKey} has unknown type "${placement?.type}"`);
+        }
+        if (![placement.x, placement.y, placement.z].every(Number.isFinite)) {
+          throw new Error(`SaveSystem: Saved ${placement.type} in chunk ${chunkKey} has no position`);
+        }
+      }
+    }
+  }
+  
+  // Config and save for the page: the game saved in the slot named by ?save=,
+  // or a new game from the URL's world config. Saves that can't be read are
+  // reported and a new game is started instead.
+  static async loadGame(search, store = new SaveStore()) {
+    const slot = new URLSearchParams(search).get('save');
+    
+    if (slot) {
+      try {
+        const save = await store.get(slot);
+        if (save) {
+          SaveSystem.validate(save);
+          return { config: WorldConfig.fromJSON(save.config), save };
+        }
+        console.warn(`SaveSystem: No saved game in slot "${slot}", starting a new world`);
+      } catch (error) {
+        console.error(`SaveSystem: Failed to load slot "${slot}", starting a new world:`, error);
+      }
+    }
+    
+    return { config: await WorldConfig.load(search), save: null };
+  }
+}
@@ -7,6 +7,8 @@ export class SystemManager {
     this.worldGenerator = worldGenerator;
     this.systems = {};
     this.previousTime = performance.now();
+    this.deltaTime = 0; // Seconds between the last two updates
+    this.maxDeltaTime = 0.1; // Longer frames (a hidden tab) are slowed down rather than skipped through
     
     // Initialize default systems
     this.initializeSystems();
@@ -27,8 +29,9 @@ export class SystemManager {
   update(player) {
     // Calculate delta time
     const currentTime = performance.now();
-    const deltaTime = (currentTime - this.previousTime) / 1000; // Convert to seconds
+    const deltaTime = Math.min((currentTime - this.previousTime) / 1000, this.maxDeltaTime); // Convert to seconds
     this.previousTime = currentTime;
+    this.deltaTime = deltaTime;
     
     // Update each system
     for (const systemName in this.systems) {
@@ -39,6 +42,12 @@ export class SystemManager {
     }
   }
   
+  // Add a system that is created outside the manager (anything with
+  // `enabled` and update(player, deltaTime))
+  addSystem(systemName, system) {
+    this.systems[systemName] = system;
+  }
+  
   // Get a specific system
   getSystem(systemName) {
     return this.systems[systemName];
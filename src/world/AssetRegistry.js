@@ -0,0 +1,140 @@
+// Every kind of object the world can place, by type name. An asset is
+// registered once with everything the rest of the world needs to know about it:
+//   factory:   function (random) returning the object that builds it (see the
+//              LowPoly* classes), or the type of another asset whose factory it
+//              shares. A factory with createCollider(object) declares the shape
+//              the player collides with (see Colliders); without it the player
+//              walks through.
+//   create:    optional function (factory, placement, random) returning its
+//              Object3D; by default factory.create(x, y, z, random)
+//   merged:    whether its meshes are merged into the chunk's StaticBatch
+//   clearedByRoads: whether it is kept off the road network (see PlacementPlanner)
+//   tags:      gameplay tags, e.g. 'vegetation', 'building' or 'climbable'
+//   spawn:     optional spawn table for ObjectScatter (see below); without it
+//              the asset is only placed by hand (towns, mega rocks) or by the player
+//
+// Spawn tables are plain data, so they can be posted to the chunk workers:
+//   density:     objects per chunk, or the key of the config setting holding it
+//   biomes:      allowed biomes, each { density, scale? }: a multiplier for the
+//                density and a [min, max] scale range (default [1, 1])
+//   radius:      footprint at scale 1; two objects stay the sum of their scaled radii apart
+//   minHeight:   lowest terrain height (keeps objects out of the sea)
+//   maxHeight:   optional highest terrain height
+//   maxSlope:    steepest ground in degrees, from the terrain normal
+//   flatness:    optional { radius, maxRise }: the ground that far around may rise at most maxRise
+//   cluster:     optional { scale, strength }: density noise gathering objects into patches
+//                about scale world units across (0 = spread evenly, 1 = only in patches)
+//   villages:    optional; whether its cluster patches are the villages the road
+//                network joins (see PlacementPlanner). Needs a cluster.
+//   chunkChance: optional chance that a chunk gets any of the type at all
+// Scattered types are placed in registration order: when two are too close,
+// the one registered first keeps its place.
+export class AssetRegistry {
+  constructor() {
+    this.assets = new Map(); // Type -> definition
+  }
+  
+  // Register an asset type (see above). Returns the registry, for chaining.
+  register(type, definition) {
+    if (this.assets.has(type)) {
+      throw new Error(`AssetRegistry: Asset "${type}" is already registered`);
+    }
+    if (typeof definition.factory !== 'function' && !this.assets.has(definition.factory)) {
+      throw new Error(`AssetRegistry: Asset "${type}" needs a factory function or the type of a registered asset`);
+    }
+    if (definition.spawn) {
+      AssetRegistry.validateSpawn(type, definition.spawn);
+    }
+    
+    this.assets.set(type, {
+      type,
+      create: null,
+      merged: false,
+      clearedByRoads: false,
+      spawn: null,
+      ...definition,
+      tags: [...(definition.tags || [])]
+    });
+    return this;
+  }
+  
+  // Check that a spawn table has what ObjectScatter needs
+  static validateSpawn(type, spawn) {
+    const { density, biomes, radius, minHeight, maxSlope } = spawn;
+    
+    if (typeof density !== 'number' && typeof density !== 'string') {
+      throw new Error(`AssetRegistry: Spawn table of "${type}" needs a density or a config key`);
+    }
+    if (!biomes || Object.keys(biomes).length === 0) {
+      throw new Error(`AssetRegistry: Spawn table of "${type}" needs at least one biome`);
+    }
+    if (![radius, minHeight, maxSlope].every(Number.isFinite)) {
+      throw new Error(`AssetRegistry: Spawn table of "${type}" needs a radius, minHeight and maxSlope`);
+    }
+    if (spawn.villages && !spawn.cluster) {
+      throw new Error(`AssetRegistry: Spawn table of "${type}" needs a cluster to have villages`);
+    }
+  }
+  
+  // Definition of a type, or null if it isn't registered
+  get(type) {
+    return this.assets.get(type) || null;
+  }
+  
+  // Whether a type is registered
+  has(type) {
+    return this.assets.has(type);
+  }
+  
+  // All registered types, in registration order
+  getTypes() {
+    return [...this.assets.keys()];
+  }
+  
+  // Whether a type is registered with a tag
+  hasTag(type, tag) {
+    const asset = this.assets.get(type);
+    return Boolean(asset && asset.tags.includes(tag));
+  }
+  
+  // Types registered with a tag
+  getTypesWithTag(tag) {
+    return this.getTypes().filter(type => this.hasTag(type, tag));
+  }
+  
+  // Spawn tables of the scattered types, in registration order, as plain data
+  // for ObjectScatter (e.g. posted to the chunk workers), with clearedByRoads
+  getSpawnTables() {
+    const tables = [];
+    this.assets.forEach(({ type, spawn, clearedByRoads }) => {
+      if (!spawn) return;
+      
+      const biomes = {};
+      for (const [name, { density, scale = [1, 1] }] of Object.entries(spawn.biomes)) {
+        biomes[name] = { density, scale: [...scale] };
+      }
+      tables.push({ ...spawn, type, biomes, clearedByRoads });
+    });
+    return tables;
+  }
+  
+  // Create the factory of every registered type, each from its own fork of a
+  // random service (named after its type). Assets sharing a factory get the
+  // same one. Returns a Map of type -> factory.
+  createFactories(random) {
+    const factories = new Map();
+    
+    this.assets.forEach(({ type, factory }) => {
+      if (typeof factory === 'function') {
+        factories.set(type, factory(random.fork(type)));
+      }
+    });
+    this.assets.forEach(({ type, factory }) => {
+      if (typeof factory !== 'function') {
+        factories.set(type, factories.get(factory));
+      }
+    });
+    
+    return factories;
+  }
+}
@@ -0,0 +1,175 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+
+// Biome definitions. Every point in the world has a temperature and a moisture
+// between 0 and 1; it belongs to the biome whose climate is closest.
+//   climate:  [temperature, moisture] at the heart of the biome
+//   height:   terrain above the water is scaled by `scale` and raised by `offset`
+//   palette:  terrain colours (RGB 0-1) and the heights where rock and snow start
+// What spawns in each biome is part of the assets' spawn tables (see AssetRegistry).
+export const BIOMES = {
+  plains: {
+    climate: [0.55, 0.3],
+    height: { scale: 0.7, offset: 0.2 },
+    palette: {
+      beach: [0.85, 0.8, 0.55],
+      ground: [0.2, 0.5, 0.2],
+      groundVariation: [0.1, 0.1, 0],
+      rock: [0.4, 0.3, 0.2],
+      rockLine: 20,
+      snow: [0.9, 0.9, 0.9],
+      snowLine: 40
+    }
+  },
+  forest: {
+    climate: [0.5, 0.7],
+    height: { scale: 1.0, offset: 0 },
+    palette: {
+      beach: [0.8, 0.75, 0.5],
+      ground: [0.12, 0.38, 0.12],
+      groundVariation: [0.08, 0.12, 0.04],
+      rock: [0.38, 0.3, 0.22],
+      rockLine: 22,
+      snow: [0.9, 0.9, 0.9],
+      snowLine: 40
+    }
+  },
+  desert: {
+    climate: [0.9, 0.15],
+    height: { scale: 0.6, offset: 0.4 },
+    palette: {
+      beach: [0.92, 0.82, 0.55],
+      ground: [0.88, 0.72, 0.45],
+      groundVariation: [0.06, 0.06, 0.04],
+      rock: [0.7, 0.42, 0.28],
+      rockLine: 12,
+      snow: [0.7, 0.42, 0.28], // Too hot for snow
+      snowLine: Infinity
+    }
+  },
+  tundra: {
+    climate: [0.1, 0.3],
+    height: { scale: 0.9, offset: 0.2 },
+    palette: {
+      beach: [0.6, 0.58, 0.52],
+      ground: [0.55, 0.58, 0.5],
+      groundVariation: [0.08, 0.08, 0.08],
+      rock: [0.5, 0.5, 0.5],
+      rockLine: 10,
+      snow: [0.92, 0.94, 0.97],
+      snowLine: 18
+    }
+  },
+  swamp: {
+    climate: [0.8, 0.85],
+    height: { scale: 0.05, offset: 0.6 }, // Flat marsh just above the water, with shallow pools
+    palette: {
+      beach: [0.35, 0.3, 0.2],
+      ground: [0.28, 0.33, 0.16],
+      groundVariation: [0.06, 0.08, 0.04],
+      rock: [0.3, 0.28, 0.22],
+      rockLine: 20,
+      snow: [0.9, 0.9, 0.9],
+      snowLine: 40
+    }
+  },
+  alpine: {
+    climate: [0.15, 0.8],
+    height: { scale: 1.8, offset: 3 }, // Higher, steeper mountains
+    palette: {
+      beach: [0.55, 0.52, 0.48],
+      ground: [0.3, 0.45, 0.28],
+      groundVariation: [0.06, 0.1, 0.06],
+      rock: [0.45, 0.42, 0.4],
+      rockLine: 12,
+      snow: [0.95, 0.96, 0.98],
+      snowLine: 25
+    }
+  }
+};
+
+// Blend weights fade out to zero at this value, so distant biomes are left out
+// without a visible step where they drop off
+const MIN_WEIGHT = 0.01;
+
+// Classifies world positions into biomes from temperature and moisture noise.
+// Near a border between biomes the result is a blend of both, so colours,
+// heights and spawn densities change gradually instead of at a hard edge.
+// Pure and seeded like TerrainGenerator, so it also runs in the chunk workers.
+export class BiomeMap {
+  constructor(random, config) {
+    this.scale = config.biomeScale; // World units across a typical biome
+    this.blend = config.biomeBlend; // Width of the blend between biomes (climate units)
+    
+    this.temperatureNoise = new SimplexNoise(random.fork('temperature'));
+    this.moistureNoise = new SimplexNoise(random.fork('moisture'));
+    
+    this.biomes = Object.entries(BIOMES).map(([name, biome]) => ({ name, ...biome }));
+  }
+  
+  // Temperature at a world position, 0 (cold) to 1 (hot)
+  getTemperature(x, z) {
+    return this.sampleClimate(this.temperatureNoise, x, z);
+  }
+  
+  // Moisture at a world position, 0 (dry) to 1 (wet)
+  getMoisture(x, z) {
+    return this.sampleClimate(this.moistureNoise, x, z);
+  }
+  
+  // Two octaves of noise, mapped to 0-1
+  sampleClimate(noise, x, z) {
+    const nx = x / this.scale;
+    const nz = z / this.scale;
+    const value = noise.noise(nx, nz) * 0.75 + noise.noise(nx * 4, nz * 4) * 0.25;
+    return Math.min(1, Math.max(0, 0.5 + value * 0.6));
+  }
+  
+  // Biomes at a world position with their blend weights, strongest first.
+  // Weights add up to 1; away from borders there is a single biome with weight 1.
+  getWeights(x, z) {
+    const temperature = this.getTemperature(x, z);
+    const moisture = this.getMoisture(x, z);
+    
+    // Squared distance in climate space to every biome
+    const distances = this.biomes.map(biome => {
+      const dt = temperature - biome.climate[0];
+      const dm = moisture - biome.climate[1];
+      return dt * dt + dm * dm;
+    });
+    const nearest = Math.min(...distances);
+    
+    // Biomes almost as close as the nearest one share the point
+    const weights = [];
+    let total = 0;
+    this.biomes.forEach((biome, i) => {
+      const weight = Math.exp(-(distances[i] - nearest) / this.blend) - MIN_WEIGHT;
+      if (weight <= 0) return;
+      
+      weights.push({ biome, weight });
+      total += weight;
+    });
+    
+    for (const entry of weights) {
+      entry.weight /= total;
+    }
+    
+    return weights.sort((a, b) => b.weight - a.weight);
+  }
+  
+  // The biome a world position belongs to (ignoring blending)
+  getBiome(x, z) {
+    return this.getWeights(x, z)[0].biome;
+  }
+  
+  // Apply the biomes' height modifiers to a terrain height
+  shapeHeight(height, waterLevel, weights) {
+    let shaped = 0;
+    
+    for (const { biome, weight } of weights) {
+      const { scale, offset } = biome.height;
+      shaped += (waterLevel + (height - waterLevel) * scale + offset) * weight;
+    }
+    
+    return shaped;
+  }
+}
@@ -0,0 +1,71 @@
+import { SeededRandom } from './SeededRandom.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { PlacementPlanner } from './PlacementPlanner.js';
+import { HeightField } from './HeightField.js';
+
+// Computes everything about a chunk that doesn't need Three.js: the height field,
+// vertex colours and object placements. Runs inside ChunkWorker, or on the main
+// thread when workers aren't available. The result only holds typed arrays and
+// plain objects so it can be posted back with its buffers transferred.
+//
+// spawnTables are the scattered assets' spawn tables (AssetRegistry.getSpawnTables).
+export class ChunkDataGenerator {
+  constructor(config, spawnTables) {
+    this.config = config;
+    this.size = config.chunkSize;
+    this.terrain = new TerrainGenerator(config);
+    
+    // Same fork as ObjectPlacer's random ('objects'), so placement is identical
+    // whichever thread computes it
+    const random = new SeededRandom(config.seed);
+    this.planner = new PlacementPlanner(
+      random.fork('objects').fork('placement'),
+      config,
+      this.terrain,
+      spawnTables
+    );
+  }
+  
+  // Generate the data for one chunk at a level of detail. Placements don't depend
+  // on the level of detail, so they can be skipped when only the terrain mesh is
+  // being swapped for another level.
+  generate(chunkX, chunkZ, lod = 0, includePlacements = true) {
+    const { heights, colors, water } = this.terrain.generateHeightField(chunkX, chunkZ, lod);
+    
+    // Volumetric worlds build full-detail chunks from the 3D terrain; coarser
+    // levels use the height field of its top surface
+    const volume = this.terrain.volume && lod === 0 ? this.terrain.generateVolume(chunkX, chunkZ) : null;
+    
+    if (!includePlacements) {
+      return { chunkX, chunkZ, lod, heights, colors, water, volume, placements: null };
+    }
+    
+    // Objects sit on the full-detail triangles whatever level the chunk is built
+    // at, so they don't move when its level of detail changes
+    const fullHeights = lod === 0 ? heights : this.terrain.generateHeightField(chunkX, chunkZ).heights;
+    const heightField = new HeightField(
+      chunkX * this.size,
+      chunkZ * this.size,
+      1,
+      this.size,
+      fullHeights
+    );
+    
+    // Heights of the objects laid out by hand (towns, mega rocks), inside this
+    // chunk only (null outside it). Scattered objects look past the edges.
+    const sampleHeight = (x, z) => heightField.getHeightAt(x, z);
+    
+    const placements = this.planner.planChunk(chunkX, chunkZ, sampleHeight);
+    
+    return { chunkX, chunkZ, lod, heights, colors, water, volume, placements };
+  }
+  
+  // Buffers that can be transferred instead of copied when posting chunk data
+  static getTransferables(data) {
+    const buffers = [data.heights.buffer, data.colors.buffer, data.water.buffer];
+    if (data.volume) {
+      buffers.push(data.volume.positions.buffer, data.volume.colors.buffer, data.volume.indices.buffer);
+    }
+    return buffers;
+  }
+}
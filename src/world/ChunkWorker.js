@@ -0,0 +1,47 @@
+import { ChunkDataGenerator } from './ChunkDataGenerator.js';
+import { WorldConfig } from './WorldConfig.js';
+
+// Web Worker entry point: generates chunk data off the main thread.
+// Messages in:  { type: 'init', config, spawnTables } then
+//               { type: 'generate', id, chunkX, chunkZ, lod, includePlacements }
+// Messages out: { type: 'chunk', id, data } or { type: 'error', id, message }
+//               (id null if init failed)
+let generator = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'init':
+      try {
+        generator = new ChunkDataGenerator(WorldConfig.fromJSON(message.config), message.spawnTables);
+      } catch (error) {
+        self.postMessage({ type: 'error', id: null, message: error.message });
+      }
+      break;
+    
+    case 'generate':
+      try {
+        if (!generator) {
+          throw new Error('ChunkWorker: Received generate before init');
+        }
+        
+        const data = generator.generate(
+          message.chunkX,
+          message.chunkZ,
+          message.lod,
+          message.includePlacements
+        );
+        self.postMessage(
+          { type: 'chunk', id: message.id, data },
+          ChunkDataGenerator.getTransferables(data)
+        );
+      } catch (error) {
+        self.postMessage({ type: 'error', id: message.id, message: error.message });
+      }
+      break;
+    
+    default:
+      console.error(`ChunkWorker: Unknown message type "${message.type}"`);
+  }
+};
@@ -0,0 +1,207 @@
+import { ChunkDataGenerator } from './ChunkDataGenerator.js';
+
+// Maximum number of chunk workers, regardless of core count
+const MAX_WORKERS = 4;
+
+// Failed workers replaced over the pool's life before it gives up on them
+const MAX_WORKER_RESTARTS = 4;
+
+// Pool of ChunkWorkers. Requests are queued and handed to the next idle worker;
+// results come back through a promise per request. Falls back to generating on the
+// main thread (one chunk per request, still asynchronous) when Web Workers are not
+// available. Workers get the world config and the scattered assets' spawn
+// tables (see AssetRegistry.getSpawnTables). A worker that fails fails the
+// request it was running and is replaced; once MAX_WORKER_RESTARTS are used
+// up and no worker is left, chunks are generated on the main thread.
+export class ChunkWorkerPool {
+  constructor(config, spawnTables, workerCount = ChunkWorkerPool.getDefaultWorkerCount()) {
+    this.config = config;
+    this.spawnTables = spawnTables;
+    this.workers = [];
+    this.idleWorkers = [];
+    this.running = new Map(); // Worker -> id of the request it is generating
+    this.queue = []; // Requests waiting for a worker
+    this.pending = new Map(); // Request id -> { resolve, reject, key }
+    this.nextId = 0;
+    this.restartsLeft = MAX_WORKER_RESTARTS;
+    
+    if (typeof Worker === 'undefined' || workerCount < 1) {
+      console.warn('ChunkWorkerPool: Web Workers unavailable, generating chunks on the main thread');
+      this.fallbackGenerator = new ChunkDataGenerator(config, spawnTables);
+      return;
+    }
+    
+    for (let i = 0; i < workerCount; i++) {
+      this.startWorker();
+    }
+  }
+  
+  // Start a worker and add it to the idle ones
+  startWorker() {
+    const worker = new Worker(new URL('./ChunkWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => this.handleMessage(worker, event.data);
+    worker.onerror = (event) => this.handleWorkerError(worker, event.message);
+    worker.postMessage({ type: 'init', config: this.config.toJSON(), spawnTables: this.spawnTables });
+    
+    this.workers.push(worker);
+    this.idleWorkers.push(worker);
+  }
+  
+  // Number of chunks that can be generated at the same time
+  get concurrency() {
+    return this.fallbackGenerator ? 1 : this.workers.length;
+  }
+  
+  // Leave one core for the main thread
+  static getDefaultWorkerCount() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+  }
+  
+  // Request chunk data; resolves with { chunkX, chunkZ, lod, heights, colors, placements }
+  request(chunkX, chunkZ, lod = 0, includePlacements = true) {
+    const id = this.nextId++;
+    const key = `${chunkX},${chunkZ}`;
+    
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, key });
+      this.queue.push({ id, chunkX, chunkZ, lod, includePlacements, key });
+      this.dispatch();
+    });
+  }
+  
+  // Drop queued requests for a chunk that is no longer needed.
+  // Requests already running in a worker still resolve; the caller ignores them.
+  cancel(key) {
+    this.queue = this.queue.filter(request => {
+      if (request.key !== key) return true;
+      
+      const pending = this.pending.get(request.id);
+      this.pending.delete(request.id);
+      pending.resolve(null);
+      return false;
+    });
+  }
+  
+  // Send queued requests to idle workers
+  dispatch() {
+    if (this.fallbackGenerator) {
+      this.dispatchFallback();
+      return;
+    }
+    
+    while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+      const worker = this.idleWorkers.pop();
+      const request = this.queue.shift();
+      this.running.set(worker, request.id);
+      worker.postMessage({
+        type: 'generate',
+        id: request.id,
+        chunkX: request.chunkX,
+        chunkZ: request.chunkZ,
+        lod: request.lod,
+        includePlacements: request.includePlacements
+      });
+    }
+  }
+  
+  // Generate one queued chunk per macrotask on the main thread
+  dispatchFallback() {
+    if (this.fallbackScheduled || this.queue.length === 0) return;
+    this.fallbackScheduled = true;
+    
+    setTimeout(() => {
+      this.fallbackScheduled = false;
+      const request = this.queue.shift();
+      if (request) {
+        try {
+          const data = this.fallbackGenerator.generate(
+            request.chunkX,
+            request.chunkZ,
+            request.lod,
+            request.includePlacements
+          );
+          this.settle(request.id, data, null);
+        } catch (error) {
+          this.settle(request.id, null, error);
+        }
+      }
+      this.dispatchFallback();
+    }, 0);
+  }
+  
+  // Handle a result or error coming back from a worker
+  handleMessage(worker, message) {
+    // Late news from a worker already taken out of the pool
+    if (!this.workers.includes(worker)) return;
+    
+    // An error without a request id means the worker couldn't set up its
+    // generator, so it can't generate anything
+    if (message.type === 'error' && message.id === null) {
+      this.handleWorkerError(worker, message.message);
+      return;
+    }
+    
+    this.running.delete(worker);
+    this.idleWorkers.push(worker);
+    
+    if (message.type === 'chunk') {
+      this.settle(message.id, message.data, null);
+    } else if (message.type === 'error') {
+      this.settle(message.id, null, new Error(message.message));
+    }
+    
+    this.dispatch();
+  }
+  
+  // Take a failed worker out of the pool: fail the request it was running (the
+  // caller may ask again) and start another in its place while restarts last
+  handleWorkerError(worker, message) {
+    console.error('ChunkWorkerPool: Worker error', message);
+    
+    const id = this.running.get(worker);
+    this.running.delete(worker);
+    worker.terminate();
+    this.workers = this.workers.filter(other => other !== worker);
+    this.idleWorkers = this.idleWorkers.filter(other => other !== worker);
+    
+    if (id !== undefined) {
+      this.settle(id, null, new Error(`ChunkWorkerPool: Worker failed: ${message}`));
+    }
+    
+    if (this.restartsLeft > 0) {
+      this.restartsLeft--;
+      this.startWorker();
+    } else if (this.workers.length === 0) {
+      console.warn('ChunkWorkerPool: No chunk workers left, generating chunks on the main thread');
+      this.fallbackGenerator = new ChunkDataGenerator(this.config, this.spawnTables);
+    }
+    
+    this.dispatch();
+  }
+  
+  // Resolve or reject a pending request
+  settle(id, data, error) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    this.pending.delete(id);
+    
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(data);
+    }
+  }
+  
+  // Stop all workers
+  dispose() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.idleWorkers = [];
+    this.running.clear();
+    this.queue = [];
+    this.pending.clear();
+  }
+}
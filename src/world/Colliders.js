@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+import { SpatialHash } from './SpatialHash.js';
+
+const TRIANGLE_CELL_SIZE = 4; // Cells of the grid a mesh collider sorts its triangles into
+
+const _frame = new THREE.Matrix4();
+const _matrix = new THREE.Matrix4();
+const _box = new THREE.Box3();
+const _scale = new THREE.Vector3(1, 1, 1);
+const _sphereCenter = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _ray = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(0, -1, 0));
+const _hit = new THREE.Vector3();
+
+// Collision shapes of placed objects, in world space. Each asset factory
+// declares the shape of its objects (createCollider(object)); ObjectPlacer
+// builds it once the object is placed and again after it moves.
+//
+// Every collider has x, z and radius: a circle on the ground holding its whole
+// footprint, for the broadphase (see SpatialHash). intersectCapsule(capsule)
+// tests it against a THREE Capsule (the player) and returns the contact,
+// { normal, depth }, where moving the capsule depth along normal frees it,
+// or null if they don't touch. Circles and boxes expect an upright capsule.
+// raycastDown(x, y, z) looks straight down from a point and returns the highest
+// surface at or below it, { height, normal } (normal facing up), or null: the
+// ground objects tagged 'walkable' give the player to stand on.
+
+// Vertical cylinder standing on the ground (trees, rocks, bushes)
+export class CircleCollider {
+  constructor(x, y, z, radius, height) {
+    this.x = x;
+    this.y = y; // Bottom
+    this.z = z;
+    this.radius = radius;
+    this.height = height;
+  }
+  
+  intersectCapsule(capsule) {
+    if (!overlapsVertically(capsule, this.y, this.y + this.height)) return null;
+    
+    const dx = capsule.start.x - this.x;
+    const dz = capsule.start.z - this.z;
+    const reach = this.radius + capsule.radius;
+    const distanceSq = dx * dx + dz * dz;
+    if (distanceSq >= reach * reach) return null;
+    
+    // Out from the axis (any way will do if the capsule is right on it)
+    const distance = Math.sqrt(distanceSq);
+    const normal = distance > 1e-6
+      ? new THREE.Vector3(dx / distance, 0, dz / distance)
+      : new THREE.Vector3(1, 0, 0);
+    return { normal, depth: reach - distance };
+  }
+  
+  // The flat top
+  raycastDown(x, y, z) {
+    const top = this.y + this.height;
+    const dx = x - this.x;
+    const dz = z - this.z;
+    if (top > y || dx * dx + dz * dz > this.radius * this.radius) return null;
+    
+    return { height: top, normal: new THREE.Vector3(0, 1, 0) };
+  }
+}
+
+// Box standing on the ground, turned about the vertical (buildings)
+export class BoxCollider {
+  constructor(x, y, z, rotation, halfWidth, halfDepth, height) {
+    this.x = x; // Centre of the footprint
+    this.y = y; // Bottom
+    this.z = z;
+    this.rotation = rotation;
+    this.halfWidth = halfWidth; // Along the box's own x axis
+    this.halfDepth = halfDepth; // Along its own z axis
+    this.height = height;
+    this.radius = Math.sqrt(halfWidth * halfWidth + halfDepth * halfDepth);
+    this.cos = Math.cos(rotation);
+    this.sin = Math.sin(rotation);
+  }
+  
+  // The box around an object's parts, in the object's own turned frame (with
+  // its scale). Parts marked userData.detail (doors, windows) are left out, so
+  // the box is the footprint of the walls.
+  static fromObject(object) {
+    object.updateMatrixWorld(true);
+    _frame.compose(object.position, object.quaternion, _scale).invert();
+    
+    const bounds = new THREE.Box3();
+    object.traverse(part => {
+      if (!part.isMesh || part.userData.detail) return;
+      
+      if (!part.geometry.boundingBox) part.geometry.computeBoundingBox();
+      _matrix.multiplyMatrices(_frame, part.matrixWorld);
+      bounds.union(_box.copy(part.geometry.boundingBox).applyMatrix4(_matrix));
+    });
+    
+    // Footprint centre, from the object's frame back into the world
+    const center = bounds.getCenter(new THREE.Vector3());
+    center.y = bounds.min.y;
+    center.applyQuaternion(object.quaternion).add(object.position);
+    
+    return new BoxCollider(
+      center.x,
+      center.y,
+      center.z,
+      object.rotation.y,
+      (bounds.max.x - bounds.min.x) / 2,
+      (bounds.max.z - bounds.min.z) / 2,
+      bounds.max.y - bounds.min.y
+    );
+  }
+  
+  intersectCapsule(capsule) {
+    if (!overlapsVertically(capsule, this.y, this.y + this.height)) return null;
+    
+    // The capsule's axis in the box's frame
+    const dx = capsule.start.x - this.x;
+    const dz = capsule.start.z - this.z;
+    const localX = dx * this.cos - dz * this.sin;
+    const localZ = dx * this.sin + dz * this.cos;
+    
+    // Closest point of the footprint
+    const closestX = Math.max(-this.halfWidth, Math.min(this.halfWidth, localX));
+    const closestZ = Math.max(-this.halfDepth, Math.min(this.halfDepth, localZ));
+    
+    let normalX;
+    let normalZ;
+    let depth;
+    if (closestX !== localX || closestZ !== localZ) {
+      // Axis outside the box: out from its closest point
+      const outX = localX - closestX;
+      const outZ = localZ - closestZ;
+      const distanceSq = outX * outX + outZ * outZ;
+      if (distanceSq >= capsule.radius * capsule.radius) return null;
+      
+      const distance = Math.sqrt(distanceSq);
+      normalX = outX / distance;
+      normalZ = outZ / distance;
+      depth = capsule.radius - distance;
+    } else {
+      // Axis inside the box: out through the nearest side
+      const insideX = this.halfWidth - Math.abs(localX);
+      const insideZ = this.halfDepth - Math.abs(localZ);
+      if (insideX < insideZ) {
+        normalX = localX < 0 ? -1 : 1;
+        normalZ = 0;
+        depth = insideX + capsule.radius;
+      } else {
+        normalX = 0;
+        normalZ = localZ < 0 ? -1 : 1;
+        depth = insideZ + capsule.radius;
+      }
+    }
+    
+    // Back into the world
+    const normal = new THREE.Vector3(
+      normalX * this.cos + normalZ * this.sin,
+      0,
+      normalZ * this.cos - normalX * this.sin
+    );
+    return { normal, depth };
+  }
+  
+  // The flat top (a roof)
+  raycastDown(x, y, z) {
+    const top = this.y + this.height;
+    if (top > y) return null;
+    
+    const dx = x - this.x;
+    const dz = z - this.z;
+    const localX = dx * this.cos - dz * this.sin;
+    const localZ = dx * this.sin + dz * this.cos;
+    if (Math.abs(localX) > this.halfWidth || Math.abs(localZ) > this.halfDepth) return null;
+    
+    return { height: top, normal: new THREE.Vector3(0, 1, 0) };
+  }
+}
+
+// The triangles of an object's meshes (mega rocks), sorted into a grid so a
+// capsule is only tested against the triangles around it. Works whichever way
+// the triangles face, so meshes with mixed winding collide from both sides.
+export class MeshCollider {
+  constructor(object) {
+    this.triangles = new SpatialHash(TRIANGLE_CELL_SIZE); // Entries: { triangle, minY, maxY }
+    this.nearbyTriangles = []; // Reused by each test
+    
+    const bounds = new THREE.Box3();
+    object.updateMatrixWorld(true);
+    object.traverse(part => {
+      if (!part.isMesh) return;
+      
+      const { index, attributes } = part.geometry;
+      const position = attributes.position;
+      const count = index ? index.count : position.count;
+      for (let i = 0; i + 2 < count; i += 3) {
+        const triangle = new THREE.Triangle();
+        const corners = [triangle.a, triangle.b, triangle.c];
+        for (let k = 0; k < 3; k++) {
+          const vertex = index ? index.getX(i + k) : i + k;
+          corners[k].fromBufferAttribute(position, vertex).applyMatrix4(part.matrixWorld);
+        }
+        
+        // Slivers have no side to push out from (and corners indexed past the
+        // end of the geometry have no position)
+        if (!(triangle.getArea() >= 1e-6)) continue;
+        
+        this.addTriangle(triangle);
+        bounds.expandByPoint(triangle.a).expandByPoint(triangle.b).expandByPoint(triangle.c);
+      }
+    });
+    
+    if (bounds.isEmpty()) {
+      bounds.setFromCenterAndSize(object.position, _offset.set(0, 0, 0));
+    }
+    this.x = (bounds.min.x + bounds.max.x) / 2;
+    this.z = (bounds.min.z + bounds.max.z) / 2;
+    this.radius = Math.sqrt((bounds.max.x - bounds.min.x) ** 2 + (bounds.max.z - bounds.min.z) ** 2) / 2;
+  }
+  
+  // File a triangle under the cells its footprint covers
+  addTriangle(triangle) {
+    const { a, b, c } = triangle;
+    const minX = Math.min(a.x, b.x, c.x);
+    const maxX = Math.max(a.x, b.x, c.x);
+    const minZ = Math.min(a.z, b.z, c.z);
+    const maxZ = Math.max(a.z, b.z, c.z);
+    const entry = {
+      triangle,
+      minY: Math.min(a.y, b.y, c.y),
+      maxY: Math.max(a.y, b.y, c.y)
+    };
+    
+    this.triangles.insert(
+      entry,
+      (minX + maxX) / 2,
+      (minZ + maxZ) / 2,
+      Math.sqrt((maxX - minX) ** 2 + (maxZ - minZ) ** 2) / 2
+    );
+  }
+  
+  // The capsule is tested as spheres along its axis, no further apart than its
+  // radius (so its outline is off by under a seventh of the radius between
+  // them); the deepest contact of any sphere with any triangle wins
+  intersectCapsule(capsule) {
+    const { start, end, radius } = capsule;
+    const reach = radius + Math.hypot(end.x - start.x, end.z - start.z) / 2;
+    const nearby = this.triangles.query(
+      (start.x + end.x) / 2,
+      (start.z + end.z) / 2,
+      reach,
+      this.nearbyTriangles
+    );
+    if (nearby.length === 0) return null;
+    
+    const bottom = Math.min(start.y, end.y) - radius;
+    const top = Math.max(start.y, end.y) + radius;
+    const steps = Math.max(1, Math.ceil(start.distanceTo(end) / radius));
+    
+    let contact = null;
+    for (const { triangle, minY, maxY } of nearby) {
+      if (maxY < bottom || minY > top) continue;
+      
+      for (let step = 0; step <= steps; step++) {
+        _sphereCenter.lerpVectors(start, end, step / steps);
+        triangle.closestPointToPoint(_sphereCenter, _closest);
+        
+        const distanceSq = _offset.subVectors(_sphereCenter, _closest).lengthSq();
+        if (distanceSq >= radius * radius) continue;
+        
+        const distance = Math.sqrt(distanceSq);
+        const depth = radius - distance;
+        if (contact && depth <= contact.depth) continue;
+        
+        // Out from the triangle (along its face if the sphere's centre is on it)
+        contact = contact || { normal: new THREE.Vector3(), depth: 0 };
+        if (distance > 1e-6) {
+          contact.normal.copy(_offset).divideScalar(distance);
+        } else {
+          triangle.getNormal(contact.normal);
+        }
+        contact.depth = depth;
+      }
+    }
+    
+    return contact;
+  }
+  
+  // The highest triangle under the point, facing up whichever way it was wound
+  raycastDown(x, y, z) {
+    const nearby = this.triangles.query(x, z, 0, this.nearbyTriangles);
+    _ray.origin.set(x, y, z);
+    
+    let surface = null;
+    for (const { triangle, minY } of nearby) {
+      if (minY > y) continue;
+      
+      const { a, b, c } = triangle;
+      if (!_ray.intersectTriangle(a, b, c, false, _hit)) continue;
+      if (surface && _hit.y <= surface.height) continue;
+      
+      surface = surface || { height: 0, normal: new THREE.Vector3() };
+      surface.height = _hit.y;
+      triangle.getNormal(surface.normal);
+      if (surface.normal.y < 0) {
+        surface.normal.negate();
+      }
+    }
+    return surface;
+  }
+}
+
+// Whether an upright capsule reaches into a height range
+function overlapsVertically(capsule, bottom, top) {
+  const capsuleBottom = Math.min(capsule.start.y, capsule.end.y) - capsule.radius;
+  const capsuleTop = Math.max(capsule.start.y, capsule.end.y) + capsule.radius;
+  return capsuleBottom < top && capsuleTop > bottom;
+}
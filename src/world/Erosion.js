@@ -0,0 +1,291 @@
+// Erosion windows are centred on chunk corners and reach one window spacing
+// (config.chunkSize) to each side. Every point lies in four of them.
+const MAX_CACHED_WINDOWS = 256;
+
+// Hydraulic erosion: water droplets that run downhill, picking up sediment
+// where they speed up and dropping it where they slow down
+const DROPLETS_PER_CELL = 0.5; // At strength 1
+const DROPLET_LIFETIME = 30; // Steps before a droplet evaporates
+const INERTIA = 0.05; // How much droplets keep their direction instead of following the slope
+const SEDIMENT_CAPACITY = 2; // Sediment carried per unit of speed, water and drop
+const MIN_CAPACITY = 0.01;
+const ERODE_SPEED = 0.15; // Fraction of spare capacity taken from the ground per step
+const DEPOSIT_SPEED = 0.3; // Fraction of excess sediment dropped per step
+const EVAPORATE_SPEED = 0.02;
+const GRAVITY = 4;
+const MAX_SPEED = 4;
+const BRUSH_RADIUS = 2; // Droplets erode the cells within this many world units
+
+// Thermal erosion: material slides down slopes steeper than the talus angle
+const THERMAL_ITERATIONS = 10; // At strength 1
+const TALUS = 1; // Steepest stable drop between neighbouring cells (45 degrees, the steepest the player can climb)
+const THERMAL_RATE = 0.8; // Fraction of the excess levelled per iteration
+
+// Channels of the seeded random field used for droplets (extra droplets in
+// the same cell use the jitter channels after these, two at a time)
+const DROPLET_CHANNEL = 11;
+const JITTER_X_CHANNEL = 12;
+const JITTER_Z_CHANNEL = 13;
+
+// Optional erosion pass over the terrain: droplets cut gullies and leave
+// sediment in valleys, then steep slopes slump toward the talus angle.
+//
+// Erosion runs on square windows of the full-detail grid, padded well past
+// the chunks that use them. Each window is computed from the seed alone, and
+// each point blends the four windows around it with weights that fade to zero
+// at their edges, so chunks tile seamlessly and never depend on load order.
+// Droplets start from fixed world cells, so overlapping windows simulate the
+// same droplets and agree closely where they are blended.
+export class Erosion {
+  constructor(random, config, sampleHeight) {
+    this.random = random; // Hashed by position only
+    this.sampleHeight = sampleHeight; // Terrain height before erosion, (x, z) => height
+    this.strength = config.erosionStrength;
+    this.spacing = config.chunkSize; // World units between window centres
+    this.side = this.spacing * 2 + 1; // Vertices per window side
+    
+    this.windows = new Map(); // Window key -> change in height of every vertex
+    this.brush = createBrush(BRUSH_RADIUS);
+  }
+  
+  // Eroded terrain height at a point of the full-detail grid
+  apply(x, z, height) {
+    return height + this.getOffset(x, z);
+  }
+  
+  // Change in height from erosion at a point of the full-detail grid
+  getOffset(x, z) {
+    const gridX = Math.round(x);
+    const gridZ = Math.round(z);
+    const i0 = Math.floor(gridX / this.spacing);
+    const j0 = Math.floor(gridZ / this.spacing);
+    const fx = gridX / this.spacing - i0;
+    const fz = gridZ / this.spacing - j0;
+    let offset = 0;
+    
+    // Tent weights of the four windows around the point add up to 1
+    for (let dj = 0; dj <= 1; dj++) {
+      for (let di = 0; di <= 1; di++) {
+        const weight = (di ? fx : 1 - fx) * (dj ? fz : 1 - fz);
+        if (weight === 0) continue;
+        
+        const i = i0 + di;
+        const j = j0 + dj;
+        const window = this.getWindow(i, j);
+        const localX = gridX - (i - 1) * this.spacing;
+        const localZ = gridZ - (j - 1) * this.spacing;
+        offset += window[localX + localZ * this.side] * weight;
+      }
+    }
+    
+    return offset;
+  }
+  
+  // Height changes of the window centred on grid corner (i, j), cached
+  getWindow(i, j) {
+    const key = `${i},${j}`;
+    let window = this.windows.get(key);
+    if (window) return window;
+    
+    window = this.erodeWindow(i, j);
+    this.windows.set(key, window);
+    
+    // Forget the oldest window once the cache is full
+    if (this.windows.size > MAX_CACHED_WINDOWS) {
+      this.windows.delete(this.windows.keys().next().value);
+    }
+    
+    return window;
+  }
+  
+  // Erode one window and return how much each vertex was raised or lowered
+  erodeWindow(i, j) {
+    const side = this.side;
+    const originX = (i - 1) * this.spacing;
+    const originZ = (j - 1) * this.spacing;
+    const heights = new Float32Array(side * side);
+    
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        heights[ix + iz * side] = this.sampleHeight(originX + ix, originZ + iz);
+      }
+    }
+    const original = heights.slice();
+    
+    this.runDroplets(heights, originX, originZ);
+    this.relaxSlopes(heights);
+    
+    for (let k = 0; k < heights.length; k++) {
+      heights[k] -= original[k];
+    }
+    return heights;
+  }
+  
+  // Start droplets from the cells of a window, in world raster order
+  runDroplets(heights, originX, originZ) {
+    const rate = DROPLETS_PER_CELL * this.strength;
+    const wholeDroplets = Math.floor(rate);
+    const extraChance = rate - wholeDroplets;
+    
+    for (let iz = 0; iz < this.side - 1; iz++) {
+      for (let ix = 0; ix < this.side - 1; ix++) {
+        const x = originX + ix;
+        const z = originZ + iz;
+        const count = wholeDroplets + (this.random.valueAt(x, z, DROPLET_CHANNEL) < extraChance ? 1 : 0);
+        
+        for (let n = 0; n < count; n++) {
+          this.runDroplet(
+            heights,
+            ix + this.random.valueAt(x, z, JITTER_X_CHANNEL + n * 2),
+            iz + this.random.valueAt(x, z, JITTER_Z_CHANNEL + n * 2)
+          );
+        }
+      }
+    }
+  }
+  
+  // Follow one droplet downhill from a position in window grid units
+  runDroplet(heights, posX, posZ) {
+    const side = this.side;
+    let dirX = 0;
+    let dirZ = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+    
+    for (let step = 0; step < DROPLET_LIFETIME; step++) {
+      const cellX = Math.floor(posX);
+      const cellZ = Math.floor(posZ);
+      const offsetX = posX - cellX;
+      const offsetZ = posZ - cellZ;
+      const here = sampleSlope(heights, side, posX, posZ);
+      
+      // Turn downhill, keeping a little of the previous direction
+      dirX = dirX * INERTIA - here.gradientX * (1 - INERTIA);
+      dirZ = dirZ * INERTIA - here.gradientZ * (1 - INERTIA);
+      const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+      if (length === 0) break; // Flat ground: the water soaks in
+      dirX /= length;
+      dirZ /= length;
+      
+      posX += dirX;
+      posZ += dirZ;
+      if (posX < 0 || posZ < 0 || posX >= side - 1 || posZ >= side - 1) break;
+      
+      const deltaHeight = sampleSlope(heights, side, posX, posZ).height - here.height;
+      const capacity = Math.max(-deltaHeight * speed * water * SEDIMENT_CAPACITY, MIN_CAPACITY);
+      
+      if (deltaHeight > 0 || sediment > capacity) {
+        // Uphill or overloaded: fill the pit or drop the excess where the droplet was
+        const amount = deltaHeight > 0
+          ? Math.min(deltaHeight, sediment)
+          : (sediment - capacity) * DEPOSIT_SPEED;
+        sediment -= amount;
+        depositAt(heights, side, cellX, cellZ, offsetX, offsetZ, amount);
+      } else {
+        // Pick up sediment, never digging deeper than the drop to the next position
+        const amount = Math.min((capacity - sediment) * ERODE_SPEED, -deltaHeight);
+        sediment += this.erodeAt(heights, cellX, cellZ, amount);
+      }
+      
+      speed = Math.min(MAX_SPEED, Math.sqrt(Math.max(0, speed * speed - deltaHeight * GRAVITY)));
+      water *= 1 - EVAPORATE_SPEED;
+    }
+  }
+  
+  // Lower the cells around a cell by a total amount, spread over the brush.
+  // Returns how much was removed (less near the window edge).
+  erodeAt(heights, cellX, cellZ, amount) {
+    const side = this.side;
+    let removed = 0;
+    
+    for (const { dx, dz, weight } of this.brush) {
+      const x = cellX + dx;
+      const z = cellZ + dz;
+      if (x < 0 || z < 0 || x >= side || z >= side) continue;
+      
+      heights[x + z * side] -= amount * weight;
+      removed += amount * weight;
+    }
+    
+    return removed;
+  }
+  
+  // Thermal erosion: move material from each cell to lower neighbours while
+  // the drop between them is steeper than the talus angle
+  relaxSlopes(heights) {
+    const side = this.side;
+    const iterations = Math.ceil(THERMAL_ITERATIONS * this.strength);
+    
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      for (let iz = 0; iz < side; iz++) {
+        for (let ix = 0; ix < side; ix++) {
+          const a = ix + iz * side;
+          if (ix + 1 < side) slump(heights, a, a + 1);
+          if (iz + 1 < side) slump(heights, a, a + side);
+        }
+      }
+    }
+  }
+}
+
+// Brush offsets and weights (adding up to 1) for cells within a radius
+function createBrush(radius) {
+  const brush = [];
+  let total = 0;
+  
+  for (let dz = -radius; dz <= radius; dz++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const weight = radius - Math.sqrt(dx * dx + dz * dz);
+      if (weight <= 0) continue;
+      
+      brush.push({ dx, dz, weight });
+      total += weight;
+    }
+  }
+  
+  for (const entry of brush) {
+    entry.weight /= total;
+  }
+  return brush;
+}
+
+// Bilinear height and gradient of a window at a position in grid units
+function sampleSlope(heights, side, posX, posZ) {
+  const cellX = Math.floor(posX);
+  const cellZ = Math.floor(posZ);
+  const fx = posX - cellX;
+  const fz = posZ - cellZ;
+  const i = cellX + cellZ * side;
+  
+  const h00 = heights[i];
+  const h10 = heights[i + 1];
+  const h01 = heights[i + side];
+  const h11 = heights[i + side + 1];
+  
+  return {
+    height: h00 * (1 - fx) * (1 - fz) + h10 * fx * (1 - fz) + h01 * (1 - fx) * fz + h11 * fx * fz,
+    gradientX: (h10 - h00) * (1 - fz) + (h11 - h01) * fz,
+    gradientZ: (h01 - h00) * (1 - fx) + (h11 - h10) * fx
+  };
+}
+
+// Spread sediment over the four corners of a cell, weighted by closeness
+function depositAt(heights, side, cellX, cellZ, fx, fz, amount) {
+  const i = cellX + cellZ * side;
+  heights[i] += amount * (1 - fx) * (1 - fz);
+  heights[i + 1] += amount * fx * (1 - fz);
+  heights[i + side] += amount * (1 - fx) * fz;
+  heights[i + side + 1] += amount * fx * fz;
+}
+
+// Move material between two neighbouring cells if the drop is too steep
+function slump(heights, a, b) {
+  const drop = heights[a] - heights[b];
+  const excess = Math.abs(drop) - TALUS;
+  if (excess <= 0) return;
+  
+  const amount = excess * THERMAL_RATE * 0.5 * Math.sign(drop);
+  heights[a] -= amount;
+  heights[b] += amount;
+}
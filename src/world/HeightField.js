@@ -0,0 +1,90 @@
+// Height queries over a regular grid of terrain heights, interpolated across the
+// same triangles TerrainChunk draws. Each grid cell (ix, iz) is split along the
+// diagonal from (ix, iz + 1) to (ix + 1, iz), like THREE.PlaneGeometry.
+// Plain numbers only, so it can be used inside chunk workers as well.
+export class HeightField {
+  constructor(originX, originZ, step, resolution, heights) {
+    this.originX = originX; // World position of vertex (0, 0)
+    this.originZ = originZ;
+    this.step = step; // World units between vertices
+    this.resolution = resolution; // Grid cells per side
+    this.heights = heights; // (resolution + 1) x (resolution + 1), index ix + iz * (resolution + 1)
+    this.size = step * resolution;
+  }
+  
+  // Check if a world position is inside the grid
+  contains(x, z) {
+    const localX = x - this.originX;
+    const localZ = z - this.originZ;
+    return localX >= 0 && localX <= this.size && localZ >= 0 && localZ <= this.size;
+  }
+  
+  // Height of the terrain surface at a world position, or null outside the grid
+  getHeightAt(x, z) {
+    const cell = this.getCell(x, z);
+    if (!cell) return null;
+    
+    return HeightField.interpolate(cell.h00, cell.h10, cell.h01, cell.h11, cell.fx, cell.fz);
+  }
+  
+  // Upward unit normal of the triangle under a world position, written into
+  // target (anything with x, y and z, e.g. a THREE.Vector3). Null outside the grid.
+  getNormalAt(x, z, target = { x: 0, y: 1, z: 0 }) {
+    const cell = this.getCell(x, z);
+    if (!cell) return null;
+    
+    return HeightField.triangleNormal(
+      cell.h00, cell.h10, cell.h01, cell.h11, cell.fx, cell.fz, this.step, target
+    );
+  }
+  
+  // Corner heights of the grid cell containing a world position, and the
+  // position within that cell (0 to 1 on each axis)
+  getCell(x, z) {
+    if (!this.contains(x, z)) return null;
+    
+    const gridX = (x - this.originX) / this.step;
+    const gridZ = (z - this.originZ) / this.step;
+    
+    // Points on the far edges belong to the last cell
+    const ix = Math.min(Math.floor(gridX), this.resolution - 1);
+    const iz = Math.min(Math.floor(gridZ), this.resolution - 1);
+    const row = this.resolution + 1;
+    
+    return {
+      h00: this.heights[ix + iz * row],
+      h10: this.heights[ix + 1 + iz * row],
+      h01: this.heights[ix + (iz + 1) * row],
+      h11: this.heights[ix + 1 + (iz + 1) * row],
+      fx: gridX - ix,
+      fz: gridZ - iz
+    };
+  }
+  
+  // Barycentric height inside a cell with corner heights h00 (min x, min z),
+  // h10 (max x), h01 (max z) and h11, at cell position (fx, fz)
+  static interpolate(h00, h10, h01, h11, fx, fz) {
+    if (fx + fz <= 1) {
+      return h00 + (h10 - h00) * fx + (h01 - h00) * fz;
+    }
+    return h11 + (h01 - h11) * (1 - fx) + (h10 - h11) * (1 - fz);
+  }
+  
+  // Unit normal of the triangle containing cell position (fx, fz)
+  static triangleNormal(h00, h10, h01, h11, fx, fz, step, target) {
+    let slopeX, slopeZ;
+    if (fx + fz <= 1) {
+      slopeX = (h10 - h00) / step;
+      slopeZ = (h01 - h00) / step;
+    } else {
+      slopeX = (h11 - h01) / step;
+      slopeZ = (h11 - h10) / step;
+    }
+    
+    const length = Math.sqrt(slopeX * slopeX + 1 + slopeZ * slopeZ);
+    target.x = -slopeX / length;
+    target.y = 1 / length;
+    target.z = -slopeZ / length;
+    return target;
+  }
+}
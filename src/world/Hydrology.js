@@ -0,0 +1,368 @@
+// World units between nodes of the drainage lattice rivers are traced on
+const LATTICE_SIZE = 16;
+
+// Rivers can start in one cell of this size (world units) each
+const SOURCE_SPACING = 256;
+
+// Rivers only start this high above the terrain origin
+const SOURCE_MIN_HEIGHT = 6;
+
+// Rivers end this far (world units, straight line) from their source, even
+// if they haven't reached the sea. This bounds how far away a river that
+// crosses a chunk can start, so every chunk can find all of its rivers.
+const MAX_RIVER_LENGTH = 1536;
+const MAX_RIVER_STEPS = 192;
+
+// Lakes stop growing at this many lattice nodes, or this far from their lowest point
+const LAKE_MAX_NODES = 256;
+const LAKE_MAX_RADIUS = 160;
+
+// Width of the sloped banks beside a river channel (world units)
+const BANK_WIDTH = 10;
+
+// Rivers are indexed in square buckets of this size for height queries
+const BUCKET_SIZE = 64;
+
+// The eight lattice neighbours of a node
+const NEIGHBOURS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+// Rivers and lakes derived from terrain drainage. Rivers start at seeded sources
+// in the highlands and follow the steepest descent of a coarse lattice down to
+// the sea. When one runs into a basin, the basin is flooded up to its lowest
+// rim to make a lake, and the river carries on from where the lake spills over.
+//
+// Everything depends only on the seed and the position, never on which chunks
+// were generated first. Before answering a query near a point, every source
+// that could reach that point is traced, so neighbouring chunks always see the
+// same rivers. Traces are cached, so each river is only followed once.
+export class Hydrology {
+  constructor(random, config, sampleBaseHeight) {
+    this.random = random; // Hashed by position only
+    this.sampleBaseHeight = sampleBaseHeight; // Terrain height before carving, (x, z) => height
+    this.waterLevel = config.waterLevel;
+    this.riverDensity = config.riverDensity; // Chance of a river per source cell
+    this.riverWidth = config.riverWidth; // Width of rivers where they reach the sea
+    this.riverDepth = config.riverDepth; // Depth of the channel below the water surface
+    
+    // How far from a point a river that affects it can start
+    this.reach = MAX_RIVER_LENGTH + LAKE_MAX_RADIUS + LATTICE_SIZE * 2 + this.riverWidth + BANK_WIDTH;
+    
+    this.nodeHeights = new Map(); // Lattice node key -> base height
+    this.tracedSources = new Set(); // Source cell keys already traced
+    this.preparedBuckets = new Set(); // Bucket keys whose rivers are all traced
+    this.segmentKeys = new Set(); // Lattice edges already part of a river
+    this.buckets = new Map(); // Bucket key -> river segments near it
+    this.lakes = new Map(); // Lowest node key -> lake
+    this.lakeNodes = new Map(); // Lattice node key -> highest lake covering it
+  }
+  
+  // Terrain height with river channels cut into it
+  carve(x, z, height) {
+    const segments = this.getSegmentsNear(x, z);
+    let carved = height;
+    
+    for (const segment of segments) {
+      const { distance, t } = this.getSegmentDistance(segment, x, z);
+      const width = segment.widthA + (segment.widthB - segment.widthA) * t;
+      if (distance >= width + BANK_WIDTH) continue;
+      
+      // Rounded channel below the water surface, easing out into the banks
+      const surface = segment.levelA + (segment.levelB - segment.levelA) * t;
+      const channel = distance < width
+        ? surface - this.riverDepth * (1 - (distance / width) ** 2)
+        : surface;
+      const blend = smoothstep(width, width + BANK_WIDTH, distance);
+      
+      // Each river only ever lowers the terrain, so overlapping rivers combine
+      // the same way whatever order they are listed in
+      carved = Math.min(carved, channel + (height - channel) * blend);
+    }
+    
+    return carved;
+  }
+  
+  // Height of the water surface over a point with the given (carved) terrain
+  // height: the sea, a lake or a river. Null if the point is dry.
+  getWaterAt(x, z, height) {
+    let level = null;
+    
+    // Sea
+    if (height < this.waterLevel) {
+      level = this.waterLevel;
+    }
+    
+    // Lake covering the nearest lattice node
+    this.prepare(x, z);
+    const lake = this.lakeNodes.get(nodeKey(Math.round(x / LATTICE_SIZE), Math.round(z / LATTICE_SIZE)));
+    if (lake && height < lake.level) {
+      level = Math.max(level ?? -Infinity, lake.level);
+    }
+    
+    // River channel
+    for (const segment of this.getSegmentsNear(x, z)) {
+      const { distance, t } = this.getSegmentDistance(segment, x, z);
+      const width = segment.widthA + (segment.widthB - segment.widthA) * t;
+      if (distance >= width) continue;
+      
+      const surface = segment.levelA + (segment.levelB - segment.levelA) * t;
+      if (height < surface) {
+        level = Math.max(level ?? -Infinity, surface);
+      }
+    }
+    
+    return level;
+  }
+  
+  // River segments whose channel or banks may reach a point
+  getSegmentsNear(x, z) {
+    this.prepare(x, z);
+    return this.buckets.get(bucketKey(x, z)) || [];
+  }
+  
+  // Trace every river that could reach the bucket containing a point
+  prepare(x, z) {
+    const key = bucketKey(x, z);
+    if (this.preparedBuckets.has(key)) return;
+    this.preparedBuckets.add(key);
+    
+    const bucketX = Math.floor(x / BUCKET_SIZE);
+    const bucketZ = Math.floor(z / BUCKET_SIZE);
+    const minX = bucketX * BUCKET_SIZE - this.reach;
+    const maxX = (bucketX + 1) * BUCKET_SIZE + this.reach;
+    const minZ = bucketZ * BUCKET_SIZE - this.reach;
+    const maxZ = (bucketZ + 1) * BUCKET_SIZE + this.reach;
+    
+    for (let a = Math.floor(minX / SOURCE_SPACING); a <= Math.floor(maxX / SOURCE_SPACING); a++) {
+      for (let b = Math.floor(minZ / SOURCE_SPACING); b <= Math.floor(maxZ / SOURCE_SPACING); b++) {
+        const sourceKey = nodeKey(a, b);
+        if (this.tracedSources.has(sourceKey)) continue;
+        this.tracedSources.add(sourceKey);
+        
+        this.traceRiver(a, b);
+      }
+    }
+  }
+  
+  // Follow the river from one source cell (if it has one) down to the sea
+  traceRiver(a, b) {
+    if (this.random.valueAt(a, b, 2) >= this.riverDensity) return;
+    
+    // Source somewhere in the cell, on the lattice
+    let i = Math.round((a + this.random.valueAt(a, b, 3)) * SOURCE_SPACING / LATTICE_SIZE);
+    let j = Math.round((b + this.random.valueAt(a, b, 4)) * SOURCE_SPACING / LATTICE_SIZE);
+    if (this.getNodeHeight(i, j) < SOURCE_MIN_HEIGHT) return;
+    
+    const source = this.getNodePosition(i, j);
+    const visitedLakes = new Set();
+    
+    for (let step = 0; step < MAX_RIVER_STEPS; step++) {
+      const height = this.getNodeHeight(i, j);
+      if (height < this.waterLevel) break; // Reached the sea
+      
+      const position = this.getNodePosition(i, j);
+      if (Math.hypot(position.x - source.x, position.z - source.z) > MAX_RIVER_LENGTH) break;
+      
+      // Flow downhill
+      const next = this.getLowestNeighbour(i, j);
+      if (next.height < height) {
+        this.addSegment(i, j, next.i, next.j);
+        i = next.i;
+        j = next.j;
+        continue;
+      }
+      
+      // Stuck in a basin: fill it and continue from where it spills over
+      const lake = this.getLake(i, j);
+      if (!lake.outlet || visitedLakes.has(lake)) break;
+      visitedLakes.add(lake);
+      
+      this.addSegment(lake.spill.i, lake.spill.j, lake.outlet.i, lake.outlet.j);
+      i = lake.outlet.i;
+      j = lake.outlet.j;
+    }
+  }
+  
+  // Flood a basin from its lowest node until the water finds a way out.
+  // Returns { level, nodes, spill, outlet }; outlet is the first node outside
+  // the lake lower than its surface, spill the lake node next to it.
+  getLake(i, j) {
+    const key = nodeKey(i, j);
+    if (this.lakes.has(key)) return this.lakes.get(key);
+    
+    const center = this.getNodePosition(i, j);
+    const visited = new Set([key]);
+    const frontier = []; // Nodes next to the lake, not yet flooded
+    const nodes = [];
+    let level = this.getNodeHeight(i, j);
+    let spill = null;
+    let outlet = null;
+    
+    const flood = (node) => {
+      nodes.push(node);
+      
+      for (const [di, dj] of NEIGHBOURS) {
+        const ni = node.i + di;
+        const nj = node.j + dj;
+        const neighbourKey = nodeKey(ni, nj);
+        if (visited.has(neighbourKey)) continue;
+        visited.add(neighbourKey);
+        
+        const position = this.getNodePosition(ni, nj);
+        if (Math.hypot(position.x - center.x, position.z - center.z) > LAKE_MAX_RADIUS) continue;
+        
+        frontier.push({ i: ni, j: nj, height: this.getNodeHeight(ni, nj), from: node });
+      }
+    };
+    
+    flood({ i, j });
+    
+    while (frontier.length > 0 && nodes.length < LAKE_MAX_NODES) {
+      // Lowest node on the shore
+      let lowest = 0;
+      for (let n = 1; n < frontier.length; n++) {
+        if (frontier[n].height < frontier[lowest].height) lowest = n;
+      }
+      const node = frontier[lowest];
+      frontier[lowest] = frontier[frontier.length - 1];
+      frontier.pop();
+      
+      // Lower than the water: the lake overflows here
+      if (node.height < level) {
+        spill = node.from;
+        outlet = { i: node.i, j: node.j };
+        break;
+      }
+      
+      level = node.height;
+      flood(node);
+    }
+    
+    const lake = { level, nodes, spill, outlet };
+    this.lakes.set(key, lake);
+    
+    // Where lakes overlap the higher one wins, whichever was found first
+    for (const node of nodes) {
+      const nodeKeyValue = nodeKey(node.i, node.j);
+      const existing = this.lakeNodes.get(nodeKeyValue);
+      if (!existing || existing.level < level) {
+        this.lakeNodes.set(nodeKeyValue, lake);
+      }
+    }
+    
+    return lake;
+  }
+  
+  // Add the river segment between two lattice nodes, once
+  addSegment(i1, j1, i2, j2) {
+    const key = `${nodeKey(i1, j1)}>${nodeKey(i2, j2)}`;
+    if (this.segmentKeys.has(key)) return;
+    this.segmentKeys.add(key);
+    
+    const a = this.getNodePosition(i1, j1);
+    const b = this.getNodePosition(i2, j2);
+    const levelA = this.getNodeHeight(i1, j1);
+    const levelB = this.getNodeHeight(i2, j2);
+    const segment = {
+      ax: a.x,
+      az: a.z,
+      bx: b.x,
+      bz: b.z,
+      levelA,
+      levelB,
+      widthA: this.getRiverWidth(levelA),
+      widthB: this.getRiverWidth(levelB)
+    };
+    
+    // Register in every bucket the channel and banks can touch
+    const margin = this.riverWidth + BANK_WIDTH;
+    const minX = Math.floor((Math.min(a.x, b.x) - margin) / BUCKET_SIZE);
+    const maxX = Math.floor((Math.max(a.x, b.x) + margin) / BUCKET_SIZE);
+    const minZ = Math.floor((Math.min(a.z, b.z) - margin) / BUCKET_SIZE);
+    const maxZ = Math.floor((Math.max(a.z, b.z) + margin) / BUCKET_SIZE);
+    
+    for (let bx = minX; bx <= maxX; bx++) {
+      for (let bz = minZ; bz <= maxZ; bz++) {
+        const key = nodeKey(bx, bz);
+        if (!this.buckets.has(key)) {
+          this.buckets.set(key, []);
+        }
+        this.buckets.get(key).push(segment);
+      }
+    }
+  }
+  
+  // Rivers widen as they get closer to sea level
+  getRiverWidth(level) {
+    const lowland = (SOURCE_MIN_HEIGHT - level) / (SOURCE_MIN_HEIGHT - this.waterLevel);
+    return this.riverWidth * (0.4 + 0.6 * Math.min(1, Math.max(0, lowland)));
+  }
+  
+  // Distance from a point to a segment, and how far along the segment (0-1)
+  // the closest point is
+  getSegmentDistance(segment, x, z) {
+    const dx = segment.bx - segment.ax;
+    const dz = segment.bz - segment.az;
+    const lengthSq = dx * dx + dz * dz;
+    const t = lengthSq > 0
+      ? Math.min(1, Math.max(0, ((x - segment.ax) * dx + (z - segment.az) * dz) / lengthSq))
+      : 0;
+    
+    const distance = Math.hypot(x - (segment.ax + dx * t), z - (segment.az + dz * t));
+    return { distance, t };
+  }
+  
+  // Lowest of the eight neighbours of a lattice node
+  getLowestNeighbour(i, j) {
+    let lowest = null;
+    
+    for (const [di, dj] of NEIGHBOURS) {
+      const height = this.getNodeHeight(i + di, j + dj);
+      if (!lowest || height < lowest.height) {
+        lowest = { i: i + di, j: j + dj, height };
+      }
+    }
+    
+    return lowest;
+  }
+  
+  // World position of a lattice node, jittered so rivers don't follow the grid
+  getNodePosition(i, j) {
+    return {
+      x: (i + (this.random.valueAt(i, j, 0) - 0.5) * 0.6) * LATTICE_SIZE,
+      z: (j + (this.random.valueAt(i, j, 1) - 0.5) * 0.6) * LATTICE_SIZE
+    };
+  }
+  
+  // Uncarved terrain height at a lattice node
+  getNodeHeight(i, j) {
+    const key = nodeKey(i, j);
+    let height = this.nodeHeights.get(key);
+    
+    if (height === undefined) {
+      const { x, z } = this.getNodePosition(i, j);
+      height = this.sampleBaseHeight(x, z);
+      this.nodeHeights.set(key, height);
+    }
+    
+    return height;
+  }
+}
+
+// Map key for a pair of integer coordinates
+function nodeKey(i, j) {
+  return `${i},${j}`;
+}
+
+// Key of the river bucket containing a world position
+function bucketKey(x, z) {
+  return nodeKey(Math.floor(x / BUCKET_SIZE), Math.floor(z / BUCKET_SIZE));
+}
+
+// Smooth 0-1 ramp between edge0 and edge1
+function smoothstep(edge0, edge1, value) {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
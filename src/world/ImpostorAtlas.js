@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { ResourceTracker } from './ResourceTracker.js';
+
+// Pixels per side of each variant's cell in the atlas
+const CELL_SIZE = 128;
+
+// Space around a variant in its cell, as a fraction of the cell, so mipmaps
+// don't bleed between neighbouring cells
+const CELL_MARGIN = 0.05;
+
+// Lights the variants are baked with, matching the world's sun and ambient
+// light (see index.js)
+const SUN_POSITION = new THREE.Vector3(50, 100, 50);
+const AMBIENT_COLOR = 0x404040;
+const AMBIENT_INTENSITY = 0.5;
+
+// Sprites of object variants for impostors, baked once into one texture by
+// rendering each variant from the side into a square cell. Distant chunks draw
+// their objects as camera-facing quads showing these sprites (see ImpostorBatch).
+//
+// Variants are [key, Object3D] pairs, built at the origin without rotation.
+// Whatever they use that isn't tracked elsewhere (see ResourceTracker) is
+// freed after baking.
+export class ImpostorAtlas {
+  constructor(renderer, variants) {
+    this.columns = Math.max(1, Math.ceil(Math.sqrt(variants.length)));
+    const size = this.columns * CELL_SIZE;
+    
+    this.renderTarget = new THREE.WebGLRenderTarget(size, size, {
+      minFilter: THREE.LinearMipmapLinearFilter,
+      generateMipmaps: true
+    });
+    this.texture = this.renderTarget.texture;
+    
+    // Variant key -> { uv: [u, v, width, height], size, bottom }, where size is
+    // the side of the sprite in world units and bottom the height of its lower
+    // edge above the object's origin
+    this.frames = new Map();
+    
+    this.bake(renderer, variants);
+  }
+  
+  // Render every variant into its cell
+  bake(renderer, variants) {
+    const scene = new THREE.Scene();
+    const sun = new THREE.DirectionalLight(0xffffff, 1);
+    sun.position.copy(SUN_POSITION);
+    scene.add(sun, new THREE.AmbientLight(AMBIENT_COLOR, AMBIENT_INTENSITY));
+    
+    const camera = new THREE.OrthographicCamera();
+    const resources = new ResourceTracker(); // What only the baking uses
+    
+    // Leave the renderer as it was
+    const previousTarget = renderer.getRenderTarget();
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    
+    renderer.setClearColor(0x000000, 0);
+    renderer.setRenderTarget(this.renderTarget);
+    renderer.clear();
+    this.renderTarget.scissorTest = true;
+    
+    variants.forEach(([key, object], i) => {
+      resources.track(object);
+      const column = i % this.columns;
+      const row = Math.floor(i / this.columns);
+      const frame = this.frameVariant(object, camera);
+      
+      // Only draw into this variant's cell
+      this.renderTarget.viewport.set(column * CELL_SIZE, row * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+      this.renderTarget.scissor.copy(this.renderTarget.viewport);
+      renderer.setRenderTarget(this.renderTarget);
+      
+      scene.add(object);
+      renderer.render(scene, camera);
+      scene.remove(object);
+      
+      this.frames.set(key, {
+        uv: [column / this.columns, row / this.columns, 1 / this.columns, 1 / this.columns],
+        size: frame.size,
+        bottom: frame.bottom
+      });
+    });
+    
+    this.renderTarget.scissorTest = false;
+    this.renderTarget.viewport.set(0, 0, this.renderTarget.width, this.renderTarget.height);
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    resources.dispose();
+  }
+  
+  // Point an orthographic camera at a variant from the side (+z), fitting it
+  // into a square frame whatever way it is turned. Returns the frame's side
+  // and the height of its bottom edge.
+  frameVariant(object, camera) {
+    const box = new THREE.Box3().setFromObject(object);
+    const halfWidth = Math.max(-box.min.x, box.max.x, -box.min.z, box.max.z);
+    const height = box.max.y - box.min.y;
+    const size = Math.max(halfWidth * 2, height) / (1 - CELL_MARGIN * 2);
+    const bottom = box.min.y - size * CELL_MARGIN;
+    
+    camera.left = -size / 2;
+    camera.right = size / 2;
+    camera.bottom = bottom;
+    camera.top = bottom + size;
+    camera.near = 0.1;
+    camera.far = halfWidth * 2 + 2;
+    camera.position.set(0, 0, halfWidth + 1);
+    camera.updateProjectionMatrix();
+    
+    return { size, bottom };
+  }
+  
+  // Frame of a variant, or null if it wasn't baked
+  getFrame(key) {
+    return this.frames.get(key) || null;
+  }
+}
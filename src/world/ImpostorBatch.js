@@ -0,0 +1,51 @@
+import * as THREE from 'three';
+
+const _position = new THREE.Vector3();
+const _scale = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+const _white = new THREE.Color(0xffffff);
+
+// The impostor sprites of a chunk's objects: one InstancedMesh of quads drawn
+// with an ImpostorMaterial. Each object with userData.impostor ({ variant,
+// color }) gets the atlas sprite of its variant, tinted by its colour, at its
+// position and scale. Built all at once; build a new batch when the objects
+// change.
+export class ImpostorBatch {
+  constructor(scene, atlas, material, objects, resources) {
+    this.scene = scene;
+    this.resources = resources; // ResourceTracker of the chunk, owning the quad geometry
+    
+    const drawn = objects.filter(object => object.userData.impostor && atlas.getFrame(object.userData.impostor.variant));
+    const uvs = new Float32Array(drawn.length * 4);
+    
+    // A unit quad standing on its bottom edge; the shader turns it to the camera
+    const geometry = this.resources.track(new THREE.PlaneGeometry(1, 1));
+    geometry.translate(0, 0.5, 0);
+    
+    this.mesh = new THREE.InstancedMesh(geometry, material, drawn.length);
+    this.mesh.raycast = () => {}; // Rays would hit the unturned quads, not what is drawn
+    
+    drawn.forEach((object, i) => {
+      const { variant, color } = object.userData.impostor;
+      const frame = atlas.getFrame(variant);
+      
+      _position.copy(object.position);
+      _position.y += frame.bottom * object.scale.y;
+      _scale.set(frame.size * object.scale.x, frame.size * object.scale.y, 1);
+      this.mesh.setMatrixAt(i, _matrix.compose(_position, _quaternion, _scale));
+      this.mesh.setColorAt(i, color || _white);
+      uvs.set(frame.uv, i * 4);
+    });
+    
+    geometry.setAttribute('impostorUv', new THREE.InstancedBufferAttribute(uvs, 4));
+    this.scene.add(this.mesh);
+  }
+  
+  // Remove the sprites from the scene and free their buffers
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.resources.release(this.mesh.geometry);
+    this.mesh.dispose();
+  }
+}
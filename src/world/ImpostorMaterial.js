@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+const vertexShader = `
+  attribute vec4 impostorUv; // Cell of the sprite in the atlas: offset, then size
+  
+  uniform vec3 fadeCenter;
+  uniform float fadeStart;
+  uniform float fadeEnd;
+  
+  varying vec2 vUv;
+  varying vec3 vColor;
+  varying float vFade;
+  
+  #include <fog_pars_vertex>
+  
+  void main() {
+    // The instance matrix places the bottom centre of the sprite and scales it
+    // to its size; the quad is turned about the vertical to face the camera
+    vec3 origin = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    float width = length(instanceMatrix[0].xyz);
+    float height = length(instanceMatrix[1].xyz);
+    
+    vec2 toCamera = cameraPosition.xz - origin.xz;
+    vec2 right = length(toCamera) > 0.0 ? normalize(vec2(toCamera.y, -toCamera.x)) : vec2(1.0, 0.0);
+    vec3 worldPosition = origin + vec3(right.x, 0.0, right.y) * position.x * width + vec3(0.0, position.y * height, 0.0);
+    
+    vUv = impostorUv.xy + uv * impostorUv.zw;
+    #ifdef USE_INSTANCING_COLOR
+      vColor = instanceColor;
+    #else
+      vColor = vec3(1.0);
+    #endif
+    vFade = 1.0 - smoothstep(fadeStart, fadeEnd, distance(origin.xz, fadeCenter.xz));
+    
+    vec4 mvPosition = viewMatrix * vec4(worldPosition, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    
+    #include <fog_vertex>
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D atlas;
+  
+  varying vec2 vUv;
+  varying vec3 vColor;
+  varying float vFade;
+  
+  #include <fog_pars_fragment>
+  
+  void main() {
+    vec4 texel = texture2D(atlas, vUv);
+    
+    // Fade out with a screen-space dither instead of blending, so sprites
+    // need no sorting and still write depth
+    float dither = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))));
+    if (texel.a < 0.5 || vFade <= dither) discard;
+    
+    gl_FragColor = vec4(texel.rgb * vColor, 1.0);
+    
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+  }
+`;
+
+// Draws impostor sprites from an ImpostorAtlas: unlit quads turned to face the
+// camera, tinted by instance colour, fading out between fadeStart and fadeEnd
+// (world units) from the fade centre. Needs an `impostorUv` instanced
+// attribute on the geometry (see ImpostorBatch). Shared by every chunk.
+export class ImpostorMaterial extends THREE.ShaderMaterial {
+  constructor(atlasTexture, fadeStart, fadeEnd) {
+    super({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+          atlas: { value: null },
+          fadeCenter: { value: new THREE.Vector3() },
+          fadeStart: { value: fadeStart },
+          fadeEnd: { value: fadeEnd }
+        }
+      ]),
+      vertexShader,
+      fragmentShader,
+      fog: true
+    });
+    
+    // Set after merging, which would copy the texture
+    this.uniforms.atlas.value = atlasTexture;
+  }
+  
+  // Fade sprites by their distance from this position (usually the player)
+  setFadeCenter(position) {
+    this.uniforms.fadeCenter.value.copy(position);
+  }
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+// Instances a batch has room for when it is created; it doubles when full
+const INITIAL_CAPACITY = 16;
+
+// One InstancedMesh drawing many copies of a geometry with one material, each
+// with its own matrix and colour. Every instance belongs to a part of an
+// InstancedObject. Removing an instance moves the last one into its slot, so
+// the instances drawn are always slots 0 to count - 1.
+export class InstanceBatch {
+  constructor(scene, geometry, material) {
+    this.scene = scene;
+    this.geometry = geometry; // Shared with the factory; not disposed here
+    this.material = material;
+    this.count = 0;
+    this.parts = []; // Slot -> InstancedObject part drawn by it
+    
+    this.mesh = this.createMesh(INITIAL_CAPACITY);
+    this.scene.add(this.mesh);
+  }
+  
+  // Instanced mesh with room for a number of instances, drawing the current ones
+  createMesh(capacity) {
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.count = this.count;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.batch = this; // Lets raycast hits find the object of an instance
+    return mesh;
+  }
+  
+  // Add an instance for a part; returns its slot
+  add(part, matrix, color) {
+    if (this.count === this.mesh.instanceMatrix.count) {
+      this.grow();
+    }
+    
+    const slot = this.count++;
+    this.parts[slot] = part;
+    this.mesh.count = this.count;
+    this.mesh.setColorAt(slot, color);
+    this.mesh.instanceColor.needsUpdate = true;
+    this.setMatrix(slot, matrix);
+    return slot;
+  }
+  
+  // Move an instance
+  setMatrix(slot, matrix) {
+    this.mesh.setMatrixAt(slot, matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.boundingSphere = null; // Recomputed for frustum culling when needed
+  }
+  
+  // Remove an instance, moving the last instance into its slot
+  remove(slot) {
+    const last = this.count - 1;
+    
+    if (slot !== last) {
+      const { instanceMatrix, instanceColor } = this.mesh;
+      instanceMatrix.array.copyWithin(slot * 16, last * 16, last * 16 + 16);
+      instanceColor.array.copyWithin(slot * 3, last * 3, last * 3 + 3);
+      this.parts[slot] = this.parts[last];
+      this.parts[slot].slot = slot;
+    }
+    
+    this.parts.pop();
+    this.count = last;
+    this.mesh.count = this.count;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate = true;
+    this.mesh.boundingSphere = null;
+  }
+  
+  // Object drawn by an instance (e.g. the instanceId of a raycast hit)
+  getObject(slot) {
+    const part = this.parts[slot];
+    return part ? part.object : null;
+  }
+  
+  // Replace the mesh with one twice as large, keeping the instances
+  grow() {
+    const oldMesh = this.mesh;
+    this.mesh = this.createMesh(oldMesh.instanceMatrix.count * 2);
+    this.mesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array);
+    this.mesh.instanceColor.array.set(oldMesh.instanceColor.array);
+    
+    this.scene.remove(oldMesh);
+    oldMesh.dispose();
+    this.scene.add(this.mesh);
+  }
+  
+  // Remove the mesh from the scene and free its instance buffers
+  dispose() {
+    this.scene.remove(this.mesh);
+    this.mesh.dispose();
+  }
+}
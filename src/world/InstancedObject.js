@@ -0,0 +1,73 @@
+import * as THREE from 'three';
+
+const _quaternion = new THREE.Quaternion();
+const _partMatrix = new THREE.Matrix4();
+
+// A placed object (tree, rock, bush) that is drawn as instances in shared
+// InstanceBatches instead of meshes of its own. It has the position, rotation,
+// scale and userData of an Object3D, so collision and the rest of the world can
+// treat it like one. Call updateMatrix() after moving it.
+//
+// Each part is { geometry, material, color, matrix, simpleGeometry }: one
+// instance in the batch for its geometry and material, with a colour of its own
+// and an optional matrix relative to the object (e.g. a smaller bush next to
+// the main one). simpleGeometry is drawn instead in the mid-range level of
+// detail; null leaves the part out there, and without one the geometry is kept.
+export class InstancedObject {
+  constructor(parts) {
+    this.isInstancedObject = true;
+    this.position = new THREE.Vector3();
+    this.rotation = new THREE.Euler();
+    this.scale = new THREE.Vector3(1, 1, 1);
+    this.matrix = new THREE.Matrix4();
+    this.userData = {};
+    
+    this.parts = parts.map(part => ({
+      ...part,
+      matrix: part.matrix || new THREE.Matrix4(),
+      object: this,
+      batch: null, // Set while the object is drawn
+      slot: -1
+    }));
+  }
+  
+  // Draw the object: add each part to the batch getBatch(geometry, material)
+  // returns, using the simplified geometries if simple is set
+  addToBatches(getBatch, simple = false) {
+    this.updateMatrix();
+    
+    for (const part of this.parts) {
+      const geometry = simple && part.simpleGeometry !== undefined ? part.simpleGeometry : part.geometry;
+      if (!geometry) continue;
+      
+      part.batch = getBatch(geometry, part.material);
+      part.slot = part.batch.add(part, this.getPartMatrix(part), part.color);
+    }
+  }
+  
+  // Recompute the matrix from position, rotation and scale and move the instances
+  updateMatrix() {
+    this.matrix.compose(this.position, _quaternion.setFromEuler(this.rotation), this.scale);
+    
+    for (const part of this.parts) {
+      if (part.batch) {
+        part.batch.setMatrix(part.slot, this.getPartMatrix(part));
+      }
+    }
+  }
+  
+  // World matrix of a part's instance
+  getPartMatrix(part) {
+    return _partMatrix.multiplyMatrices(this.matrix, part.matrix);
+  }
+  
+  // Stop drawing the object, freeing its instances
+  dispose() {
+    for (const part of this.parts) {
+      if (part.batch) {
+        part.batch.remove(part.slot);
+        part.batch = null;
+      }
+    }
+  }
+}
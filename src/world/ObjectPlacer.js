@@ -1,386 +1,488 @@
-import * as THREE from 'three';
-import { LowPolyTree } from '../assets/LowPolyTree.js';
-import { LowPolyRock } from '../assets/LowPolyRock.js';
-import { LowPolyBush } from '../assets/LowPolyBush.js';
-import { LowPolyBuilding } from '../assets/LowPolyBuilding.js';
-import { LowPolyApartment } from '../assets/LowPolyApartment.js';
-import { LowPolyRoad } from '../assets/LowPolyRoad.js';
-import { LowPolyMegaRock } from '../assets/LowPolyMegaRock.js';
+import { InstanceBatch } from './InstanceBatch.js';
+import { StaticBatch } from './StaticBatch.js';
+import { ResourceTracker } from './ResourceTracker.js';
+import { ImpostorAtlas } from './ImpostorAtlas.js';
+import { ImpostorBatch } from './ImpostorBatch.js';
+import { ImpostorMaterial } from './ImpostorMaterial.js';
+import { SpatialHash } from './SpatialHash.js';
 
-// Density values for object placement (objects per chunk)
-const TREE_DENSITY = 20;
-const ROCK_DENSITY = 10;
-const BUSH_DENSITY = 15;
-const BUILDING_DENSITY = 20;
-const APARTMENT_DENSITY = 10; // Lower density for larger buildings
-const MEGA_ROCK_DENSITY = 0.1; // Very low density for mega rocks (1 in ~3 chunks)
+// Levels of detail of a chunk's objects, nearest first: full meshes,
+// simplified meshes, impostor sprites, and nothing at all
+const OBJECT_LODS = ['full', 'simple', 'impostor', 'hidden'];
 
-// Min distance between buildings to prevent overlap
-const MIN_BUILDING_DISTANCE = 10;
-const MIN_APARTMENT_DISTANCE = 20;
-const MIN_MEGA_ROCK_DISTANCE = 80; // Very large distance for these massive structures
+// Side of the collider grid's cells, in world units: a few times the size of
+// a typical collider, so most colliders sit in one or two cells
+const COLLIDER_CELL_SIZE = 8;
+
+// Chunks only change object level of detail once they are this far (in chunks)
+// past a level's border, so standing on a border doesn't redraw them back and forth
+const OBJECT_LOD_HYSTERESIS = 0.25;
 
 export class ObjectPlacer {
-  constructor(scene, seed) {
+  constructor(scene, random, config, assets) {
     this.scene = scene;
-    this.seed = seed;
+    this.seed = config.seed;
+    this.config = config;
+    this.assets = assets; // AssetRegistry: how each type is created, collides and is drawn
+    this.random = random; // Seeded random service, forked per factory and per chunk
     this.objects = new Map(); // Map of chunk keys to arrays of objects
-    
-    // Initialize object factories
-    this.treeFactory = new LowPolyTree();
-    this.rockFactory = new LowPolyRock();
-    this.bushFactory = new LowPolyBush();
-    this.buildingFactory = new LowPolyBuilding();
-    this.apartmentFactory = new LowPolyApartment();
-    this.roadFactory = new LowPolyRoad();
-    this.megaRockFactory = new LowPolyMegaRock();
-    
-    // Store building positions for road placement
-    this.buildingPositions = [];
-    this.apartmentPositions = [];
-    this.megaRockPositions = []; // Store mega rock positions for distance checking
-    
-    // Road network already placed
-    this.roadNetworkPlaced = false;
+    this.batches = new Map(); // Chunk key -> instance batches of its trees, rocks and bushes, by geometry and material
+    this.staticBatches = new Map(); // Chunk key -> StaticBatch merging its buildings and apartments
+    this.mergedMaterials = new Map(); // Materials of the merged meshes, shared by all chunks
+    this.resources = new Map(); // Chunk key -> ResourceTracker with the geometries and materials made for it
+    
+    // Level of detail of the objects in each chunk, from their distance to the
+    // player (see updateLods). Impostors are drawn once bakeImpostors is called.
+    this.chunkLods = new Map(); // Chunk key -> level from OBJECT_LODS
+    this.lodCenter = null; // Player position in chunks, { x, z }
+    this.impostorAtlas = null;
+    this.impostorMaterial = null;
+    this.impostorBatches = new Map(); // Chunk key -> ImpostorBatch
+    
+    // Factory of every registered type
+    this.factories = assets.createFactories(random);
+    
+    // Objects with a collider, by position, for collision queries (see
+    // getCollidersNear). Filled as objects are placed, emptied as they go.
+    this.colliders = new SpatialHash(COLLIDER_CELL_SIZE);
+    
+    // Changes the player made, by chunk key: indices of planned placements that
+    // were removed, and placements that were added. Kept when chunks unload.
+    this.modifications = new Map();
   }
   
-  // Place objects on a terrain chunk
-  placeObjectsInChunk(chunk) {
+  // Create the objects planned for a terrain chunk (see PlacementPlanner),
+  // road network included
+  placeObjectsInChunk(chunk, placements) {
     const chunkKey = `${chunk.chunkX},${chunk.chunkZ}`;
     const chunkObjects = [];
+    const modifications = this.modifications.get(chunkKey);
     
     // Create a simple pseudo-random generator with seed
     const random = this.createRandomGenerator(chunk.chunkX, chunk.chunkZ);
+    this.chunkLods.set(chunkKey, this.getChunkLod(chunkKey));
     
-    // Create town center if this is a special location
-    if (this.isTownLocation(chunk.chunkX, chunk.chunkZ)) {
-      this.createTownCenter(chunk, chunkObjects, random);
-    } 
-    // Place alien mega rocks with low probability
-    else if (random() > (1 - MEGA_ROCK_DENSITY)) {
-      // Place a mega rock if the terrain is suitable and it's far from other mega rocks
-      this.placeMegaRock(chunk, chunkObjects, random);
-    }
-    // Otherwise place normal objects
-    else {
-      // Place trees
-      this.placeObjects(
-        chunk, 
-        chunkObjects, 
-        TREE_DENSITY, 
-        (x, z, y) => this.treeFactory.create(x, y, z),
-        random,
-        0.45 // Minimum height for trees (above water)
-      );
-      
-      // Place rocks
-      this.placeObjects(
-        chunk, 
-        chunkObjects, 
-        ROCK_DENSITY, 
-        (x, z, y) => this.rockFactory.create(x, y, z),
-        random,
-        0.3 // Rocks can be near water
-      );
+    placements.forEach((placement, index) => {
+      // Removed by the player
+      if (modifications && modifications.removed.has(index)) return;
       
-      // Place bushes
-      this.placeObjects(
-        chunk, 
-        chunkObjects, 
-        BUSH_DENSITY, 
-        (x, z, y) => this.bushFactory.create(x, y, z),
-        random,
-        0.45 // Bushes on normal terrain
-      );
+      // Each object gets its own random stream, so rejected placements
+      // don't change how the others look
+      const object = this.buildObject(placement, random.fork(index));
+      object.userData.chunkKey = chunkKey;
+      object.userData.placementIndex = index;
       
-      // Place buildings (rarely and only on flat areas)
-      this.placeObjects(
-        chunk, 
-        chunkObjects, 
-        BUILDING_DENSITY,
-        (x, z, y) => {
-          const building = this.buildingFactory.create(x, y, z);
-          // Store building position for road placement
-          this.buildingPositions.push(new THREE.Vector3(x, y, z));
-          return building;
-        },
-        random,
-        0.5, // Buildings only on flat ground
-        (x, z, chunk) => this.isFlatArea(x, z, chunk) && this.isFarFromOtherBuildings(x, z, MIN_BUILDING_DISTANCE)
-      );
-      
-      // Place apartment buildings (even more rarely, and only on very flat areas)
-      if (random() > 0.5) { // Changed from 0.7 to 0.5 to increase probability to 50%
-        this.placeObjects(
-          chunk, 
-          chunkObjects, 
-          APARTMENT_DENSITY,
-          (x, z, y) => {
-            const apartment = this.apartmentFactory.create(x, y, z);
-            // Store apartment position for road placement
-            this.apartmentPositions.push(new THREE.Vector3(x, y, z));
-            return apartment;
-          },
-          random,
-          0.5, // Apartments only on flat ground
-          (x, z, chunk) => this.isVeryFlatArea(x, z, chunk) && this.isFarFromOtherBuildings(x, z, MIN_APARTMENT_DISTANCE)
-        );
+      this.addToScene(chunkKey, object);
+      chunkObjects.push(object);
+    });
+    
+    // Objects the player added to this chunk
+    if (modifications) {
+      for (const placement of modifications.added) {
+        chunkObjects.push(this.addPlacedObject(chunkKey, placement, random));
       }
     }
     
     // Store the objects for this chunk
     this.objects.set(chunkKey, chunkObjects);
+    this.buildChunkBatches(chunkKey);
+  }
+  
+  // Create the Three.js object for a placement, with its registered type and
+  // tags and its planned variation applied
+  buildObject(placement, random) {
+    const asset = this.getAsset(placement.type);
+    const object = this.createObject(placement, random);
+    
+    object.userData.type = asset.type;
+    object.userData.tags = asset.tags;
+    if (placement.biome) {
+      object.userData.biome = placement.biome;
+    }
     
-    // Place road network once we have enough buildings
-    // Only do this once to avoid creating too many roads
-    if (this.buildingPositions.length > 5 && !this.roadNetworkPlaced) {
-      this.createRoadNetwork();
-      this.roadNetworkPlaced = true;
+    // Apply planned variation
+    if (placement.rotation !== undefined) {
+      object.rotation.y = placement.rotation;
     }
+    if (placement.scale !== undefined) {
+      object.scale.set(placement.scale, placement.scale, placement.scale);
+    }
+    
+    return object;
   }
   
-  // Create a town center layout
-  createTownCenter(chunk, chunkObjects, random) {
-    const centerX = chunk.chunkX * chunk.size + chunk.size / 2;
-    const centerZ = chunk.chunkZ * chunk.size + chunk.size / 2;
-    const height = chunk.getHeightAt(centerX, centerZ);
-    
-    if (height < 0.5 || height > 1.5) return; // Only create towns on suitable terrain
+  // Create the Three.js object for a placement with its type's factory
+  createObject(placement, random) {
+    const { type, x, y, z } = placement;
+    const asset = this.getAsset(type);
+    const factory = this.factories.get(type);
+    
+    if (asset.create) {
+      return asset.create(factory, placement, random);
+    }
+    return factory.create(x, y, z, random);
+  }
+  
+  // Registered definition of a type (see AssetRegistry)
+  getAsset(type) {
+    const asset = this.assets.get(type);
+    if (!asset) {
+      throw new Error(`ObjectPlacer: Unknown placement type "${type}"`);
+    }
+    return asset;
+  }
+  
+  // Objects placed in a chunk (empty if it has none or isn't loaded)
+  getObjectsInChunk(chunkKey) {
+    return this.objects.get(chunkKey) || [];
+  }
+  
+  // Add an object for the player, e.g. { type: 'rock', x, y, z, rotation, scale }.
+  // It is remembered with its chunk, so it comes back when the chunk reloads.
+  // Returns the new object, or null if its chunk isn't loaded yet.
+  addObject(placement) {
+    const chunkX = Math.floor(placement.x / this.config.chunkSize);
+    const chunkZ = Math.floor(placement.z / this.config.chunkSize);
+    const chunkKey = `${chunkX},${chunkZ}`;
+    const modifications = this.getModifications(chunkKey);
+    
+    // Ids give every added object its own random stream, even after others are removed
+    const added = { ...placement, id: modifications.nextId++ };
+    modifications.added.push(added);
     
-    // Create a central square
-    const squareSize = 20;
+    const objects = this.objects.get(chunkKey);
+    if (!objects) return null;
     
-    // Place apartments in a pattern around center
-    for (let i = 0; i < 4; i++) {
-      const angle = i * Math.PI / 2;
-      const distance = squareSize * 0.7;
-      
-      const x = centerX + Math.cos(angle) * distance;
-      const z = centerZ + Math.sin(angle) * distance;
-      const y = chunk.getHeightAt(x, z);
-      
-      if (y !== null && y >= 0.5) {
-        const apartment = this.apartmentFactory.create(x, y, z);
-        apartment.rotation.y = angle + Math.PI;
-        this.scene.add(apartment);
-        chunkObjects.push(apartment);
-        
-        // Store position for road network
-        this.apartmentPositions.push(new THREE.Vector3(x, y, z));
-      }
+    const object = this.addPlacedObject(chunkKey, added, this.createRandomGenerator(chunkX, chunkZ));
+    objects.push(object);
+    this.buildChunkBatches(chunkKey);
+    return object;
+  }
+  
+  // Create a player-added object and add it to the scene
+  addPlacedObject(chunkKey, placement, random) {
+    const object = this.buildObject(placement, random.fork('added', placement.id));
+    object.userData.chunkKey = chunkKey;
+    object.userData.addedPlacement = placement;
+    this.addToScene(chunkKey, object);
+    return object;
+  }
+  
+  // Show a placed object at its chunk's level of detail. Instanced objects
+  // (trees, rocks and bushes) are drawn by their chunk's batches and buildings
+  // by its static batch (drawn once buildChunkBatches is called); everything
+  // else is added to the scene.
+  addToScene(chunkKey, object) {
+    const lod = this.chunkLods.get(chunkKey) || 'full';
+    this.updateCollider(object);
+    
+    if (object.isInstancedObject) {
+      // Geometries and materials are shared by the factory
+      this.addInstances(chunkKey, object, lod);
+      return;
     }
     
-    // Place normal buildings between apartments
-    for (let i = 0; i < 4; i++) {
-      const angle = i * Math.PI / 2 + Math.PI / 4;
-      const distance = squareSize * 0.6;
-      
-      const x = centerX + Math.cos(angle) * distance;
-      const z = centerZ + Math.sin(angle) * distance;
-      const y = chunk.getHeightAt(x, z);
-      
-      if (y !== null && y >= 0.5) {
-        const building = this.buildingFactory.create(x, y, z);
-        building.rotation.y = angle + Math.PI;
-        this.scene.add(building);
-        chunkObjects.push(building);
-        
-        // Store position for road network
-        this.buildingPositions.push(new THREE.Vector3(x, y, z));
-      }
+    this.getResources(chunkKey).track(object);
+    if (this.isMerged(object)) {
+      this.getStaticBatch(chunkKey).add(object);
+    } else {
+      object.visible = lod !== 'hidden';
+      this.scene.add(object);
+    }
+  }
+  
+  // Add an instanced object to its chunk's batches, if the level of detail
+  // draws it as meshes (impostors are drawn by buildChunkBatches)
+  addInstances(chunkKey, object, lod) {
+    if (lod === 'full' || lod === 'simple') {
+      object.addToBatches((geometry, material) => this.getBatch(chunkKey, geometry, material), lod === 'simple');
+    }
+  }
+  
+  // The resource tracker of a chunk, created on first use
+  getResources(chunkKey) {
+    let resources = this.resources.get(chunkKey);
+    if (!resources) {
+      resources = new ResourceTracker();
+      this.resources.set(chunkKey, resources);
+    }
+    return resources;
+  }
+  
+  // Build an object's collider where it is now, if its factory declares one
+  // (createCollider, see Colliders), and put it into the collider grid
+  updateCollider(object) {
+    const factory = this.factories.get(object.userData.type);
+    if (!factory || typeof factory.createCollider !== 'function') return;
+    
+    const collider = factory.createCollider(object);
+    object.userData.collider = collider;
+    this.colliders.insert(object, collider.x, collider.z, collider.radius);
+  }
+  
+  // Placed objects whose collider (userData.collider) may reach a circle on
+  // the ground, written into results (cleared first, so it can be reused). Only
+  // looks at the objects nearby, however many are loaded; test their colliders
+  // afterwards.
+  getCollidersNear(x, z, radius, results = []) {
+    return this.colliders.query(x, z, radius, results);
+  }
+  
+  // Whether an object's meshes are merged into its chunk's static batch
+  isMerged(object) {
+    const asset = this.assets.get(object.userData.type);
+    return Boolean(asset && asset.merged);
+  }
+  
+  // The static batch of a chunk, created on first use
+  getStaticBatch(chunkKey) {
+    let staticBatch = this.staticBatches.get(chunkKey);
+    if (!staticBatch) {
+      staticBatch = new StaticBatch(this.scene, this.mergedMaterials, this.getResources(chunkKey));
+      this.staticBatches.set(chunkKey, staticBatch);
+    }
+    return staticBatch;
+  }
+  
+  // Merge the buildings of a chunk and build its impostors again, after
+  // adding, removing or moving objects or changing its level of detail
+  buildChunkBatches(chunkKey) {
+    const lod = this.chunkLods.get(chunkKey) || 'full';
+    
+    const staticBatch = this.staticBatches.get(chunkKey);
+    if (staticBatch) {
+      staticBatch.build(lod);
     }
     
-    // Place a crossroad in the center
-    const intersection = this.roadFactory.createIntersection(centerX, height + 0.05, centerZ);
-    this.scene.add(intersection);
-    chunkObjects.push(intersection);
-    
-    // Add roads connecting to the intersection
-    for (let i = 0; i < 4; i++) {
-      const angle = i * Math.PI / 2;
-      
-      for (let j = 1; j <= 2; j++) {
-        const roadX = centerX + Math.cos(angle) * (j * 16);
-        const roadZ = centerZ + Math.sin(angle) * (j * 16);
-        const roadY = chunk.getHeightAt(roadX, roadZ) || height;
-        
-        const road = this.roadFactory.createStraight(roadX, roadY + 0.05, roadZ, angle);
-        this.scene.add(road);
-        chunkObjects.push(road);
-      }
+    const impostorBatch = this.impostorBatches.get(chunkKey);
+    if (impostorBatch) {
+      impostorBatch.dispose();
+      this.impostorBatches.delete(chunkKey);
     }
     
-    // Place some trees and bushes for decoration
-    for (let i = 0; i < 10; i++) {
-      const angle = random() * Math.PI * 2;
-      const distance = squareSize * (0.8 + random() * 0.3);
-      
-      const x = centerX + Math.cos(angle) * distance;
-      const z = centerZ + Math.sin(angle) * distance;
-      const y = chunk.getHeightAt(x, z);
-      
-      if (y !== null && y >= 0.45) {
-        // 50% chance for tree or bush
-        if (random() > 0.5) {
-          const tree = this.treeFactory.create(x, y, z);
-          this.scene.add(tree);
-          chunkObjects.push(tree);
-        } else {
-          const bush = this.bushFactory.create(x, y, z);
-          this.scene.add(bush);
-          chunkObjects.push(bush);
-        }
+    if (lod === 'impostor') {
+      const objects = this.getObjectsInChunk(chunkKey).filter(object => object.userData.impostor);
+      if (objects.length > 0) {
+        this.impostorBatches.set(chunkKey, new ImpostorBatch(
+          this.scene,
+          this.impostorAtlas,
+          this.impostorMaterial,
+          objects,
+          this.getResources(chunkKey)
+        ));
       }
     }
   }
   
-  // Check if this is a location that should have a town center
-  isTownLocation(chunkX, chunkZ) {
-    // Create a deterministic check based on seed
-    const townSeed = Math.sin(this.seed * 0.1 + chunkX * 0.3 + chunkZ * 0.7) * 10000;
-    const townValue = (townSeed - Math.floor(townSeed));
-    
-    // Very rare chance (about 1 in 500 chunks)
-    return townValue > 0.998 && chunkX % 5 === 0 && chunkZ % 5 === 0;
+  // Show objects, and collide with them, where they are now, after changing
+  // their position, rotation or scale
+  updateObjects(objects) {
+    const chunkKeys = new Set();
+    for (const object of objects) {
+      object.updateMatrix();
+      this.updateCollider(object);
+      const { chunkKey } = object.userData;
+      if (this.isMerged(object) || this.chunkLods.get(chunkKey) === 'impostor') {
+        chunkKeys.add(chunkKey);
+      }
+    }
+    chunkKeys.forEach(chunkKey => this.buildChunkBatches(chunkKey));
   }
   
-  // Create a road network connecting buildings
-  createRoadNetwork() {
-    // Combine apartment and regular building positions
-    const allPositions = [...this.buildingPositions, ...this.apartmentPositions];
-    
-    // Only create roads if we have enough buildings
-    if (allPositions.length > 5) {
-      this.roadFactory.createRoadNetwork(this.scene, allPositions);
+  // Bake impostor sprites of the variants of every factory that has them (see
+  // ImpostorAtlas), so distant chunks can draw their objects as sprites. Needs
+  // the renderer, so it is called once at startup; until then, distant objects
+  // stay simplified meshes.
+  bakeImpostors(renderer) {
+    const random = this.random.fork('impostors');
+    const variants = [];
+    new Set(this.factories.values()).forEach(factory => {
+      if (typeof factory.getImpostorVariants === 'function') {
+        variants.push(...factory.getImpostorVariants(random));
+      }
+    });
+    this.impostorAtlas = new ImpostorAtlas(renderer, variants);
+    
+    // Sprites fade out over the chunk before the last level, so they are
+    // gone before their chunk is hidden. With few sprite chunks, the fade
+    // starts no nearer than the first of them and takes at least half a chunk.
+    const { chunkSize, impostorDistance, objectFadeDistance } = this.config;
+    const fadeStart = Math.max(objectFadeDistance - 2, impostorDistance);
+    const fadeEnd = Math.max(objectFadeDistance - 1, fadeStart + 0.5);
+    this.impostorMaterial = new ImpostorMaterial(
+      this.impostorAtlas.texture,
+      fadeStart * chunkSize,
+      fadeEnd * chunkSize
+    );
+    
+    if (this.lodCenter) {
+      this.updateLods(this.lodCenter.x, this.lodCenter.z);
     }
   }
   
-  // Helper to place objects with different parameters
-  placeObjects(chunk, chunkObjects, density, createFn, random, minHeight, additionalCheckFn = null) {
-    for (let i = 0; i < density; i++) {
-      // Random position within chunk
-      const localX = random() * chunk.size;
-      const localZ = random() * chunk.size;
-      
-      // World coordinates
-      const worldX = chunk.chunkX * chunk.size + localX;
-      const worldZ = chunk.chunkZ * chunk.size + localZ;
-      
-      // Get height at this position
-      const height = chunk.getHeightAt(worldX, worldZ);
-      
-      // Skip if underwater or additional check fails
-      if (height < minHeight) continue;
-      if (additionalCheckFn && !additionalCheckFn(worldX, worldZ, chunk)) continue;
-      
-      // Create object and add to scene
-      const object = createFn(worldX, worldZ, height);
-      
-      // Add object type as userData for collision detection
-      // Determine object type based on the function that created it
-      const fnString = createFn.toString();
-      if (fnString.includes('treeFactory')) {
-        object.userData.type = 'tree';
-        object.userData.collisionRadius = 0.8;
-      } else if (fnString.includes('rockFactory')) {
-        object.userData.type = 'rock';
-        object.userData.collisionRadius = 0.6;
-      } else if (fnString.includes('bushFactory')) {
-        object.userData.type = 'bush';
-        object.userData.collisionRadius = 0.5;
-      } else if (fnString.includes('buildingFactory')) {
-        object.userData.type = 'building';
-        object.userData.collisionRadius = 2.5;
-      } else if (fnString.includes('apartmentFactory')) {
-        object.userData.type = 'apartment';
-        object.userData.collisionRadius = 5.0;
-      }
-      
-      this.scene.add(object);
-      chunkObjects.push(object);
-      
-      // Add some variation
-      object.rotation.y = random() * Math.PI * 2;
-      const scale = 0.8 + random() * 0.4;
-      object.scale.set(scale, scale, scale);
+  // Level of detail for the objects of a chunk at a distance (in chunks) from
+  // the player. Without baked impostors, the simplified meshes go all the way
+  // out to the fade distance.
+  getLodForDistance(distance) {
+    const { objectDetailDistance, impostorDistance, objectFadeDistance } = this.config;
+    
+    if (distance >= objectFadeDistance) return 'hidden';
+    if (distance >= impostorDistance && this.impostorAtlas) return 'impostor';
+    if (distance >= objectDetailDistance) return 'simple';
+    return 'full';
+  }
+  
+  // Level of detail a chunk's objects should have, keeping the current level
+  // while the chunk is within OBJECT_LOD_HYSTERESIS of its borders
+  getChunkLod(chunkKey, currentLod = null) {
+    if (!this.lodCenter) return 'full';
+    
+    const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+    const dx = chunkX + 0.5 - this.lodCenter.x;
+    const dz = chunkZ + 0.5 - this.lodCenter.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const lod = this.getLodForDistance(distance);
+    if (currentLod === null || currentLod === lod) return lod;
+    
+    const nearest = OBJECT_LODS.indexOf(this.getLodForDistance(Math.max(0, distance - OBJECT_LOD_HYSTERESIS)));
+    const farthest = OBJECT_LODS.indexOf(this.getLodForDistance(distance + OBJECT_LOD_HYSTERESIS));
+    const current = OBJECT_LODS.indexOf(currentLod);
+    if (current >= nearest && current <= farthest) return currentLod;
+    
+    return lod;
+  }
+  
+  // Follow the player (position in chunks) with the objects' levels of detail,
+  // redrawing the chunks whose level changed
+  updateLods(playerChunkX, playerChunkZ) {
+    this.lodCenter = { x: playerChunkX, z: playerChunkZ };
+    if (this.impostorMaterial) {
+      const { chunkSize } = this.config;
+      this.impostorMaterial.setFadeCenter({ x: playerChunkX * chunkSize, y: 0, z: playerChunkZ * chunkSize });
     }
+    
+    this.chunkLods.forEach((currentLod, chunkKey) => {
+      const lod = this.getChunkLod(chunkKey, currentLod);
+      if (lod !== currentLod) {
+        this.chunkLods.set(chunkKey, lod);
+        this.redrawChunk(chunkKey);
+      }
+    });
   }
   
-  // Check if an area is flat enough for buildings
-  isFlatArea(x, z, chunk) {
-    // Sample heights in a small area
-    const sampleRadius = 5;
-    const samples = [];
-    
-    for (let sx = -sampleRadius; sx <= sampleRadius; sx += 2) {
-      for (let sz = -sampleRadius; sz <= sampleRadius; sz += 2) {
-        const height = chunk.getHeightAt(x + sx, z + sz);
-        if (height !== null) {
-          samples.push(height);
-        }
+  // Draw a chunk's objects again at its current level of detail
+  redrawChunk(chunkKey) {
+    const lod = this.chunkLods.get(chunkKey);
+    const objects = this.getObjectsInChunk(chunkKey);
+    
+    // Instances go into fresh batches, with the geometries of the new level
+    for (const object of objects) {
+      if (object.isInstancedObject) {
+        object.dispose();
       }
     }
+    const chunkBatches = this.batches.get(chunkKey);
+    if (chunkBatches) {
+      chunkBatches.forEach(batch => batch.dispose());
+      this.batches.delete(chunkKey);
+    }
     
-    // Calculate height difference
-    if (samples.length < 4) return false;
+    for (const object of objects) {
+      if (object.isInstancedObject) {
+        this.addInstances(chunkKey, object, lod);
+      } else if (!this.isMerged(object)) {
+        object.visible = lod !== 'hidden';
+      }
+    }
     
-    const min = Math.min(...samples);
-    const max = Math.max(...samples);
+    this.buildChunkBatches(chunkKey);
+  }
+  
+  // The instance batch of a chunk for a geometry and material, created on first use
+  getBatch(chunkKey, geometry, material) {
+    let chunkBatches = this.batches.get(chunkKey);
+    if (!chunkBatches) {
+      chunkBatches = new Map();
+      this.batches.set(chunkKey, chunkBatches);
+    }
     
-    // Area is flat if max height difference is small
-    return (max - min) < 0.5;
+    const key = `${geometry.uuid}/${material.uuid}`;
+    let batch = chunkBatches.get(key);
+    if (!batch) {
+      batch = new InstanceBatch(this.scene, geometry, material);
+      chunkBatches.set(key, batch);
+    }
+    return batch;
   }
   
-  // Check if area is very flat (for apartments)
-  isVeryFlatArea(x, z, chunk) {
-    // Sample heights in a larger area
-    const sampleRadius = 10;
-    const samples = [];
-    
-    for (let sx = -sampleRadius; sx <= sampleRadius; sx += 2) {
-      for (let sz = -sampleRadius; sz <= sampleRadius; sz += 2) {
-        const height = chunk.getHeightAt(x + sx, z + sz);
-        if (height !== null) {
-          samples.push(height);
-        }
-      }
+  // Placed object hit by a raycast (an intersection from THREE.Raycaster), or
+  // null if the hit isn't part of one. Instanced objects are found from the
+  // instance that was hit, and merged buildings from the triangle.
+  getIntersectedObject(intersection) {
+    const { batch, staticBatch } = intersection.object.userData;
+    if (batch) {
+      return batch.getObject(intersection.instanceId);
+    }
+    if (staticBatch) {
+      return staticBatch.getObject(intersection.object, intersection.faceIndex);
     }
     
-    // Calculate height difference
-    if (samples.length < 10) return false;
+    // Walk up from the mesh that was hit to the placed object
+    let object = intersection.object;
+    while (object && object.userData.chunkKey === undefined) {
+      object = object.parent;
+    }
+    return object || null;
+  }
+  
+  // Remove one object for the player. It stays removed when its chunk reloads.
+  removeObject(object) {
+    const { chunkKey, placementIndex, addedPlacement } = object.userData;
+    const objects = this.objects.get(chunkKey);
+    if (!objects || !objects.includes(object)) {
+      throw new Error('ObjectPlacer: Can only remove objects placed in a loaded chunk');
+    }
     
-    const min = Math.min(...samples);
-    const max = Math.max(...samples);
+    const modifications = this.getModifications(chunkKey);
+    if (addedPlacement) {
+      modifications.added = modifications.added.filter(placement => placement !== addedPlacement);
+    } else {
+      modifications.removed.add(placementIndex);
+    }
     
-    // Area is very flat if max height difference is small (increased from 0.15 to 0.3)
-    return (max - min) < 0.3;
+    objects.splice(objects.indexOf(object), 1);
+    this.disposeObject(object);
   }
   
-  // Check if position is far enough from other buildings
-  isFarFromOtherBuildings(x, z, minDistance) {
-    // Check distance to regular buildings
-    for (const pos of this.buildingPositions) {
-      const dx = pos.x - x;
-      const dz = pos.z - z;
-      const distSq = dx * dx + dz * dz;
-      
-      if (distSq < minDistance * minDistance) {
-        return false;
-      }
+  // Changes the player made to a chunk's objects, created on first use
+  getModifications(chunkKey) {
+    let modifications = this.modifications.get(chunkKey);
+    if (!modifications) {
+      modifications = { removed: new Set(), added: [], nextId: 0 };
+      this.modifications.set(chunkKey, modifications);
     }
+    return modifications;
+  }
+  
+  // Plain object with the changes the player made, for saving
+  getSaveData() {
+    const data = {};
+    this.modifications.forEach(({ removed, added, nextId }, chunkKey) => {
+      data[chunkKey] = { removed: [...removed], added, nextId };
+    });
+    return data;
+  }
+  
+  // Restore the changes from getSaveData. Only affects chunks placed afterwards.
+  restoreSaveData(data) {
+    this.modifications.clear();
     
-    // Check distance to apartments
-    for (const pos of this.apartmentPositions) {
-      const dx = pos.x - x;
-      const dz = pos.z - z;
-      const distSq = dx * dx + dz * dz;
-      
-      if (distSq < minDistance * minDistance) {
-        return false;
+    for (const [chunkKey, { removed, added, nextId }] of Object.entries(data)) {
+      if (!Array.isArray(removed) || !Array.isArray(added)) {
+        throw new Error(`ObjectPlacer: Invalid saved objects for chunk ${chunkKey}`);
       }
+      this.modifications.set(chunkKey, { removed: new Set(removed), added, nextId: nextId || added.length });
     }
-    
-    return true;
   }
   
   // Remove all objects in a chunk
@@ -388,102 +490,72 @@ export class ObjectPlacer {
     const objects = this.objects.get(chunkKey);
     if (!objects) return;
     
-    // Remove each object from scene
+    // Remove each object from scene. Instanced and merged objects go with their batches.
     for (const object of objects) {
-      this.scene.remove(object);
-      
-      // Dispose of geometries and materials to prevent memory leaks
-      if (object.geometry) object.geometry.dispose();
-      if (object.material) {
-        if (Array.isArray(object.material)) {
-          object.material.forEach(material => material.dispose());
-        } else {
-          object.material.dispose();
-        }
+      this.colliders.remove(object);
+      if (!object.isInstancedObject && !this.isMerged(object)) {
+        this.scene.remove(object);
       }
     }
     
-    // Remove from map
-    this.objects.delete(chunkKey);
-  }
-  
-  // Create a deterministic random number generator for a chunk
-  createRandomGenerator(chunkX, chunkZ) {
-    // Seed based on chunk coordinates and world seed
-    let seed = this.seed + chunkX * 10000 + chunkZ * 1000;
-    
-    return function() {
-      // Simple but effective pseudo-random generator
-      const x = Math.sin(seed++) * 10000;
-      return x - Math.floor(x);
-    };
-  }
-  
-  // Place a mega rock formation in a chunk
-  placeMegaRock(chunk, chunkObjects, random) {
-    // Choose a position within the chunk
-    const centerX = chunk.chunkX * chunk.size + chunk.size / 2;
-    const centerZ = chunk.chunkZ * chunk.size + chunk.size / 2;
-    
-    // Get terrain height at center
-    const height = chunk.getHeightAt(centerX, centerZ);
-    
-    // Skip if underwater or unsuitable terrain
-    if (height < 1.0) return;
-    
-    // Check if it's far enough from other mega rocks
-    if (!this.isFarFromMegaRocks(centerX, centerZ, MIN_MEGA_ROCK_DISTANCE)) return;
-    
-    // Create the mega rock
-    const megaRock = this.megaRockFactory.create(centerX, height, centerZ);
+    const chunkBatches = this.batches.get(chunkKey);
+    if (chunkBatches) {
+      chunkBatches.forEach(batch => batch.dispose());
+      this.batches.delete(chunkKey);
+    }
     
-    // Store position for distance checking
-    this.megaRockPositions.push(new THREE.Vector3(centerX, height, centerZ));
+    const staticBatch = this.staticBatches.get(chunkKey);
+    if (staticBatch) {
+      staticBatch.dispose();
+      this.staticBatches.delete(chunkKey);
+    }
     
-    // Add to scene and object list
-    this.scene.add(megaRock);
-    chunkObjects.push(megaRock);
+    const impostorBatch = this.impostorBatches.get(chunkKey);
+    if (impostorBatch) {
+      impostorBatch.dispose();
+      this.impostorBatches.delete(chunkKey);
+    }
+    this.chunkLods.delete(chunkKey);
     
-    // Add some smaller rocks around the mega rock for decoration
-    const numDecorations = 8 + Math.floor(random() * 5);
-    for (let i = 0; i < numDecorations; i++) {
-      const angle = random() * Math.PI * 2;
-      const distance = 15 + random() * 20;
-      
-      const x = centerX + Math.cos(angle) * distance;
-      const z = centerZ + Math.sin(angle) * distance;
-      const y = chunk.getHeightAt(x, z);
-      
-      if (y !== null && y >= 0.3) {
-        // 70% chance for rock, 30% for bush
-        if (random() > 0.3) {
-          const rock = this.rockFactory.create(x, y, z);
-          // Make the rocks larger
-          const scale = 1.0 + random() * 0.8;
-          rock.scale.set(scale, scale, scale);
-          this.scene.add(rock);
-          chunkObjects.push(rock);
-        } else {
-          const bush = this.bushFactory.create(x, y, z);
-          this.scene.add(bush);
-          chunkObjects.push(bush);
-        }
-      }
+    // Free every geometry and material made for the chunk
+    const resources = this.resources.get(chunkKey);
+    if (resources) {
+      resources.dispose();
+      this.resources.delete(chunkKey);
     }
+    
+    // Remove from map
+    this.objects.delete(chunkKey);
   }
   
-  // Check if position is far enough from other mega rocks
-  isFarFromMegaRocks(x, z, minDistance) {
-    for (const pos of this.megaRockPositions) {
-      const dx = pos.x - x;
-      const dz = pos.z - z;
-      const distSq = dx * dx + dz * dz;
-      
-      if (distSq < minDistance * minDistance) {
-        return false;
+  // Take an object out of the scene and free what it uses
+  disposeObject(object) {
+    const { chunkKey } = object.userData;
+    this.colliders.remove(object);
+    
+    if (object.isInstancedObject) {
+      object.dispose();
+    } else {
+      if (this.isMerged(object)) {
+        this.staticBatches.get(chunkKey).remove(object);
+      } else {
+        this.scene.remove(object);
       }
+      
+      // Geometries and materials of all its meshes, children included
+      this.resources.get(chunkKey).release(object);
     }
     
-    return true;
+    // Its merged parts or impostor sprite
+    if (this.isMerged(object) || this.chunkLods.get(chunkKey) === 'impostor') {
+      this.buildChunkBatches(chunkKey);
+    }
+  }
+  
+  // Create a deterministic random number generator for a chunk
+  createRandomGenerator(chunkX, chunkZ) {
+    // Forked from the world random, so it only depends on the seed and chunk coordinates
+    return this.random.fork('chunk', chunkX, chunkZ);
   }
-} 
\ No newline at end of file
+}
+ 
\ No newline at end of file
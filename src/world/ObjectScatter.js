@@ -0,0 +1,288 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+
+const _normal = { x: 0, y: 1, z: 0 };
+
+// Poisson-disk scattering of the assets with spawn tables (trees, rocks,
+// bushes, buildings), worked out one chunk at a time but seamless across chunk
+// borders. Pure like PlacementPlanner, so it runs in the chunk workers.
+//
+// Every type has a world-wide grid of cells, each holding at most one
+// candidate at a random spot. A candidate's position, look and priority only
+// depend on the seed and its cell, so any chunk can work out its neighbours'
+// candidates. A candidate is accepted if the biome, cluster noise and ground
+// (height, water, slope, flatness, exclusion zones and, for types
+// clearedByRoads, roads) allow it, no accepted
+// object of an earlier type is within spacing, and no suitable candidate of
+// the same type with a higher random priority is either. Losing to a
+// same-type candidate that itself lost keeps these decisions local, so a
+// chunk only looks a few object sizes past its edges.
+export class ObjectScatter {
+  constructor(random, config, biomes, spawnTables) {
+    this.random = random;
+    this.biomes = biomes;
+    this.size = config.chunkSize;
+    
+    // Rules with their cell grids, from the spawn tables of the asset registry
+    // (see AssetRegistry), in priority order. Enough candidates are drawn for the
+    // densest biome at the densest part of a cluster; the rest are thinned out.
+    this.rules = spawnTables.map((table, rank) => {
+      const cluster = table.cluster || { scale: 1, strength: 0 };
+      const spawns = Object.values(table.biomes);
+      const maxSpawnDensity = Math.max(...spawns.map(spawn => spawn.density));
+      const density = typeof table.density === 'string' ? config[table.density] : table.density;
+      if (!Number.isFinite(density)) {
+        throw new Error(`ObjectScatter: Unknown density "${table.density}" for "${table.type}"`);
+      }
+      const candidates = density * maxSpawnDensity * (1 + cluster.strength);
+      const cellsPerSide = Math.max(1, Math.ceil(Math.sqrt(candidates)));
+      
+      return {
+        ...table,
+        rank,
+        cluster,
+        maxChance: maxSpawnDensity * (1 + cluster.strength),
+        cellsPerSide,
+        cellSize: this.size / cellsPerSide,
+        cellChance: candidates / (cellsPerSide * cellsPerSide),
+        maxScale: Math.max(...spawns.map(spawn => spawn.scale[1])),
+        minNormalY: Math.cos(table.maxSlope * Math.PI / 180),
+        noise: new SimplexNoise(random.fork('cluster', table.type))
+      };
+    });
+    
+    // Largest scaled radius of any type: objects farther apart than twice this never meet
+    this.maxRadius = Math.max(0, ...this.rules.map(rule => rule.radius * rule.maxScale));
+  }
+  
+  // Placement records ({ type, x, y, z, rotation, scale, biome }) for every
+  // scattered object in a chunk. sampler is a TerrainSampler; getZones(chunkX,
+  // chunkZ) returns the exclusion zones (see isExcluded) reaching into a chunk,
+  // which nothing may be scattered into, and getRoadZones(chunkX, chunkZ) those
+  // of the roads, which only types clearedByRoads keep out of.
+  scatter(chunkX, chunkZ, sampler, getZones = () => [], getRoadZones = () => []) {
+    const context = { sampler, getZones, getRoadZones, candidates: new Map() };
+    
+    const placements = [];
+    for (const candidate of this.getChunkCandidates(chunkX, chunkZ, context)) {
+      if (!this.isAccepted(candidate, context)) continue;
+      
+      placements.push({
+        type: candidate.type,
+        x: candidate.x,
+        y: candidate.y,
+        z: candidate.z,
+        rotation: candidate.rotation,
+        scale: candidate.scale,
+        biome: candidate.biome
+      });
+    }
+    return placements;
+  }
+  
+  // Candidates of every type in a chunk, in rule order. Cells never straddle
+  // chunk borders, so each candidate belongs to exactly one chunk. Made once
+  // per scatter call, so decisions about them are only made once too.
+  getChunkCandidates(chunkX, chunkZ, context) {
+    const key = `${chunkX},${chunkZ}`;
+    let candidates = context.candidates.get(key);
+    if (candidates) return candidates;
+    
+    candidates = [];
+    for (const rule of this.rules) {
+      const { cellsPerSide } = rule;
+      for (let cellZ = chunkZ * cellsPerSide; cellZ < (chunkZ + 1) * cellsPerSide; cellZ++) {
+        for (let cellX = chunkX * cellsPerSide; cellX < (chunkX + 1) * cellsPerSide; cellX++) {
+          const candidate = this.getCandidate(rule, cellX, cellZ);
+          if (candidate) candidates.push(candidate);
+        }
+      }
+    }
+    
+    context.candidates.set(key, candidates);
+    return candidates;
+  }
+  
+  // The candidate in one cell of a rule's grid, or null if the cell is empty,
+  // the biome is too sparse there or it falls outside the cluster
+  getCandidate(rule, cellX, cellZ) {
+    const random = this.random.fork(rule.type, cellX, cellZ);
+    const present = random.random() < rule.cellChance;
+    const x = (cellX + random.random()) * rule.cellSize;
+    const z = (cellZ + random.random()) * rule.cellSize;
+    const priority = random.random();
+    const spawnChance = random.random();
+    const rotation = random.random() * Math.PI * 2;
+    const scaleValue = random.random();
+    if (!present) return null;
+    
+    // Some types skip whole chunks
+    if (rule.chunkChance !== undefined) {
+      const chunkRandom = this.random.fork(rule.type, 'chunk', Math.floor(x / this.size), Math.floor(z / this.size));
+      if (chunkRandom.random() >= rule.chunkChance) return null;
+    }
+    
+    // Kept with a chance proportional to the biome density and cluster noise here
+    const biomeWeights = this.biomes.getWeights(x, z);
+    const spawn = this.getSpawn(rule, biomeWeights);
+    if (!spawn) return null;
+    const { scale: clusterScale, strength } = rule.cluster;
+    const cluster = 1 + strength * rule.noise.noise(x / clusterScale, z / clusterScale);
+    if (spawnChance * rule.maxChance >= spawn.density * cluster) return null;
+    
+    // Variation within the biome's size range
+    const [minScale, maxScale] = spawn.scale;
+    const scale = minScale + scaleValue * (maxScale - minScale);
+    
+    return {
+      rule,
+      type: rule.type,
+      x,
+      z,
+      y: null, // Ground height, once checked
+      rotation,
+      scale,
+      radius: rule.radius * scale,
+      priority,
+      biome: biomeWeights[0].biome.name,
+      suitable: undefined, // Whether the ground allows it, once checked
+      accepted: undefined // Whether it is placed, once decided
+    };
+  }
+  
+  // Blended spawn density multiplier and scale range of a rule over the biomes
+  // at a point (see BiomeMap.getWeights), or null if none of them allow it.
+  // The scale only blends the biomes that allow it.
+  getSpawn(rule, weights) {
+    let density = 0;
+    let minScale = 0;
+    let maxScale = 0;
+    let total = 0;
+    
+    for (const { biome, weight } of weights) {
+      const spawn = rule.biomes[biome.name];
+      if (!spawn) continue;
+      
+      density += spawn.density * weight;
+      minScale += spawn.scale[0] * weight;
+      maxScale += spawn.scale[1] * weight;
+      total += weight;
+    }
+    
+    if (total === 0) return null;
+    return { density, scale: [minScale / total, maxScale / total] };
+  }
+  
+  // Whether a candidate is placed (decided once, then remembered)
+  isAccepted(candidate, context) {
+    if (candidate.accepted === undefined) {
+      candidate.accepted = this.isSuitable(candidate, context) && !this.isCrowded(candidate, context);
+    }
+    return candidate.accepted;
+  }
+  
+  // Whether the ground under a candidate allows it (checked once, then remembered)
+  isSuitable(candidate, context) {
+    if (candidate.suitable === undefined) {
+      candidate.suitable = this.checkGround(candidate, context);
+    }
+    return candidate.suitable;
+  }
+  
+  // Check a candidate's ground, cheapest tests first, and note its height
+  checkGround(candidate, context) {
+    const { rule, x, z } = candidate;
+    const { sampler } = context;
+    
+    const chunkX = Math.floor(x / this.size);
+    const chunkZ = Math.floor(z / this.size);
+    if (ObjectScatter.isExcluded(x, z, context.getZones(chunkX, chunkZ), candidate.radius)) return false;
+    if (rule.clearedByRoads && ObjectScatter.isExcluded(x, z, context.getRoadZones(chunkX, chunkZ), candidate.radius)) return false;
+    
+    // Skip if underwater, or in a river or lake
+    const height = sampler.getHeightAt(x, z);
+    if (height < rule.minHeight) return false;
+    if (rule.maxHeight !== undefined && height > rule.maxHeight) return false;
+    if (sampler.getWaterAt(x, z, height) !== null) return false;
+    
+    // Skip if too steep, or too uneven for its footprint
+    if (sampler.getNormalAt(x, z, _normal).y < rule.minNormalY) return false;
+    if (rule.flatness && sampler.getHeightRange(x, z, rule.flatness.radius) > rule.flatness.maxRise) return false;
+    
+    candidate.y = height;
+    return true;
+  }
+  
+  // Whether something that keeps its place over a candidate is too close to
+  // it: an accepted object of an earlier type, or a suitable candidate of the
+  // same type with a higher priority. Earlier types are decided first, so
+  // this always ends.
+  isCrowded(candidate, context) {
+    const { x, z, rule } = candidate;
+    const reach = candidate.radius + this.maxRadius;
+    const minChunkX = Math.floor((x - reach) / this.size);
+    const maxChunkX = Math.floor((x + reach) / this.size);
+    const minChunkZ = Math.floor((z - reach) / this.size);
+    const maxChunkZ = Math.floor((z + reach) / this.size);
+    
+    for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+      for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        for (const other of this.getChunkCandidates(chunkX, chunkZ, context)) {
+          // Candidates come in rule order, so later types can't crowd this one
+          if (other.rule.rank > rule.rank) break;
+          if (other === candidate) continue;
+          if (other.rule.rank === rule.rank && !ObjectScatter.hasPriority(other, candidate)) continue;
+          
+          const spacing = candidate.radius + other.radius;
+          const distX = other.x - x;
+          const distZ = other.z - z;
+          if (distX * distX + distZ * distZ >= spacing * spacing) continue;
+          
+          const wins = other.rule.rank < rule.rank
+            ? this.isAccepted(other, context)
+            : this.isSuitable(other, context);
+          if (wins) return true;
+        }
+      }
+    }
+    
+    return false;
+  }
+  
+  // Cluster noise (-1 to 1) at a point of the type whose patches are villages
+  // (its spawn table sets villages). Null if no type scattered here has them.
+  getVillageNoise(x, z) {
+    const rule = this.rules.find(other => other.villages);
+    if (!rule || rule.cellChance <= 0) return null;
+    
+    const { scale } = rule.cluster;
+    return rule.noise.noise(x / scale, z / scale);
+  }
+  
+  // Whether candidate a keeps its place over b, of the same type, when they are too close
+  static hasPriority(a, b) {
+    if (a.priority !== b.priority) return a.priority > b.priority;
+    return a.x > b.x;
+  }
+  
+  // Whether a point, or a circle of radius margin around it, touches an
+  // exclusion zone. Zones are capsules { x1, z1, x2, z2, radius }: every point
+  // within radius of the segment between the two ends (a circle when both
+  // ends are the same), e.g. the ground taken by a road or a town square.
+  static isExcluded(x, z, zones, margin = 0) {
+    for (const zone of zones) {
+      const segmentX = zone.x2 - zone.x1;
+      const segmentZ = zone.z2 - zone.z1;
+      const lengthSq = segmentX * segmentX + segmentZ * segmentZ;
+      
+      // Closest point of the segment
+      let t = lengthSq > 0 ? ((x - zone.x1) * segmentX + (z - zone.z1) * segmentZ) / lengthSq : 0;
+      t = Math.max(0, Math.min(1, t));
+      const distX = x - (zone.x1 + segmentX * t);
+      const distZ = z - (zone.z1 + segmentZ * t);
+      
+      const reach = zone.radius + margin;
+      if (distX * distX + distZ * distZ < reach * reach) return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,401 @@
+import { ObjectScatter } from './ObjectScatter.js';
+import { TerrainSampler } from './TerrainSampler.js';
+
+// Min distance between mega rocks, which are kept apart across chunks
+export const MIN_MEGA_ROCK_DISTANCE = 80; // Very large distance for these massive structures
+
+// Ground kept clear of scattered objects around towns and mega rocks (see
+// ObjectScatter.isExcluded): the town square with its apartments, the roads
+// leading out of it, and the rock's base
+const TOWN_RADIUS = 24;
+const TOWN_ROAD_LENGTH = 40;
+const ROAD_HALF_WIDTH = 2;
+const MEGA_ROCK_RADIUS = 30;
+
+// Road network between villages (see getRoads). The world is split into
+// regions of REGION_SIZE units, each with at most one village; roads join the
+// villages of neighbouring regions.
+const REGION_SIZE = 128;
+const VILLAGE_NOISE = 0; // Village cluster noise above which a region's hub is a village
+const MAX_ROAD_LENGTH = 200;
+const ROAD_MIN_HEIGHT = 0.5; // Roads keep to dry land, like towns
+const ROAD_PIECE_LENGTH = 16; // Length of a straight road piece (LowPolyRoad)
+
+// Decides where objects go in a chunk without creating any Three.js objects, so it
+// can run inside a chunk worker. The result is a list of plain placement records:
+//   { type, x, y, z, rotation?, scale?, biome? }
+//
+// A chunk is a town, a mega rock or ordinary ground scattered with trees, rocks,
+// bushes and buildings (see ObjectScatter, following the assets' spawn tables).
+// Roads between villages cross any of them. Everything that depends on other
+// chunks (spacing, towns, mega rocks and roads nearby) is worked out from the
+// seed alone, so neighbouring chunks agree on it in any order.
+export class PlacementPlanner {
+  constructor(random, config, terrain, spawnTables) {
+    this.random = random; // Seeded random service, forked per chunk
+    this.config = config; // Densities (objects per chunk) come from the world config
+    this.terrain = terrain; // TerrainGenerator, for the ground around the chunk
+    this.biomes = terrain.biomes; // BiomeMap, for the spawn tables' biome densities
+    this.seed = config.seed;
+    this.size = config.chunkSize;
+    this.scatter = new ObjectScatter(random.fork('scatter'), config, this.biomes, spawnTables);
+  }
+  
+  // Plan every object in a chunk. sampleHeight(x, z) returns the terrain height,
+  // or null for points outside this chunk.
+  planChunk(chunkX, chunkZ, sampleHeight) {
+    const placements = [];
+    const sampler = new TerrainSampler(this.terrain);
+    
+    // Features and exclusion zones of the chunks around, each worked out once
+    const features = new Map();
+    const zones = new Map();
+    const getFeature = (x, z) => {
+      const key = `${x},${z}`;
+      if (!features.has(key)) features.set(key, this.getFeature(x, z, sampler));
+      return features.get(key);
+    };
+    const getZones = (x, z) => {
+      const key = `${x},${z}`;
+      if (!zones.has(key)) zones.set(key, this.getExclusionZones(x, z, getFeature));
+      return zones.get(key);
+    };
+    
+    // The same for the villages and roads of the regions around
+    const villages = new Map();
+    const roads = new Map();
+    const roadZones = new Map();
+    const getVillage = (x, z) => {
+      const key = `${x},${z}`;
+      if (!villages.has(key)) villages.set(key, this.getVillage(x, z, sampler, getZones));
+      return villages.get(key);
+    };
+    const getRoads = (x, z) => {
+      const key = `${x},${z}`;
+      if (!roads.has(key)) roads.set(key, this.getRoads(x, z, getVillage, sampler, getZones));
+      return roads.get(key);
+    };
+    const getRoadZones = (x, z) => {
+      const key = `${x},${z}`;
+      if (!roadZones.has(key)) roadZones.set(key, this.getRoadZones(x, z, getRoads));
+      return roadZones.get(key);
+    };
+    
+    // Create a deterministic random generator for this chunk
+    const random = this.random.fork('chunk', chunkX, chunkZ);
+    const feature = getFeature(chunkX, chunkZ);
+    
+    if (feature && feature.type === 'town') {
+      this.planTownCenter(chunkX, chunkZ, sampleHeight, placements, random);
+    } else if (feature && feature.type === 'megarock') {
+      this.planMegaRock(chunkX, chunkZ, sampleHeight, placements, random);
+    } else {
+      // Trees, rocks, bushes, buildings and apartments, kept off nearby towns
+      // and mega rocks, and trees, rocks and bushes off roads
+      placements.push(...this.scatter.scatter(chunkX, chunkZ, sampler, getZones, getRoadZones));
+    }
+    
+    this.planRoads(chunkX, chunkZ, sampleHeight, placements, getRoadZones);
+    
+    return placements;
+  }
+  
+  // What takes up a whole chunk: { type: 'town' | 'megarock', x, z } at its
+  // centre, or null for ordinary ground
+  getFeature(chunkX, chunkZ, sampler) {
+    const x = chunkX * this.size + this.size / 2;
+    const z = chunkZ * this.size + this.size / 2;
+    
+    // Towns only on suitable terrain
+    if (this.isTownLocation(chunkX, chunkZ)) {
+      const height = sampler.getHeightAt(x, z);
+      return height >= 0.5 && height <= 1.5 ? { type: 'town', x, z } : null;
+    }
+    
+    // Mega rocks, unless one of higher priority is too close (a town never is)
+    const megaRock = this.getMegaRockCandidate(chunkX, chunkZ, sampler);
+    if (!megaRock) return null;
+    
+    const reach = Math.ceil(MIN_MEGA_ROCK_DISTANCE / this.size);
+    for (let dz = -reach; dz <= reach; dz++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        if (dx === 0 && dz === 0) continue;
+        if (Math.hypot(dx, dz) * this.size >= MIN_MEGA_ROCK_DISTANCE) continue;
+        
+        const other = this.getMegaRockCandidate(chunkX + dx, chunkZ + dz, sampler);
+        if (other && other.priority > megaRock.priority) return null;
+      }
+    }
+    
+    return { type: 'megarock', x, z };
+  }
+  
+  // A chunk's mega rock before spacing is checked: { priority } if the chunk
+  // rolls one (megaRockDensity is the chance) and its centre is high enough
+  getMegaRockCandidate(chunkX, chunkZ, sampler) {
+    if (this.isTownLocation(chunkX, chunkZ)) return null;
+    
+    const random = this.random.fork('megarock', chunkX, chunkZ);
+    if (random.random() <= 1 - this.config.megaRockDensity) return null;
+    
+    // Skip if underwater or unsuitable terrain
+    const height = sampler.getHeightAt(chunkX * this.size + this.size / 2, chunkZ * this.size + this.size / 2);
+    if (height < 1.0) return null;
+    
+    return { priority: random.random() };
+  }
+  
+  // Exclusion zones (see ObjectScatter.isExcluded) of the towns and mega rocks
+  // close enough to reach an object in a chunk. getFeature(chunkX, chunkZ) is
+  // getFeature with its sampler.
+  getExclusionZones(chunkX, chunkZ, getFeature) {
+    const zones = [];
+    const reach = Math.ceil((Math.max(TOWN_ROAD_LENGTH, MEGA_ROCK_RADIUS) + this.scatter.maxRadius) / this.size);
+    
+    for (let dz = -reach; dz <= reach; dz++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const feature = getFeature(chunkX + dx, chunkZ + dz);
+        if (!feature) continue;
+        
+        const { x, z } = feature;
+        if (feature.type === 'megarock') {
+          zones.push({ x1: x, z1: z, x2: x, z2: z, radius: MEGA_ROCK_RADIUS });
+          continue;
+        }
+        
+        // Town square, and its four roads
+        zones.push({ x1: x, z1: z, x2: x, z2: z, radius: TOWN_RADIUS });
+        for (let i = 0; i < 4; i++) {
+          const angle = i * Math.PI / 2;
+          zones.push({
+            x1: x,
+            z1: z,
+            x2: x + Math.cos(angle) * TOWN_ROAD_LENGTH,
+            z2: z + Math.sin(angle) * TOWN_ROAD_LENGTH,
+            radius: ROAD_HALF_WIDTH
+          });
+        }
+      }
+    }
+    
+    return zones;
+  }
+  
+  // A region's village, { x, z }, or null if it has none: a seeded spot in the
+  // middle of the region, where the village type gathers (its cluster noise
+  // is high, see ObjectScatter.getVillageNoise) on ground a road may run over
+  getVillage(regionX, regionZ, sampler, getZones) {
+    const random = this.random.fork('village', regionX, regionZ);
+    const x = (regionX + 0.25 + random.random() * 0.5) * REGION_SIZE;
+    const z = (regionZ + 0.25 + random.random() * 0.5) * REGION_SIZE;
+    
+    const noise = this.scatter.getVillageNoise(x, z);
+    if (noise === null || noise < VILLAGE_NOISE) return null;
+    
+    return this.isRoadGround(x, z, sampler, getZones) ? { x, z } : null;
+  }
+  
+  // Roads from a region's village to the villages of the regions east and
+  // south of it, so each road belongs to one region. They are exclusion zones
+  // (see ObjectScatter.isExcluded). A road is only laid if it is short enough
+  // and every piece of it is on road ground. getVillage(regionX, regionZ) is
+  // getVillage with its sampler.
+  getRoads(regionX, regionZ, getVillage, sampler, getZones) {
+    const from = getVillage(regionX, regionZ);
+    if (!from) return [];
+    
+    const roads = [];
+    for (const [dx, dz] of [[1, 0], [0, 1]]) {
+      const to = getVillage(regionX + dx, regionZ + dz);
+      if (!to || Math.hypot(to.x - from.x, to.z - from.z) > MAX_ROAD_LENGTH) continue;
+      
+      const road = { x1: from.x, z1: from.z, x2: to.x, z2: to.z, radius: ROAD_HALF_WIDTH };
+      const pieces = PlacementPlanner.getRoadPieces(road);
+      if (pieces.every(({ x, z }) => this.isRoadGround(x, z, sampler, getZones))) {
+        roads.push(road);
+      }
+    }
+    return roads;
+  }
+  
+  // Roads close enough to reach an object in a chunk. getRoads(regionX,
+  // regionZ) is getRoads with its sampler.
+  getRoadZones(chunkX, chunkZ, getRoads) {
+    const margin = ROAD_HALF_WIDTH + this.scatter.maxRadius;
+    const minX = chunkX * this.size - margin;
+    const maxX = (chunkX + 1) * this.size + margin;
+    const minZ = chunkZ * this.size - margin;
+    const maxZ = (chunkZ + 1) * this.size + margin;
+    
+    // A road ends in the region after the one it starts in, so it may start
+    // one region west or north of the area
+    const zones = [];
+    for (let regionZ = Math.floor(minZ / REGION_SIZE) - 1; regionZ <= Math.floor(maxZ / REGION_SIZE); regionZ++) {
+      for (let regionX = Math.floor(minX / REGION_SIZE) - 1; regionX <= Math.floor(maxX / REGION_SIZE); regionX++) {
+        for (const road of getRoads(regionX, regionZ)) {
+          if (Math.min(road.x1, road.x2) > maxX || Math.max(road.x1, road.x2) < minX) continue;
+          if (Math.min(road.z1, road.z2) > maxZ || Math.max(road.z1, road.z2) < minZ) continue;
+          zones.push(road);
+        }
+      }
+    }
+    return zones;
+  }
+  
+  // Whether a road may run over a point: dry land, clear of towns and mega rocks
+  isRoadGround(x, z, sampler, getZones) {
+    const height = sampler.getHeightAt(x, z);
+    if (height < ROAD_MIN_HEIGHT || sampler.getWaterAt(x, z, height) !== null) return false;
+    
+    return !ObjectScatter.isExcluded(x, z, getZones(Math.floor(x / this.size), Math.floor(z / this.size)));
+  }
+  
+  // Centres and turns of the straight pieces laid end to end along a road
+  static getRoadPieces({ x1, z1, x2, z2 }) {
+    const dx = x2 - x1;
+    const dz = z2 - z1;
+    const count = Math.ceil(Math.hypot(dx, dz) / ROAD_PIECE_LENGTH);
+    const rotation = Math.atan2(dx, dz); // Pieces run along their own z axis
+    
+    const pieces = [];
+    for (let i = 0; i < count; i++) {
+      const t = (i + 0.5) / count;
+      pieces.push({ x: x1 + dx * t, z: z1 + dz * t, rotation });
+    }
+    return pieces;
+  }
+  
+  // Plan the pieces of the road network centred in a chunk
+  planRoads(chunkX, chunkZ, sampleHeight, placements, getRoadZones) {
+    for (const road of getRoadZones(chunkX, chunkZ)) {
+      for (const { x, z, rotation } of PlacementPlanner.getRoadPieces(road)) {
+        if (Math.floor(x / this.size) !== chunkX || Math.floor(z / this.size) !== chunkZ) continue;
+        
+        const y = sampleHeight(x, z);
+        if (y !== null) {
+          placements.push({ type: 'road', x, y: y + 0.05, z, rotation });
+        }
+      }
+    }
+  }
+  
+  // Plan a town center layout
+  planTownCenter(chunkX, chunkZ, sampleHeight, placements, random) {
+    const centerX = chunkX * this.size + this.size / 2;
+    const centerZ = chunkZ * this.size + this.size / 2;
+    const height = sampleHeight(centerX, centerZ);
+    
+    // Create a central square
+    const squareSize = 20;
+    
+    // Place apartments in a pattern around center
+    for (let i = 0; i < 4; i++) {
+      const angle = i * Math.PI / 2;
+      const distance = squareSize * 0.7;
+      
+      const x = centerX + Math.cos(angle) * distance;
+      const z = centerZ + Math.sin(angle) * distance;
+      const y = sampleHeight(x, z);
+      
+      if (y !== null && y >= 0.5) {
+        placements.push({ type: 'apartment', x, y, z, rotation: angle + Math.PI });
+      }
+    }
+    
+    // Place normal buildings between apartments
+    for (let i = 0; i < 4; i++) {
+      const angle = i * Math.PI / 2 + Math.PI / 4;
+      const distance = squareSize * 0.6;
+      
+      const x = centerX + Math.cos(angle) * distance;
+      const z = centerZ + Math.sin(angle) * distance;
+      const y = sampleHeight(x, z);
+      
+      if (y !== null && y >= 0.5) {
+        placements.push({ type: 'building', x, y, z, rotation: angle + Math.PI });
+      }
+    }
+    
+    // Place a crossroad in the center
+    placements.push({ type: 'intersection', x: centerX, y: height + 0.05, z: centerZ });
+    
+    // Add roads connecting to the intersection
+    for (let i = 0; i < 4; i++) {
+      const angle = i * Math.PI / 2;
+      
+      for (let j = 1; j <= 2; j++) {
+        const roadX = centerX + Math.cos(angle) * (j * 16);
+        const roadZ = centerZ + Math.sin(angle) * (j * 16);
+        const roadY = sampleHeight(roadX, roadZ) || height;
+        
+        placements.push({ type: 'road', x: roadX, y: roadY + 0.05, z: roadZ, rotation: angle });
+      }
+    }
+    
+    // Place some trees and bushes for decoration
+    for (let i = 0; i < 10; i++) {
+      const angle = random.random() * Math.PI * 2;
+      const distance = squareSize * (0.8 + random.random() * 0.3);
+      
+      const x = centerX + Math.cos(angle) * distance;
+      const z = centerZ + Math.sin(angle) * distance;
+      const y = sampleHeight(x, z);
+      
+      if (y !== null && y >= 0.45) {
+        // 50% chance for tree or bush
+        const type = random.random() > 0.5 ? 'tree' : 'bush';
+        placements.push({ type, x, y, z });
+      }
+    }
+  }
+  
+  // Check if this is a location that should have a town center
+  isTownLocation(chunkX, chunkZ) {
+    // Create a deterministic check based on seed
+    const townSeed = Math.sin(this.seed * 0.1 + chunkX * 0.3 + chunkZ * 0.7) * 10000;
+    const townValue = (townSeed - Math.floor(townSeed));
+    
+    // Very rare chance (about 1 in 500 chunks)
+    return townValue > 0.998 && chunkX % 5 === 0 && chunkZ % 5 === 0;
+  }
+  
+  // Plan a mega rock formation in a chunk
+  planMegaRock(chunkX, chunkZ, sampleHeight, placements, random) {
+    // Choose a position within the chunk
+    const centerX = chunkX * this.size + this.size / 2;
+    const centerZ = chunkZ * this.size + this.size / 2;
+    
+    // Get terrain height at center
+    const height = sampleHeight(centerX, centerZ);
+    
+    // The mega rock itself; getFeature checked it's far enough from other mega rocks
+    placements.push({
+      type: 'megarock',
+      x: centerX,
+      y: height,
+      z: centerZ
+    });
+    
+    // Add some smaller rocks around the mega rock for decoration
+    const numDecorations = 8 + Math.floor(random.random() * 5);
+    for (let i = 0; i < numDecorations; i++) {
+      const angle = random.random() * Math.PI * 2;
+      const distance = 15 + random.random() * 20;
+      
+      const x = centerX + Math.cos(angle) * distance;
+      const z = centerZ + Math.sin(angle) * distance;
+      const y = sampleHeight(x, z);
+      
+      if (y !== null && y >= 0.3) {
+        // 70% chance for rock, 30% for bush
+        if (random.random() > 0.3) {
+          // Make the rocks larger
+          const scale = 1.0 + random.random() * 0.8;
+          placements.push({ type: 'rock', x, y, z, scale });
+        } else {
+          placements.push({ type: 'bush', x, y, z });
+        }
+      }
+    }
+  }
+}
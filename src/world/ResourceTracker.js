@@ -0,0 +1,99 @@
+// Live tracked resources of every tracker, by kind
+const liveCounts = { geometries: 0, materials: 0, textures: 0 };
+
+// Tracker that owns each tracked resource
+const owners = new WeakMap();
+
+// Owns geometries, materials and textures so they are freed together, e.g.
+// everything a chunk created when the chunk unloads.
+//
+// A resource belongs to the first tracker that tracks it; other trackers
+// leave it alone. Whoever shares resources (a factory's geometries, the
+// world's water material) tracks them in a tracker of its own first, so
+// objects using them can be tracked whole without freeing them.
+//
+// Every tracker adds to the counts from ResourceTracker.getLiveCounts(), so a
+// count that keeps growing during a long walk shows a leak.
+export class ResourceTracker {
+  constructor() {
+    this.resources = new Set();
+  }
+  
+  // Take ownership of a geometry, material or texture, an array of them, or
+  // everything the meshes of an Object3D use (textures of materials included),
+  // skipping what another tracker owns. Returns what it was given, so it can
+  // wrap a constructor call.
+  track(resource) {
+    this.forEachResource(resource, item => {
+      if (owners.has(item)) return;
+      
+      owners.set(item, this);
+      this.resources.add(item);
+      liveCounts[ResourceTracker.getKind(item)]++;
+    });
+    return resource;
+  }
+  
+  // Free something tracked before the rest, e.g. geometry that was replaced.
+  // Takes the same things as track.
+  release(resource) {
+    this.forEachResource(resource, item => {
+      if (owners.get(item) !== this) return;
+      
+      owners.delete(item);
+      this.resources.delete(item);
+      item.dispose();
+      liveCounts[ResourceTracker.getKind(item)]--;
+    });
+  }
+  
+  // Free everything tracked
+  dispose() {
+    for (const item of this.resources) {
+      owners.delete(item);
+      item.dispose();
+      liveCounts[ResourceTracker.getKind(item)]--;
+    }
+    this.resources.clear();
+  }
+  
+  // Call fn with every geometry, material and texture in a resource
+  forEachResource(resource, fn) {
+    if (!resource) return;
+    
+    if (Array.isArray(resource)) {
+      resource.forEach(item => this.forEachResource(item, fn));
+    } else if (resource.isObject3D) {
+      resource.traverse(object => {
+        this.forEachResource(object.geometry, fn);
+        this.forEachResource(object.material, fn);
+      });
+    } else if (resource.isMaterial) {
+      fn(resource);
+      
+      // Maps (map, normalMap, ...) and shader uniforms holding textures
+      for (const value of Object.values(resource)) {
+        if (value && value.isTexture) fn(value);
+      }
+      if (resource.uniforms) {
+        for (const uniform of Object.values(resource.uniforms)) {
+          if (uniform.value && uniform.value.isTexture) fn(uniform.value);
+        }
+      }
+    } else if (resource.isBufferGeometry || resource.isTexture) {
+      fn(resource);
+    }
+  }
+  
+  // Kind of a resource, as counted in getLiveCounts
+  static getKind(resource) {
+    if (resource.isBufferGeometry) return 'geometries';
+    if (resource.isMaterial) return 'materials';
+    return 'textures';
+  }
+  
+  // Tracked resources not yet freed, by kind: { geometries, materials, textures }
+  static getLiveCounts() {
+    return { ...liveCounts };
+  }
+}
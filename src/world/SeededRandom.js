@@ -0,0 +1,82 @@
+// Deterministic pseudo-random number generator (mulberry32)
+// Exposes the same random() method as Math so it can be passed anywhere
+// Math was used before, including SimplexNoise.
+export class SeededRandom {
+  constructor(seed) {
+    if (typeof seed !== 'number' || isNaN(seed)) {
+      throw new Error(`SeededRandom: Invalid seed: ${seed}`);
+    }
+
+    this.seed = seed;
+    this.state = SeededRandom.hash(seed);
+  }
+
+  // Next float in [0, 1)
+  random() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Float in [min, max)
+  range(min, max) {
+    return min + this.random() * (max - min);
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.random() * max);
+  }
+
+  // Random element of an array
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  // Create an independent generator for a sub-stream (e.g. a chunk or an asset factory).
+  // The result only depends on this generator's seed and the keys, not on how many
+  // numbers have been drawn so far, so chunks come out the same in any load order.
+  fork(...keys) {
+    let h = SeededRandom.hash(this.seed);
+    for (const key of keys) {
+      h = SeededRandom.hash(h ^ SeededRandom.hashKey(key));
+    }
+    return new SeededRandom(h);
+  }
+
+  // Stateless value in [0, 1) for a world position, used where a value must not
+  // depend on evaluation order (e.g. per-vertex colour jitter shared by two chunks).
+  // Use different channels to get independent values for the same position.
+  valueAt(x, z, channel = 0) {
+    let h = SeededRandom.hash(this.seed + channel);
+    h = SeededRandom.hash(h ^ Math.round(x * 100));
+    h = SeededRandom.hash(h ^ Math.round(z * 100));
+    return (h >>> 0) / 4294967296;
+  }
+
+  // Integer hash (based on the murmur3 finaliser)
+  static hash(value) {
+    let h = Math.floor(value) | 0;
+    // Mix in the fractional part so seeds like 1234.5 differ from 1234
+    h ^= Math.floor((value - Math.floor(value)) * 4294967296) | 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) | 0;
+  }
+
+  // Hash a fork key (numbers or strings)
+  static hashKey(key) {
+    if (typeof key === 'number') {
+      return SeededRandom.hash(key);
+    }
+
+    let h = 0;
+    const str = String(key);
+    for (let i = 0; i < str.length; i++) {
+      h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+    }
+    return SeededRandom.hash(h);
+  }
+}
@@ -0,0 +1,100 @@
+// Broadphase for circles on the ground plane: a grid of square cells, each
+// listing the items whose circle overlaps it. Only cells that hold something
+// are stored, so the world can grow without bound. A query only looks at the
+// cells around it, however many items there are elsewhere.
+//
+// Items are any objects, each added once with a position (x, z) and radius.
+export class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key -> Set of entries
+    this.entries = new Map(); // Item -> { item, x, z, radius, keys, queryId }
+    this.queryId = 0; // Marks the entries a query has already returned
+  }
+  
+  // Number of items in the hash
+  get size() {
+    return this.entries.size;
+  }
+  
+  // Add an item, or move it if it is already in
+  insert(item, x, z, radius) {
+    if (this.entries.has(item)) {
+      this.remove(item);
+    }
+    
+    const entry = { item, x, z, radius, keys: [], queryId: 0 };
+    this.forEachCell(x, z, radius, key => {
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = new Set();
+        this.cells.set(key, cell);
+      }
+      cell.add(entry);
+      entry.keys.push(key);
+    });
+    this.entries.set(item, entry);
+  }
+  
+  // Take an item out. Returns whether it was in.
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return false;
+    
+    for (const key of entry.keys) {
+      const cell = this.cells.get(key);
+      cell.delete(entry);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    }
+    this.entries.delete(item);
+    return true;
+  }
+  
+  // Whether an item is in
+  has(item) {
+    return this.entries.has(item);
+  }
+  
+  // Items whose cells overlap a circle, each once, added to results (cleared
+  // first, so it can be reused between queries). Items near the circle but not
+  // touching it can be among them; test them exactly afterwards.
+  query(x, z, radius, results = []) {
+    results.length = 0;
+    const queryId = ++this.queryId;
+    
+    this.forEachCell(x, z, radius, key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      
+      for (const entry of cell) {
+        if (entry.queryId === queryId) continue;
+        entry.queryId = queryId;
+        results.push(entry.item);
+      }
+    });
+    
+    return results;
+  }
+  
+  // Remove every item
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+  
+  // Call back with the key of every cell a circle's bounding square overlaps
+  forEachCell(x, z, radius, callback) {
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minZ = Math.floor((z - radius) / this.cellSize);
+    const maxZ = Math.floor((z + radius) / this.cellSize);
+    
+    for (let cellZ = minZ; cellZ <= maxZ; cellZ++) {
+      for (let cellX = minX; cellX <= maxX; cellX++) {
+        callback(`${cellX},${cellZ}`);
+      }
+    }
+  }
+}
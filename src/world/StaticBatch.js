@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+
+const _normalMatrix = new THREE.Matrix3();
+
+// Merges the meshes of a chunk's static objects (buildings, apartments) into
+// one mesh per kind of material. The objects themselves are never added to the
+// scene: they keep their position, rotation and userData for collision and
+// saving, and their parts are drawn by the merged meshes. Each material's
+// colour becomes a vertex colour, so parts that only differ in colour (walls,
+// roofs, doors) share a draw call.
+//
+// Call build() after adding, removing or moving objects.
+export class StaticBatch {
+  constructor(scene, materials, resources) {
+    this.scene = scene;
+    this.materials = materials; // Merged materials by key, shared between batches
+    this.resources = resources; // ResourceTracker of the chunk, owning the merged geometry
+    this.objects = [];
+    this.meshes = [];
+    this.ranges = new Map(); // Mesh -> [{ start, object }], by first triangle
+  }
+  
+  // Add an object (an Object3D with meshes below it) to be drawn by the batch
+  add(object) {
+    this.objects.push(object);
+  }
+  
+  // Stop drawing an object
+  remove(object) {
+    const index = this.objects.indexOf(object);
+    if (index !== -1) {
+      this.objects.splice(index, 1);
+    }
+  }
+  
+  // Whether an object is drawn by the batch
+  has(object) {
+    return this.objects.includes(object);
+  }
+  
+  // Merge the parts of all objects into new meshes, replacing the old ones.
+  // At the 'simple' level of detail, parts marked userData.detail (windows,
+  // doors) are left out; at 'impostor' and 'hidden' nothing is drawn.
+  build(lod = 'full') {
+    this.disposeMeshes();
+    if (lod !== 'full' && lod !== 'simple') return;
+    
+    // Collect every part by material key
+    const groups = new Map();
+    for (const object of this.objects) {
+      object.updateMatrixWorld(true);
+      
+      object.traverse(part => {
+        if (!part.isMesh || (lod === 'simple' && part.userData.detail)) return;
+        
+        const key = StaticBatch.getMaterialKey(part.material);
+        let group = groups.get(key);
+        if (!group) {
+          group = { material: part.material, parts: [], vertexCount: 0 };
+          groups.set(key, group);
+        }
+        
+        const geometry = part.geometry.index ? part.geometry.toNonIndexed() : part.geometry;
+        group.parts.push({ geometry, matrix: part.matrixWorld, color: part.material.color, object });
+        group.vertexCount += geometry.attributes.position.count;
+      });
+    }
+    
+    groups.forEach((group, key) => {
+      const geometry = this.resources.track(this.mergeParts(group));
+      const mesh = new THREE.Mesh(geometry, this.getMaterial(key, group.material));
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      mesh.userData.staticBatch = this; // Lets raycast hits find the object of a triangle
+      this.ranges.set(mesh, group.ranges);
+      this.meshes.push(mesh);
+      this.scene.add(mesh);
+    });
+  }
+  
+  // One geometry in world space with the parts of a material group, and the
+  // group's triangle ranges per object
+  mergeParts(group) {
+    const positions = new Float32Array(group.vertexCount * 3);
+    const normals = new Float32Array(group.vertexCount * 3);
+    const colors = new Float32Array(group.vertexCount * 3);
+    const vertex = new THREE.Vector3();
+    group.ranges = [];
+    
+    let offset = 0;
+    for (const { geometry, matrix, color, object } of group.parts) {
+      const position = geometry.attributes.position;
+      const normal = geometry.attributes.normal;
+      _normalMatrix.getNormalMatrix(matrix);
+      
+      const ranges = group.ranges;
+      if (ranges.length === 0 || ranges[ranges.length - 1].object !== object) {
+        ranges.push({ start: offset / 3, object });
+      }
+      
+      for (let i = 0; i < position.count; i++, offset++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(matrix);
+        vertex.toArray(positions, offset * 3);
+        
+        if (normal) {
+          vertex.fromBufferAttribute(normal, i).applyMatrix3(_normalMatrix).normalize();
+          vertex.toArray(normals, offset * 3);
+        }
+        
+        color.toArray(colors, offset * 3);
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.computeBoundingSphere();
+    return geometry;
+  }
+  
+  // Merged material for a key: the look of the part's material, with its
+  // colour taken from the vertices
+  getMaterial(key, source) {
+    let material = this.materials.get(key);
+    if (!material) {
+      material = source.clone();
+      material.color.set(0xffffff);
+      material.vertexColors = true;
+      this.materials.set(key, material);
+    }
+    return material;
+  }
+  
+  // Object drawn by a triangle of one of the meshes (e.g. the faceIndex of a raycast hit)
+  getObject(mesh, faceIndex) {
+    const ranges = this.ranges.get(mesh);
+    if (!ranges) return null;
+    
+    // Last range starting at or before the triangle
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (ranges[middle].start <= faceIndex) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return ranges[low].object;
+  }
+  
+  // Remove the merged meshes from the scene and free their geometry
+  disposeMeshes() {
+    for (const mesh of this.meshes) {
+      this.scene.remove(mesh);
+      this.resources.release(mesh.geometry);
+    }
+    this.meshes = [];
+    this.ranges.clear();
+  }
+  
+  // Stop drawing all objects
+  dispose() {
+    this.disposeMeshes();
+    this.objects = [];
+  }
+  
+  // Key of the materials that can share a merged mesh: everything but the colour
+  static getMaterialKey(material) {
+    return [
+      material.type,
+      material.emissive ? material.emissive.getHexString() : '',
+      material.emissiveIntensity,
+      material.roughness,
+      material.metalness,
+      material.side,
+      material.flatShading
+    ].join('/');
+  }
+}
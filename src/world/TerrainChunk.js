@@ -1,19 +1,64 @@
 import * as THREE from 'three';
+import { HeightField } from './HeightField.js';
+import { WaterMaterial } from './WaterMaterial.js';
+import { ResourceTracker } from './ResourceTracker.js';
 
+// How far skirts hang below the chunk edge, per world unit between vertices.
+// Neighbouring chunks at different levels of detail don't share edge vertices;
+// the skirts fill the gaps this leaves so no cracks show between them.
+const SKIRT_DEPTH_PER_STEP = 1.5;
+
+// Builds the meshes for one chunk from precomputed chunk data (heights and
+// colours from TerrainGenerator, usually computed in a ChunkWorker).
+// Pass a shared WaterMaterial to draw every chunk's water with one animated
+// material; without one, the chunk makes and disposes its own.
 export class TerrainChunk {
-  constructor(chunkX, chunkZ, size, noise, seed) {
+  constructor(chunkX, chunkZ, terrain, data = terrain.generateHeightField(chunkX, chunkZ), waterMaterial = null) {
     this.chunkX = chunkX;
     this.chunkZ = chunkZ;
-    this.size = size;
-    this.noise = noise;
-    this.seed = seed;
-    this.heightMap = [];
+    this.terrain = terrain; // Shared TerrainGenerator
+    this.size = terrain.size;
+    this.seed = terrain.seed;
+    
+    // Level of detail: vertices are 2^lod world units apart
+    this.lod = data.lod || 0;
+    this.step = terrain.getLodStep(this.lod);
+    this.resolution = this.size / this.step; // Grid cells per side
+    
+    // Height, colour and water level (NaN where dry) of every vertex,
+    // (resolution + 1) x (resolution + 1)
+    this.heights = data.heights;
+    this.colors = data.colors;
+    this.water = data.water;
+    
+    // Surface mesh of a volumetric chunk (caves and overhangs), if it is one.
+    // The heights then describe the top surface of the volume.
+    this.volume = data.volume || null;
+    
+    const expected = (this.resolution + 1) * (this.resolution + 1);
+    if (this.heights.length !== expected) {
+      throw new Error(`TerrainChunk: Height field for chunk ${chunkX},${chunkZ} has ${this.heights.length} values, expected ${expected}`);
+    }
+    
+    // Height queries over the same triangles as the mesh
+    this.heightField = new HeightField(
+      chunkX * this.size,
+      chunkZ * this.size,
+      this.step,
+      this.resolution,
+      this.heights
+    );
     
     // Land-to-water ratio (higher values = more land, less water)
-    this.landRatio = 0.9; // Very high land ratio (0.5 would be balanced, 1.0 would be all land)
+    this.landRatio = terrain.landRatio;
+    
+    // Height of the sea surface
+    this.waterLevel = terrain.waterLevel;
     
-    // Lower water level to have minimal water
-    this.waterLevel = 0.15; // Reduced from 0.3 for less water
+    this.waterMaterial = waterMaterial;
+    
+    // Geometries and materials made for this chunk, freed by dispose()
+    this.resources = new ResourceTracker();
     
     // Generate the terrain mesh
     this.mesh = this.generateTerrain();
@@ -25,224 +70,257 @@ export class TerrainChunk {
     }
   }
   
-  // Generate a terrain mesh for this chunk
+  // Generate the terrain mesh for this chunk
   generateTerrain() {
-    // Create geometry
-    const geometry = new THREE.PlaneGeometry(
-      this.size, 
-      this.size, 
-      this.size, 
-      this.size
-    );
-    
-    // Rotate to make it flat on the ground
-    geometry.rotateX(-Math.PI / 2);
-    
-    // Move to correct position in world
-    geometry.translate(
-      this.chunkX * this.size + this.size / 2,
-      0,
-      this.chunkZ * this.size + this.size / 2
-    );
-    
-    // Generate height data
-    const positions = geometry.attributes.position;
-    this.heightMap = [];
-    
-    // Apply height to each vertex based on noise
-    for (let i = 0; i < positions.count; i++) {
-      const x = positions.getX(i);
-      const z = positions.getZ(i);
-      
-      // Generate noise-based height
-      const height = this.generateHeight(x, z);
-      
-      // Store height in our heightmap for later use
-      this.heightMap.push({ x, z, height });
-      
-      // Update vertex position
-      positions.setY(i, height);
-    }
-    
-    // Compute normals for proper lighting
-    geometry.computeVertexNormals();
-    
-    // Color the terrain based on height
-    this.colorTerrain(geometry);
-    
-    // Create mesh with the geometry
-    const material = new THREE.MeshStandardMaterial({
+    const material = this.resources.track(new THREE.MeshStandardMaterial({
       vertexColors: true,
       flatShading: true, // For low-poly look
       roughness: 0.8,
-    });
+    }));
     
-    const mesh = new THREE.Mesh(geometry, material);
+    const mesh = new THREE.Mesh(this.resources.track(this.generateTerrainGeometry()), material);
     mesh.castShadow = true;
     mesh.receiveShadow = true;
     
     return mesh;
   }
   
-  // Color the terrain based on height
-  colorTerrain(geometry) {
-    // Add color attribute if it doesn't exist
-    if (!geometry.attributes.color) {
-      const colors = new Float32Array(geometry.attributes.position.count * 3);
-      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  // Generate the terrain geometry for this chunk: a grid at this chunk's level
+  // of detail with a skirt hanging down from its four edges
+  generateTerrainGeometry() {
+    if (this.volume) {
+      return this.generateVolumeGeometry();
     }
     
-    const positions = geometry.attributes.position;
-    const colors = geometry.attributes.color;
-    
-    for (let i = 0; i < positions.count; i++) {
-      const y = positions.getY(i);
-      let color = new THREE.Color();
-      
-      // Deep water
-      if (y < this.waterLevel - 0.1) {
-        color.setRGB(0.1, 0.2, 0.5);
+    const verticesPerSide = this.resolution + 1;
+    const gridVertexCount = verticesPerSide * verticesPerSide;
+    const perimeter = this.getPerimeter();
+    const vertexCount = gridVertexCount + perimeter.length;
+    
+    const positions = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const originX = this.chunkX * this.size;
+    const originZ = this.chunkZ * this.size;
+    
+    // Grid vertices, in the height field's order
+    for (let iz = 0; iz < verticesPerSide; iz++) {
+      for (let ix = 0; ix < verticesPerSide; ix++) {
+        const i = ix + iz * verticesPerSide;
+        positions[i * 3] = originX + ix * this.step;
+        positions[i * 3 + 1] = this.heights[i];
+        positions[i * 3 + 2] = originZ + iz * this.step;
       }
-      // Water edge
-      else if (y < this.waterLevel) {
-        color.setRGB(0.1, 0.3, 0.6);
-      }
-      // Sand/beach
-      else if (y < this.waterLevel + 2) {
-        color.setRGB(0.85, 0.8, 0.55);
-      }
-      // Grass/plains (expanded range for more land)
-      else if (y < 20) {
-        color.setRGB(0.2 + Math.random() * 0.1, 0.5 + Math.random() * 0.1, 0.2);
-      }
-      // Mountain/rock
-      else if (y < 40) {
-        color.setRGB(0.4, 0.3, 0.2);
-      }
-      // Snow peaks
-      else {
-        color.setRGB(0.9, 0.9, 0.9);
-      }
-      
-      // Set the color
-      colors.setXYZ(i, color.r, color.g, color.b);
     }
+    colors.set(this.colors);
+    
+    // Skirt vertices, one below each edge vertex with the same colour
+    const skirtDepth = this.step * SKIRT_DEPTH_PER_STEP;
+    perimeter.forEach((edgeIndex, i) => {
+      const skirtIndex = gridVertexCount + i;
+      positions[skirtIndex * 3] = positions[edgeIndex * 3];
+      positions[skirtIndex * 3 + 1] = positions[edgeIndex * 3 + 1] - skirtDepth;
+      positions[skirtIndex * 3 + 2] = positions[edgeIndex * 3 + 2];
+      colors[skirtIndex * 3] = colors[edgeIndex * 3];
+      colors[skirtIndex * 3 + 1] = colors[edgeIndex * 3 + 1];
+      colors[skirtIndex * 3 + 2] = colors[edgeIndex * 3 + 2];
+    });
     
-    colors.needsUpdate = true;
-  }
-  
-  // Generate water plane if needed
-  generateWater() {
-    // Check if this chunk might have water by checking corners
-    let hasWater = false;
-    for (const point of this.heightMap) {
-      if (point.height <= this.waterLevel) {
-        hasWater = true;
-        break;
+    const indices = [];
+    
+    // Two triangles per grid cell, split the same way as THREE.PlaneGeometry
+    for (let iz = 0; iz < this.resolution; iz++) {
+      for (let ix = 0; ix < this.resolution; ix++) {
+        const a = ix + iz * verticesPerSide;
+        const b = ix + (iz + 1) * verticesPerSide;
+        const c = (ix + 1) + (iz + 1) * verticesPerSide;
+        const d = (ix + 1) + iz * verticesPerSide;
+        indices.push(a, b, d, b, c, d);
       }
     }
     
-    if (!hasWater) {
-      return null;
+    // Two triangles per skirt segment, facing out of the chunk
+    for (let i = 0; i < perimeter.length; i++) {
+      const next = (i + 1) % perimeter.length;
+      const top0 = perimeter[i];
+      const top1 = perimeter[next];
+      const bottom0 = gridVertexCount + i;
+      const bottom1 = gridVertexCount + next;
+      indices.push(top0, top1, bottom0, top1, bottom1, bottom0);
     }
     
-    // Create water plane
-    const waterGeometry = new THREE.PlaneGeometry(this.size, this.size);
-    waterGeometry.rotateX(-Math.PI / 2);
+    // Create geometry
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(indices);
     
-    // Position at water level
-    waterGeometry.translate(
-      this.chunkX * this.size + this.size / 2,
-      this.waterLevel,
-      this.chunkZ * this.size + this.size / 2
-    );
+    // Compute normals for proper lighting
+    geometry.computeVertexNormals();
     
-    // Semi-transparent blue material
-    const waterMaterial = new THREE.MeshStandardMaterial({
-      color: 0x3f95ea,
-      transparent: true,
-      opacity: 0.7,
-      roughness: 0.1,
-      metalness: 0.1,
-    });
+    return geometry;
+  }
+  
+  // Generate the terrain geometry of a volumetric chunk from its surface net.
+  // It joins up with neighbouring volumetric chunks on its own, so it has no skirt.
+  generateVolumeGeometry() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this.volume.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(this.volume.colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(this.volume.indices, 1));
+    geometry.computeVertexNormals();
     
-    const waterMesh = new THREE.Mesh(waterGeometry, waterMaterial);
-    waterMesh.receiveShadow = true;
+    return geometry;
+  }
+  
+  // Rebuild the terrain and water geometry after the heights, colours and
+  // water levels were changed in place (e.g. by TerrainGenerator.applyEdits),
+  // optionally with a new volume surface. Height queries already use the new
+  // heights; the mesh object stays the same, so it stays in the scene.
+  refresh(volume = this.volume) {
+    this.volume = volume;
     
-    return waterMesh;
+    this.resources.release(this.mesh.geometry);
+    this.mesh.geometry = this.resources.track(this.generateTerrainGeometry());
+    
+    if (this.waterMesh) {
+      this.mesh.remove(this.waterMesh);
+      this.resources.release(this.waterMesh.geometry);
+    }
+    this.waterMesh = this.generateWater();
+    if (this.waterMesh) {
+      this.mesh.add(this.waterMesh);
+    }
   }
   
-  // Generate height value using multiple noise samples
-  generateHeight(x, z) {
-    // Scale coordinates for noise input
-    const worldX = x / 550; // Increased scale for larger terrain features (was 100)
-    const worldZ = z / 550; // Increased scale for larger terrain features (was 100)
-    
-    // Multiple noise layers for varied terrain
-    // Large-scale height variation (mountains and valleys)
-    const mountainNoise = this.noise.noise(
-      worldX * 0.5 + this.seed * 0.1,
-      worldZ * 0.5 + this.seed * 0.2
-    ) * 30; // Increased amplitude for more dramatic terrain
-    
-    // Medium-scale height variation (hills)
-    const hillNoise = this.noise.noise(
-      worldX * 1.5 + this.seed * 0.3,
-      worldZ * 1.5 + this.seed * 0.4
-    ) * 3; // Increased amplitude
-    
-    // Small-scale height variation (roughness)
-    const roughness = this.noise.noise(
-      worldX * 4 + this.seed * 0.5,
-      worldZ * 4 + this.seed * 0.6
-    ) * 0.3; // Increased roughness
-    
-    // Combine noise layers
-    let height = mountainNoise + hillNoise + roughness;
-    
-    // Apply land ratio adjustment - raise the overall terrain based on land ratio
-    height = height * (1 - this.landRatio) + (height + this.landRatio) * this.landRatio;
-    
-    // Add more flat areas for towns and settlements
-    const flatMask = this.noise.noise(
-      worldX * 0.2 + this.seed * 0.7,
-      worldZ * 0.2 + this.seed * 0.8
-    );
+  // Grid indices of the edge vertices, walking around the chunk with the
+  // outside on the left (+x along the north edge, +z along the east edge,
+  // -x along the south edge, -z along the west edge)
+  getPerimeter() {
+    const n = this.resolution;
+    const index = (ix, iz) => ix + iz * (n + 1);
+    const perimeter = [];
+    
+    for (let ix = 0; ix < n; ix++) perimeter.push(index(ix, 0));
+    for (let iz = 0; iz < n; iz++) perimeter.push(index(n, iz));
+    for (let ix = n; ix > 0; ix--) perimeter.push(index(ix, n));
+    for (let iz = n; iz > 0; iz--) perimeter.push(index(0, iz));
+    
+    return perimeter;
+  }
+  
+  // Generate the water surface over this chunk: the sea, lakes and rivers, each
+  // at its own level. Covers every grid cell with at least one wet corner.
+  generateWater() {
+    const surface = this.getWaterSurface();
+    if (!surface) {
+      return null;
+    }
     
-    // If flatMask is high enough, flatten the terrain
-    if (flatMask > 0.6) {
-      const targetHeight = 0.6 + Math.random() * 0.2;
-      const flattenFactor = (flatMask - 0.6) * 2.5; // 0 to 1 range
-      height = height * (1 - flattenFactor) + targetHeight * flattenFactor;
+    const verticesPerSide = this.resolution + 1;
+    const positions = new Float32Array(verticesPerSide * verticesPerSide * 3);
+    const depths = new Float32Array(verticesPerSide * verticesPerSide);
+    const originX = this.chunkX * this.size;
+    const originZ = this.chunkZ * this.size;
+    
+    for (let iz = 0; iz < verticesPerSide; iz++) {
+      for (let ix = 0; ix < verticesPerSide; ix++) {
+        const i = ix + iz * verticesPerSide;
+        positions[i * 3] = originX + ix * this.step;
+        positions[i * 3 + 1] = isNaN(surface[i]) ? 0 : surface[i];
+        positions[i * 3 + 2] = originZ + iz * this.step;
+        
+        // Water depth for the shader's colour, waves and foam. Negative on the
+        // bank, so the shoreline falls where it crosses zero.
+        depths[i] = isNaN(surface[i]) ? 0 : surface[i] - this.heights[i];
+      }
     }
     
-    // Create mountains in specific areas (for interest)
-    const mountainMask = this.noise.noise(
-      worldX * 0.1 + this.seed * 0.9,
-      worldZ * 0.1 + this.seed * 1.0
-    );
+    // Same triangles as the terrain grid, for wet cells only
+    const indices = [];
+    for (let iz = 0; iz < this.resolution; iz++) {
+      for (let ix = 0; ix < this.resolution; ix++) {
+        const a = ix + iz * verticesPerSide;
+        const b = ix + (iz + 1) * verticesPerSide;
+        const c = (ix + 1) + (iz + 1) * verticesPerSide;
+        const d = (ix + 1) + iz * verticesPerSide;
+        
+        if (isNaN(this.water[a]) && isNaN(this.water[b]) &&
+            isNaN(this.water[c]) && isNaN(this.water[d])) continue;
+        
+        indices.push(a, b, d, b, c, d);
+      }
+    }
+    
+    const waterGeometry = this.resources.track(new THREE.BufferGeometry());
+    waterGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    waterGeometry.setAttribute('depth', new THREE.BufferAttribute(depths, 1));
+    waterGeometry.setIndex(indices);
     
-    if (mountainMask > 0.7) {
-      const mountainFactor = (mountainMask - 0.7) * 3.3;
-      height += mountainFactor * 3; // Increased mountain height
+    // Animated water shader (waves, depth colour and shoreline foam)
+    if (!this.waterMaterial) {
+      this.waterMaterial = this.resources.track(new WaterMaterial());
     }
     
-    return height;
+    const waterMesh = new THREE.Mesh(waterGeometry, this.waterMaterial);
+    
+    return waterMesh;
   }
   
-  // Get the height at a specific world position
-  getHeightAt(worldX, worldZ) {
-    // Convert world coordinates to local chunk coordinates
-    const localX = worldX - this.chunkX * this.size;
-    const localZ = worldZ - this.chunkZ * this.size;
+  // Water surface height of every vertex, or null if the chunk is dry.
+  // Dry vertices next to water take the highest neighbouring water level, so
+  // the edge of the surface runs under the bank instead of sloping up it.
+  getWaterSurface() {
+    const verticesPerSide = this.resolution + 1;
+    const surface = new Float32Array(this.water.length).fill(NaN);
+    let hasWater = false;
     
-    // Check if the point is in this chunk
-    if (localX < 0 || localX > this.size || localZ < 0 || localZ > this.size) {
-      return null;
+    for (let iz = 0; iz < verticesPerSide; iz++) {
+      for (let ix = 0; ix < verticesPerSide; ix++) {
+        const i = ix + iz * verticesPerSide;
+        
+        if (!isNaN(this.water[i])) {
+          surface[i] = this.water[i];
+          hasWater = true;
+          continue;
+        }
+        
+        for (let dz = -1; dz <= 1; dz++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = ix + dx;
+            const nz = iz + dz;
+            if (nx < 0 || nz < 0 || nx >= verticesPerSide || nz >= verticesPerSide) continue;
+            
+            const level = this.water[nx + nz * verticesPerSide];
+            if (!isNaN(level) && (isNaN(surface[i]) || level > surface[i])) {
+              surface[i] = level;
+            }
+          }
+        }
+      }
     }
     
-    // For a more accurate height, we should find the triangle the point is in
-    // and interpolate, but for simplicity, we'll use noise directly
-    return this.generateHeight(worldX, worldZ);
+    return hasWater ? surface : null;
+  }
+  
+  // Generate height value using multiple noise samples
+  generateHeight(x, z) {
+    return this.terrain.generateHeight(x, z);
+  }
+  
+  // Get the height at a specific world position, interpolated across the
+  // triangle of the mesh under it. Returns null outside this chunk.
+  getHeightAt(worldX, worldZ) {
+    return this.heightField.getHeightAt(worldX, worldZ);
+  }
+  
+  // Get the normal of the mesh triangle under a world position, or null outside this chunk
+  getNormalAt(worldX, worldZ, target = new THREE.Vector3()) {
+    return this.heightField.getNormalAt(worldX, worldZ, target);
+  }
+  
+  // Free the GPU resources of this chunk's meshes. A shared water material
+  // belongs to the world, not the chunk, so it is kept.
+  dispose() {
+    this.resources.dispose();
   }
 } 
\ No newline at end of file
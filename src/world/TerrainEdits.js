@@ -0,0 +1,118 @@
+import { HeightField } from './HeightField.js';
+
+// Runtime changes to the terrain (digging and raising), stored as a change in
+// height of every full-detail grid vertex, grouped by chunk. Vertices on a
+// chunk border are stored in each chunk that shares them, so a chunk can be
+// rebuilt from its own deltas alone. The deltas outlive the chunks' meshes, so
+// edits come back when a chunk is unloaded and generated again.
+// Plain numbers only, like HeightField.
+export class TerrainEdits {
+  constructor(chunkSize) {
+    this.size = chunkSize;
+    this.side = chunkSize + 1; // Vertices per chunk side
+    this.chunks = new Map(); // Chunk key -> change in height of every vertex, index ix + iz * side
+  }
+  
+  // Check if any vertex of a chunk has been edited
+  hasEdits(chunkX, chunkZ) {
+    return this.chunks.has(`${chunkX},${chunkZ}`);
+  }
+  
+  // Change in height of a full-detail grid vertex
+  getDelta(x, z) {
+    if (this.chunks.size === 0) return 0;
+    
+    const gridX = Math.round(x);
+    const gridZ = Math.round(z);
+    const chunkX = Math.floor(gridX / this.size);
+    const chunkZ = Math.floor(gridZ / this.size);
+    const deltas = this.chunks.get(`${chunkX},${chunkZ}`);
+    if (!deltas) return 0;
+    
+    return deltas[(gridX - chunkX * this.size) + (gridZ - chunkZ * this.size) * this.side];
+  }
+  
+  // Change in height at any world position, interpolated across the
+  // full-detail triangles
+  getDeltaAt(x, z) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    
+    return HeightField.interpolate(
+      this.getDelta(x0, z0),
+      this.getDelta(x0 + 1, z0),
+      this.getDelta(x0, z0 + 1),
+      this.getDelta(x0 + 1, z0 + 1),
+      x - x0,
+      z - z0
+    );
+  }
+  
+  // Raise (positive delta) or lower the terrain around a point by a smooth
+  // bump that is delta high in the middle and fades out at the radius.
+  // Returns the range of grid vertices that moved ({ minX, minZ, maxX, maxZ }),
+  // or null if the radius doesn't reach any vertex.
+  apply(x, z, radius, delta) {
+    const minX = Math.ceil(x - radius);
+    const minZ = Math.ceil(z - radius);
+    const maxX = Math.floor(x + radius);
+    const maxZ = Math.floor(z + radius);
+    let moved = false;
+    
+    for (let gridZ = minZ; gridZ <= maxZ; gridZ++) {
+      for (let gridX = minX; gridX <= maxX; gridX++) {
+        const dx = gridX - x;
+        const dz = gridZ - z;
+        const falloff = 1 - (dx * dx + dz * dz) / (radius * radius);
+        if (falloff <= 0) continue;
+        
+        this.addDelta(gridX, gridZ, delta * falloff * falloff);
+        moved = true;
+      }
+    }
+    
+    return moved ? { minX, minZ, maxX, maxZ } : null;
+  }
+  
+  // Plain object with the deltas of every edited chunk, for saving
+  getSaveData() {
+    const data = {};
+    this.chunks.forEach((deltas, key) => {
+      data[key] = Array.from(deltas);
+    });
+    return data;
+  }
+  
+  // Replace all edits with ones from getSaveData
+  restoreSaveData(data) {
+    this.chunks.clear();
+    
+    for (const [key, deltas] of Object.entries(data)) {
+      if (!Array.isArray(deltas) || deltas.length !== this.side * this.side) {
+        throw new Error(`TerrainEdits: Saved edits for chunk ${key} don't match the chunk size ${this.size}`);
+      }
+      this.chunks.set(key, Float32Array.from(deltas));
+    }
+  }
+  
+  // Add to the change in height of a grid vertex, in every chunk that shares it
+  addDelta(x, z, amount) {
+    const maxChunkX = Math.floor(x / this.size);
+    const maxChunkZ = Math.floor(z / this.size);
+    // A vertex on a border is also the last vertex of the chunk before it
+    const minChunkX = x % this.size === 0 ? maxChunkX - 1 : maxChunkX;
+    const minChunkZ = z % this.size === 0 ? maxChunkZ - 1 : maxChunkZ;
+    
+    for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+      for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        const key = `${chunkX},${chunkZ}`;
+        let deltas = this.chunks.get(key);
+        if (!deltas) {
+          deltas = new Float32Array(this.side * this.side);
+          this.chunks.set(key, deltas);
+        }
+        deltas[(x - chunkX * this.size) + (z - chunkZ * this.size) * this.side] += amount;
+      }
+    }
+  }
+}
@@ -0,0 +1,351 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { SeededRandom } from './SeededRandom.js';
+import { HeightField } from './HeightField.js';
+import { BiomeMap } from './BiomeMap.js';
+import { Hydrology } from './Hydrology.js';
+import { Erosion } from './Erosion.js';
+import { TerrainVolume } from './TerrainVolume.js';
+import { TerrainEdits } from './TerrainEdits.js';
+
+// Cave walls more than this far below the heightfield surface are coloured as
+// rock, shaded by this factor
+const CAVE_COLOR_DEPTH = 1.5;
+const CAVE_SHADE = 0.6;
+
+// Pure terrain functions (heights and colours) shared by the main thread and the
+// chunk workers. Everything here is derived from the config seed, so a worker and
+// the main thread always agree on the shape of the world.
+export class TerrainGenerator {
+  constructor(config) {
+    this.config = config;
+    this.size = config.chunkSize;
+    this.seed = config.seed;
+    
+    // Land-to-water ratio (higher values = more land, less water)
+    this.landRatio = config.landRatio;
+    
+    // Height of the sea surface
+    this.waterLevel = config.waterLevel;
+    
+    // Same forks as the rest of the world generation
+    const random = new SeededRandom(this.seed);
+    this.noise = new SimplexNoise(random.fork('terrain-noise')); // Noise generator for terrain
+    this.random = random.fork('terrain-detail'); // Sampled by position only
+    this.biomes = new BiomeMap(random.fork('biomes'), config); // Climate zones
+    
+    // Optional erosion of the noise terrain, before rivers are carved into it
+    this.erosion = config.erosion
+      ? new Erosion(random.fork('erosion'), config, (x, z) => this.generateBaseHeight(x, z))
+      : null;
+    
+    // Rivers and lakes, traced over the terrain before it is carved
+    this.hydrology = new Hydrology(
+      random.fork('hydrology'),
+      config,
+      (x, z) => this.generateBaseHeight(x, z)
+    );
+    
+    // Optional 3D terrain with caves and overhangs, built on top of the heights
+    this.volume = config.volumetric
+      ? new TerrainVolume(random.fork('volume'), config, (x, z) => this.getColumn(x, z))
+      : null;
+    
+    // Digging and raising at runtime. Only the main thread's generator has any:
+    // chunks from the workers are brought up to date with applyEdits.
+    this.edits = new TerrainEdits(this.size);
+  }
+  
+  // Generate heights, colours and water levels for a chunk as flat typed arrays.
+  // The water level of a vertex is the height of the sea, lake or river surface
+  // over it, or NaN where it is dry.
+  // Level of detail lod samples every 2^lod world units, so each level has a
+  // quarter of the vertices of the one before it.
+  // Vertex (ix, iz) is stored at index ix + iz * (resolution + 1), matching the
+  // vertex order of TerrainChunk's grid geometry.
+  generateHeightField(chunkX, chunkZ, lod = 0) {
+    const step = this.getLodStep(lod);
+    const resolution = this.size / step;
+    const verticesPerSide = resolution + 1;
+    const heights = new Float32Array(verticesPerSide * verticesPerSide);
+    const colors = new Float32Array(verticesPerSide * verticesPerSide * 3);
+    const water = new Float32Array(verticesPerSide * verticesPerSide);
+    
+    for (let iz = 0; iz < verticesPerSide; iz++) {
+      for (let ix = 0; ix < verticesPerSide; ix++) {
+        const i = ix + iz * verticesPerSide;
+        const x = chunkX * this.size + ix * step;
+        const z = chunkZ * this.size + iz * step;
+        this.sampleVertex(x, z, i, heights, colors, water);
+      }
+    }
+    
+    return { lod, heights, colors, water };
+  }
+  
+  // Write the height, colour and water level of the vertex at (x, z) into
+  // index i of a chunk's height field arrays
+  sampleVertex(x, z, i, heights, colors, water) {
+    // Biomes shape both the height and the colour of a point
+    const biomeWeights = this.biomes.getWeights(x, z);
+    const height = this.generateSurfaceHeight(x, z, biomeWeights);
+    const waterHeight = this.getWaterAt(x, z, height);
+    heights[i] = height;
+    water[i] = waterHeight === null ? NaN : waterHeight;
+    this.getColorAt(x, height, z, colors, i * 3, biomeWeights, waterHeight);
+  }
+  
+  // Raise (positive delta) or lower the terrain around a point, fading out at
+  // the radius. Returns the range of full-detail vertices that moved
+  // ({ minX, minZ, maxX, maxZ }), or null if none did.
+  editTerrain(x, z, radius, delta) {
+    const bounds = this.edits.apply(x, z, radius, delta);
+    
+    // Volume columns are cached with their old heights
+    if (bounds && this.volume) {
+      this.volume.forgetColumns(bounds.minX, bounds.minZ, bounds.maxX, bounds.maxZ);
+    }
+    
+    return bounds;
+  }
+  
+  // Sample the vertices of a chunk's height field (from generateHeightField)
+  // again after the terrain was edited, in place. Only vertices inside bounds
+  // are sampled, or every edited vertex of the chunk if there are no bounds.
+  applyEdits(chunkX, chunkZ, field, bounds = null) {
+    const step = this.getLodStep(field.lod);
+    const verticesPerSide = this.size / step + 1;
+    
+    for (let iz = 0; iz < verticesPerSide; iz++) {
+      for (let ix = 0; ix < verticesPerSide; ix++) {
+        const x = chunkX * this.size + ix * step;
+        const z = chunkZ * this.size + iz * step;
+        
+        if (bounds) {
+          if (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ) continue;
+        } else if (this.edits.getDelta(x, z) === 0) {
+          continue;
+        }
+        
+        this.sampleVertex(x, z, ix + iz * verticesPerSide, field.heights, field.colors, field.water);
+      }
+    }
+  }
+  
+  // Height on the full-detail triangles at a world position, without a chunk.
+  // Matches a level 0 TerrainChunk's getHeightAt, for places that aren't loaded.
+  getHeightAt(x, z) {
+    const cell = this.getCell(x, z);
+    return HeightField.interpolate(cell.h00, cell.h10, cell.h01, cell.h11, cell.fx, cell.fz);
+  }
+  
+  // Normal of the full-detail triangle at a world position, without a chunk
+  getNormalAt(x, z, target) {
+    const cell = this.getCell(x, z);
+    return HeightField.triangleNormal(cell.h00, cell.h10, cell.h01, cell.h11, cell.fx, cell.fz, 1, target);
+  }
+  
+  // Corner heights of the full-detail grid cell containing a world position
+  getCell(x, z) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    
+    return {
+      h00: this.generateSurfaceHeight(x0, z0),
+      h10: this.generateSurfaceHeight(x0 + 1, z0),
+      h01: this.generateSurfaceHeight(x0, z0 + 1),
+      h11: this.generateSurfaceHeight(x0 + 1, z0 + 1),
+      fx: x - x0,
+      fz: z - z0
+    };
+  }
+  
+  // Low-poly surface of a volumetric chunk (caves and overhangs included) as
+  // flat typed arrays: vertex positions, vertex colours and triangle indices
+  generateVolume(chunkX, chunkZ) {
+    const { positions, indices } = this.volume.generateMesh(chunkX * this.size, chunkZ * this.size, this.size);
+    const colors = new Float32Array(positions.length);
+    
+    for (let i = 0; i < positions.length; i += 3) {
+      const x = positions[i];
+      const y = positions[i + 1];
+      const z = positions[i + 2];
+      const biomeWeights = this.biomes.getWeights(x, z);
+      
+      // Cave walls are shaded rock
+      if (y < this.volume.getGroundHeightAt(x, z) - CAVE_COLOR_DEPTH) {
+        let r = 0, g = 0, b = 0;
+        for (const { biome, weight } of biomeWeights) {
+          r += biome.palette.rock[0] * weight;
+          g += biome.palette.rock[1] * weight;
+          b += biome.palette.rock[2] * weight;
+        }
+        colors[i] = r * CAVE_SHADE;
+        colors[i + 1] = g * CAVE_SHADE;
+        colors[i + 2] = b * CAVE_SHADE;
+      } else {
+        this.getColorAt(x, y, z, colors, i, biomeWeights);
+      }
+    }
+    
+    return { positions, colors, indices };
+  }
+  
+  // Ground height of a full-detail grid column and whether it is under water,
+  // for building the volume on
+  getColumn(x, z) {
+    const height = this.generateHeight(x, z);
+    return { height, wet: this.getWaterAt(x, z, height) !== null };
+  }
+  
+  // Height of the water surface (sea, lake or river) over a point with the given
+  // terrain height, or null if the point is dry
+  getWaterAt(x, z, height) {
+    return this.hydrology.getWaterAt(x, z, height);
+  }
+  
+  // World units between vertices at a level of detail
+  getLodStep(lod) {
+    const step = 2 ** lod;
+    if (!Number.isInteger(lod) || lod < 0 || step > this.size || this.size % step !== 0) {
+      throw new Error(`TerrainGenerator: Invalid level of detail ${lod} for chunk size ${this.size}`);
+    }
+    return step;
+  }
+  
+  // Write the terrain colour for a point into a colour array, based on height,
+  // the water over it and the palettes of the biomes at that point
+  getColorAt(
+    x, y, z, colors, offset,
+    biomeWeights = this.biomes.getWeights(x, z),
+    waterHeight = this.getWaterAt(x, z, y)
+  ) {
+    let r, g, b;
+    
+    // Deep water (sea, lake or river bed)
+    if (waterHeight !== null && y < waterHeight - 0.1) {
+      r = 0.1; g = 0.2; b = 0.5;
+    }
+    // Water edge
+    else if (waterHeight !== null) {
+      r = 0.1; g = 0.3; b = 0.6;
+    }
+    // Land: blend the biome palettes
+    else {
+      r = 0; g = 0; b = 0;
+      for (const { biome, weight } of biomeWeights) {
+        const color = this.getPaletteColor(biome.palette, x, y, z);
+        r += color[0] * weight;
+        g += color[1] * weight;
+        b += color[2] * weight;
+      }
+    }
+    
+    colors[offset] = r;
+    colors[offset + 1] = g;
+    colors[offset + 2] = b;
+  }
+  
+  // Colour of land at a height in one biome's palette
+  getPaletteColor(palette, x, y, z) {
+    // Sand/beach
+    if (y < this.waterLevel + 2) {
+      return palette.beach;
+    }
+    // Ground cover, with a little variation per vertex
+    if (y < palette.rockLine) {
+      const [r, g, b] = palette.ground;
+      const [vr, vg, vb] = palette.groundVariation;
+      return [
+        r + this.random.valueAt(x, z, 0) * vr,
+        g + this.random.valueAt(x, z, 1) * vg,
+        b + this.random.valueAt(x, z, 3) * vb
+      ];
+    }
+    // Mountain/rock
+    if (y < palette.snowLine) {
+      return palette.rock;
+    }
+    // Snow peaks
+    return palette.snow;
+  }
+  
+  // Height of the top of the terrain: in volumetric worlds the topmost surface
+  // of the volume (overhangs and cave mouths included), otherwise the heightfield
+  generateSurfaceHeight(x, z, biomeWeights) {
+    if (this.volume) {
+      return this.volume.getSurfaceHeight(x, z);
+    }
+    return this.generateHeight(x, z, biomeWeights);
+  }
+  
+  // Terrain height, eroded if erosion is on, with river channels carved into it
+  // and runtime edits added on top
+  generateHeight(x, z, biomeWeights = this.biomes.getWeights(x, z)) {
+    let height = this.generateBaseHeight(x, z, biomeWeights);
+    if (this.erosion) {
+      height = this.erosion.apply(x, z, height);
+    }
+    return this.hydrology.carve(x, z, height) + this.edits.getDelta(x, z);
+  }
+  
+  // Generate height value using multiple noise samples
+  generateBaseHeight(x, z, biomeWeights = this.biomes.getWeights(x, z)) {
+    // Scale coordinates for noise input
+    const worldX = x / 550; // Increased scale for larger terrain features (was 100)
+    const worldZ = z / 550; // Increased scale for larger terrain features (was 100)
+    
+    // Multiple noise layers for varied terrain
+    // Large-scale height variation (mountains and valleys)
+    const mountainNoise = this.noise.noise(
+      worldX * 0.5 + this.seed * 0.1,
+      worldZ * 0.5 + this.seed * 0.2
+    ) * 30; // Increased amplitude for more dramatic terrain
+    
+    // Medium-scale height variation (hills)
+    const hillNoise = this.noise.noise(
+      worldX * 1.5 + this.seed * 0.3,
+      worldZ * 1.5 + this.seed * 0.4
+    ) * 3; // Increased amplitude
+    
+    // Small-scale height variation (roughness)
+    const roughness = this.noise.noise(
+      worldX * 4 + this.seed * 0.5,
+      worldZ * 4 + this.seed * 0.6
+    ) * 0.3; // Increased roughness
+    
+    // Combine noise layers
+    let height = mountainNoise + hillNoise + roughness;
+    
+    // Apply land ratio adjustment - raise the overall terrain based on land ratio
+    height = height * (1 - this.landRatio) + (height + this.landRatio) * this.landRatio;
+    
+    // Flatten, raise or steepen the terrain depending on the biome
+    height = this.biomes.shapeHeight(height, this.waterLevel, biomeWeights);
+    
+    // Add more flat areas for towns and settlements
+    const flatMask = this.noise.noise(
+      worldX * 0.2 + this.seed * 0.7,
+      worldZ * 0.2 + this.seed * 0.8
+    );
+    
+    // If flatMask is high enough, flatten the terrain
+    if (flatMask > 0.6) {
+      const targetHeight = 0.6 + this.random.valueAt(x, z, 2) * 0.2;
+      const flattenFactor = (flatMask - 0.6) * 2.5; // 0 to 1 range
+      height = height * (1 - flattenFactor) + targetHeight * flattenFactor;
+    }
+    
+    // Create mountains in specific areas (for interest)
+    const mountainMask = this.noise.noise(
+      worldX * 0.1 + this.seed * 0.9,
+      worldZ * 0.1 + this.seed * 1.0
+    );
+    
+    if (mountainMask > 0.7) {
+      const mountainFactor = (mountainMask - 0.7) * 3.3;
+      height += mountainFactor * 3; // Increased mountain height
+    }
+    
+    return height;
+  }
+}
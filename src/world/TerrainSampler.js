@@ -0,0 +1,77 @@
+import { HeightField } from './HeightField.js';
+
+// Height, slope and water queries anywhere in the world, for planning that
+// looks past the edges of its own chunk. Unlike a chunk's HeightField it isn't
+// limited to one grid: vertex heights come from the TerrainGenerator and are
+// cached, so neighbouring queries share their work. Every chunk asking about
+// the same point gets the same answer, whichever worker it runs in.
+//
+// Make one per planned chunk; the cache grows with every vertex visited.
+export class TerrainSampler {
+  constructor(terrain) {
+    this.terrain = terrain; // TerrainGenerator (pure, without edits)
+    this.heights = new Map(); // Vertex key -> height
+  }
+  
+  // Height of the full-detail grid vertex at integer world position (x, z)
+  getVertexHeight(x, z) {
+    const key = `${x},${z}`;
+    let height = this.heights.get(key);
+    if (height === undefined) {
+      height = this.terrain.generateSurfaceHeight(x, z);
+      this.heights.set(key, height);
+    }
+    return height;
+  }
+  
+  // Height on the full-detail triangles at a world position
+  getHeightAt(x, z) {
+    const cell = this.getCell(x, z);
+    return HeightField.interpolate(cell.h00, cell.h10, cell.h01, cell.h11, cell.fx, cell.fz);
+  }
+  
+  // Upward unit normal of the full-detail triangle at a world position
+  getNormalAt(x, z, target = { x: 0, y: 1, z: 0 }) {
+    const cell = this.getCell(x, z);
+    return HeightField.triangleNormal(cell.h00, cell.h10, cell.h01, cell.h11, cell.fx, cell.fz, 1, target);
+  }
+  
+  // Height of the water over a point, or null where it is dry
+  getWaterAt(x, z, height = this.getHeightAt(x, z)) {
+    return this.terrain.getWaterAt(x, z, height);
+  }
+  
+  // Difference between the highest and lowest grid vertices within a radius
+  // of a point, sampling every step vertices
+  getHeightRange(x, z, radius, step = 2) {
+    const centerX = Math.round(x);
+    const centerZ = Math.round(z);
+    let min = Infinity;
+    let max = -Infinity;
+    
+    for (let dz = -radius; dz <= radius; dz += step) {
+      for (let dx = -radius; dx <= radius; dx += step) {
+        const height = this.getVertexHeight(centerX + dx, centerZ + dz);
+        min = Math.min(min, height);
+        max = Math.max(max, height);
+      }
+    }
+    
+    return max - min;
+  }
+  
+  // Corner heights of the grid cell containing a world position
+  getCell(x, z) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    
+    return {
+      h00: this.getVertexHeight(x0, z0),
+      h10: this.getVertexHeight(x0 + 1, z0),
+      h01: this.getVertexHeight(x0, z0 + 1),
+      h11: this.getVertexHeight(x0 + 1, z0 + 1),
+      fx: x - x0,
+      fz: z - z0
+    };
+  }
+}
@@ -0,0 +1,347 @@
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+
+// Overhangs: 3D noise pushes the surface in and out by up to this many world
+// units, in patches picked by a 2D mask
+const OVERHANG_SCALE = 14; // World units across overhang noise features
+const OVERHANG_AMPLITUDE = 4;
+const OVERHANG_MASK_SCALE = 220;
+
+// Caves: tunnels follow the lines where two 3D noises are both near zero.
+// They are carved at most this far below the ground, and narrow with depth.
+const CAVE_SCALE = 48; // World units across a typical bend in a tunnel
+const CAVE_VERTICAL_SCALE = 0.75; // Squashes tunnels so they run more level than steep
+const CAVE_DEPTH = 12;
+const CAVE_MIN_RADIUS = 0.06; // Tunnel radius in noise units at caveDensity 0 and 1
+const CAVE_MAX_RADIUS = 0.18;
+
+// Vertical sampling of floor queries (world units)
+const SCAN_STEP = 0.25;
+const MAX_CLIMB_SCAN = 2; // How far up to look for air when a point is inside the ground
+const MAX_FLOOR_SCAN = 32; // How far down to look for a floor
+
+// Grid columns cached for density queries
+const MAX_CACHED_COLUMNS = 4096;
+
+// Corners of a grid cell, and the twelve cell edges as pairs of corners
+const CORNERS = [
+  [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
+  [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
+];
+const EDGES = [
+  [0, 1], [2, 3], [4, 5], [6, 7], // Along x
+  [0, 2], [1, 3], [4, 6], [5, 7], // Along y
+  [0, 4], [1, 5], [2, 6], [3, 7]  // Along z
+];
+
+// Terrain as a 3D density field instead of a height per column, so it can have
+// caves, arches and overhangs. Density is positive inside the ground and
+// negative in the air; the terrain surface is where it crosses zero.
+//
+// The field starts from the normal terrain height of each full-detail grid
+// column. 3D noise then pushes the surface in and out, and carves tunnels under
+// it. Columns under water get no caves, so caves never flood.
+// Pure and seeded like TerrainGenerator, so meshes can be built in chunk workers.
+export class TerrainVolume {
+  constructor(random, config, sampleColumn) {
+    this.sampleColumn = sampleColumn; // (x, z) => { height, wet } of a grid column
+    this.caveRadius = CAVE_MIN_RADIUS + (CAVE_MAX_RADIUS - CAVE_MIN_RADIUS) * config.caveDensity;
+    this.caves = config.caveDensity > 0;
+    
+    this.overhangNoise = new SimplexNoise(random.fork('overhangs'));
+    this.overhangMaskNoise = new SimplexNoise(random.fork('overhang-mask'));
+    this.caveNoiseA = new SimplexNoise(random.fork('caves-a'));
+    this.caveNoiseB = new SimplexNoise(random.fork('caves-b'));
+    
+    this.columns = new Map(); // Column key -> { height, overhang, caves }
+  }
+  
+  // Height, overhang strength and cave strength of the grid column at (x, z), cached
+  getColumn(x, z) {
+    const key = `${x},${z}`;
+    let column = this.columns.get(key);
+    if (column) return column;
+    
+    const { height, wet } = this.sampleColumn(x, z);
+    const mask = this.overhangMaskNoise.noise(x / OVERHANG_MASK_SCALE, z / OVERHANG_MASK_SCALE);
+    column = {
+      height,
+      overhang: smoothstep(0.2, 0.6, mask),
+      caves: this.caves && !wet ? 1 : 0
+    };
+    
+    this.columns.set(key, column);
+    if (this.columns.size > MAX_CACHED_COLUMNS) {
+      this.columns.delete(this.columns.keys().next().value);
+    }
+    
+    return column;
+  }
+  
+  // Drop the cached columns in a range of the grid, so they are sampled again
+  // (after the terrain under them was edited)
+  forgetColumns(minX, minZ, maxX, maxZ) {
+    for (let z = minZ; z <= maxZ; z++) {
+      for (let x = minX; x <= maxX; x++) {
+        this.columns.delete(`${x},${z}`);
+      }
+    }
+  }
+  
+  // Density at height y of a grid column
+  getDensity(x, y, z, column) {
+    const depth = column.height - y; // Positive below the heightfield surface
+    let density = depth;
+    
+    // Overhangs only change the sign of the density near the surface
+    if (column.overhang > 0 && Math.abs(depth) < OVERHANG_AMPLITUDE) {
+      const noise = this.overhangNoise.noise3d(x / OVERHANG_SCALE, y / OVERHANG_SCALE, z / OVERHANG_SCALE);
+      density += noise * OVERHANG_AMPLITUDE * column.overhang;
+    }
+    
+    // Tunnels: strongest at their centre line, enough to open up to CAVE_DEPTH
+    if (column.caves > 0 && depth > -OVERHANG_AMPLITUDE && depth < CAVE_DEPTH) {
+      const nx = x / CAVE_SCALE;
+      const ny = y / (CAVE_SCALE * CAVE_VERTICAL_SCALE);
+      const nz = z / CAVE_SCALE;
+      const a = this.caveNoiseA.noise3d(nx, ny, nz);
+      const b = this.caveNoiseB.noise3d(nx, ny, nz);
+      const tunnel = 1 - Math.sqrt(a * a + b * b) / this.caveRadius;
+      if (tunnel > 0) {
+        density -= tunnel * CAVE_DEPTH * column.caves;
+      }
+    }
+    
+    return density;
+  }
+  
+  // Density at any point, interpolated between the four grid columns around it
+  // (the same way the mesh interpolates between grid samples)
+  getDensityAt(x, y, z) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    const fx = x - x0;
+    const fz = z - z0;
+    
+    const d00 = this.getDensity(x0, y, z0, this.getColumn(x0, z0));
+    const d10 = this.getDensity(x0 + 1, y, z0, this.getColumn(x0 + 1, z0));
+    const d01 = this.getDensity(x0, y, z0 + 1, this.getColumn(x0, z0 + 1));
+    const d11 = this.getDensity(x0 + 1, y, z0 + 1, this.getColumn(x0 + 1, z0 + 1));
+    
+    return (d00 * (1 - fx) + d10 * fx) * (1 - fz) + (d01 * (1 - fx) + d11 * fx) * fz;
+  }
+  
+  // Check if a point is inside the ground
+  isSolidAt(x, y, z) {
+    return this.getDensityAt(x, y, z) > 0;
+  }
+  
+  // Height of the topmost surface of a grid column (the ground seen from the
+  // sky; a cave floor where a tunnel opens to the surface)
+  getSurfaceHeight(x, z) {
+    const column = this.getColumn(x, z);
+    let y = column.height + OVERHANG_AMPLITUDE;
+    let previous = this.getDensity(x, y, z, column);
+    
+    // Nothing above the overhang band is solid, so walk down from there
+    for (let step = 0; step < (OVERHANG_AMPLITUDE + CAVE_DEPTH) / SCAN_STEP; step++) {
+      const below = y - SCAN_STEP;
+      const density = this.getDensity(x, below, z, column);
+      if (density > 0) {
+        return below + SCAN_STEP * density / (density - previous);
+      }
+      y = below;
+      previous = density;
+    }
+    
+    return y;
+  }
+  
+  // Height of the floor a body with its feet at y would stand on: the highest
+  // point at or below y with ground under it and air over it. Inside the ground
+  // it looks a little way up for air instead; if there is none (a wall), the
+  // returned height is above y.
+  getFloorHeight(x, y, z) {
+    let top = y;
+    while (this.getDensityAt(x, top, z) > 0) {
+      top += SCAN_STEP;
+      if (top > y + MAX_CLIMB_SCAN) return top;
+    }
+    
+    let previous = this.getDensityAt(x, top, z);
+    for (let below = top - SCAN_STEP; below >= top - MAX_FLOOR_SCAN; below -= SCAN_STEP) {
+      const density = this.getDensityAt(x, below, z);
+      if (density > 0) {
+        return below + SCAN_STEP * density / (density - previous);
+      }
+      previous = density;
+    }
+    
+    // Still falling
+    return top - MAX_FLOOR_SCAN;
+  }
+  
+  // Unit normal of the surface near a point (pointing into the air), written into target
+  getNormalAt(x, y, z, target) {
+    const e = 0.5;
+    const gx = this.getDensityAt(x + e, y, z) - this.getDensityAt(x - e, y, z);
+    const gy = this.getDensityAt(x, y + e, z) - this.getDensityAt(x, y - e, z);
+    const gz = this.getDensityAt(x, y, z + e) - this.getDensityAt(x, y, z - e);
+    const length = Math.sqrt(gx * gx + gy * gy + gz * gz) || 1;
+    
+    target.x = -gx / length;
+    target.y = -gy / length;
+    target.z = -gz / length;
+    return target;
+  }
+  
+  // Heightfield ground height at any point (before overhangs and caves),
+  // interpolated between grid columns
+  getGroundHeightAt(x, z) {
+    const x0 = Math.floor(x);
+    const z0 = Math.floor(z);
+    const fx = x - x0;
+    const fz = z - z0;
+    
+    const h00 = this.getColumn(x0, z0).height;
+    const h10 = this.getColumn(x0 + 1, z0).height;
+    const h01 = this.getColumn(x0, z0 + 1).height;
+    const h11 = this.getColumn(x0 + 1, z0 + 1).height;
+    
+    return (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz;
+  }
+  
+  // Build the surface of a square chunk of the volume with surface nets: one
+  // vertex in every grid cell the surface passes through, joined by a quad
+  // across every grid edge where the density changes sign.
+  // Samples one extra cell around the chunk, so vertices on its border match
+  // the neighbouring chunk's. Each edge belongs to exactly one chunk, so
+  // neighbours join up without gaps or overlaps.
+  // Returns { positions, indices } as typed arrays in world coordinates.
+  generateMesh(originX, originZ, size) {
+    const side = size + 3; // Grid points per horizontal side, with one cell of padding
+    const startX = originX - 1;
+    const startZ = originZ - 1;
+    
+    // Vertical range that can contain the surface in these columns
+    const columns = [];
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const column = this.getColumn(startX + ix, startZ + iz);
+        columns.push(column);
+        minHeight = Math.min(minHeight, column.height);
+        maxHeight = Math.max(maxHeight, column.height);
+      }
+    }
+    const startY = Math.floor(minHeight - CAVE_DEPTH) - 1;
+    const levels = Math.ceil(maxHeight + OVERHANG_AMPLITUDE) + 1 - startY + 1;
+    
+    // Density of every grid point, index ix + iy * side + iz * side * levels
+    const layer = side * levels;
+    const densities = new Float32Array(layer * side);
+    for (let iz = 0; iz < side; iz++) {
+      for (let ix = 0; ix < side; ix++) {
+        const column = columns[ix + iz * side];
+        for (let iy = 0; iy < levels; iy++) {
+          densities[ix + iy * side + iz * layer] = this.getDensity(startX + ix, startY + iy, startZ + iz, column);
+        }
+      }
+    }
+    
+    // One vertex per cell the surface crosses, at the average of the crossings on its edges
+    const cellVertex = new Int32Array((side - 1) * (levels - 1) * (side - 1)).fill(-1);
+    const cellIndex = (ix, iy, iz) => ix + iy * (side - 1) + iz * (side - 1) * (levels - 1);
+    const positions = [];
+    const corner = new Float32Array(8);
+    
+    for (let iz = 0; iz < side - 1; iz++) {
+      for (let iy = 0; iy < levels - 1; iy++) {
+        for (let ix = 0; ix < side - 1; ix++) {
+          let solid = 0;
+          for (let c = 0; c < 8; c++) {
+            const [cx, cy, cz] = CORNERS[c];
+            corner[c] = densities[(ix + cx) + (iy + cy) * side + (iz + cz) * layer];
+            if (corner[c] > 0) solid++;
+          }
+          if (solid === 0 || solid === 8) continue;
+          
+          let sumX = 0;
+          let sumY = 0;
+          let sumZ = 0;
+          let crossings = 0;
+          for (const [a, b] of EDGES) {
+            if ((corner[a] > 0) === (corner[b] > 0)) continue;
+            
+            const t = corner[a] / (corner[a] - corner[b]);
+            sumX += CORNERS[a][0] + (CORNERS[b][0] - CORNERS[a][0]) * t;
+            sumY += CORNERS[a][1] + (CORNERS[b][1] - CORNERS[a][1]) * t;
+            sumZ += CORNERS[a][2] + (CORNERS[b][2] - CORNERS[a][2]) * t;
+            crossings++;
+          }
+          
+          cellVertex[cellIndex(ix, iy, iz)] = positions.length / 3;
+          positions.push(
+            startX + ix + sumX / crossings,
+            startY + iy + sumY / crossings,
+            startZ + iz + sumZ / crossings
+          );
+        }
+      }
+    }
+    
+    // A quad across every sign change on a grid edge this chunk owns (edges
+    // starting at local x and z from 0 to size - 1, i.e. grid index 1 to size),
+    // facing from the solid end to the air end
+    const indices = [];
+    const addQuad = (a, b, c, d, flip) => {
+      const quad = [cellVertex[a], cellVertex[b], cellVertex[c], cellVertex[d]];
+      if (flip) quad.reverse();
+      indices.push(quad[0], quad[1], quad[2], quad[0], quad[2], quad[3]);
+    };
+    
+    for (let iz = 1; iz <= size; iz++) {
+      for (let iy = 1; iy < levels - 1; iy++) {
+        for (let ix = 1; ix <= size; ix++) {
+          const here = densities[ix + iy * side + iz * layer] > 0;
+          
+          // Edge along x: the four cells around it, counterclockwise seen from +x
+          if (here !== densities[(ix + 1) + iy * side + iz * layer] > 0) {
+            addQuad(
+              cellIndex(ix, iy - 1, iz - 1), cellIndex(ix, iy, iz - 1),
+              cellIndex(ix, iy, iz), cellIndex(ix, iy - 1, iz),
+              !here
+            );
+          }
+          // Edge along y, counterclockwise seen from +y
+          if (here !== densities[ix + (iy + 1) * side + iz * layer] > 0) {
+            addQuad(
+              cellIndex(ix - 1, iy, iz - 1), cellIndex(ix - 1, iy, iz),
+              cellIndex(ix, iy, iz), cellIndex(ix, iy, iz - 1),
+              !here
+            );
+          }
+          // Edge along z, counterclockwise seen from +z
+          if (here !== densities[ix + iy * side + (iz + 1) * layer] > 0) {
+            addQuad(
+              cellIndex(ix - 1, iy - 1, iz), cellIndex(ix, iy - 1, iz),
+              cellIndex(ix, iy, iz), cellIndex(ix - 1, iy, iz),
+              !here
+            );
+          }
+        }
+      }
+    }
+    
+    return {
+      positions: new Float32Array(positions),
+      indices: new Uint32Array(indices)
+    };
+  }
+}
+
+// Smooth 0 to 1 ramp between edge0 and edge1
+function smoothstep(edge0, edge1, value) {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+// Colour of the water when seen from inside it
+const UNDERWATER_COLOR = 0x1a5a7a;
+
+// Switches the scene to thick blue fog and tints the view while the camera is
+// below the water surface (sea, lake or river), and back again when it comes up.
+// Call update(camera) once per frame, after the camera has moved.
+export class UnderwaterEffect {
+  constructor(scene, worldGenerator) {
+    this.scene = scene;
+    this.worldGenerator = worldGenerator;
+    this.underwater = false;
+    
+    this.fog = new THREE.FogExp2(UNDERWATER_COLOR, 0.06);
+    this.background = new THREE.Color(UNDERWATER_COLOR);
+    
+    // Fog and background to restore when the camera surfaces
+    this.surfaceFog = scene.fog;
+    this.surfaceBackground = scene.background;
+    
+    // Tint over the whole view
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'underwater-overlay';
+    this.overlay.style.position = 'fixed';
+    this.overlay.style.top = '0';
+    this.overlay.style.left = '0';
+    this.overlay.style.width = '100%';
+    this.overlay.style.height = '100%';
+    this.overlay.style.backgroundColor = 'rgba(20, 90, 130, 0.25)';
+    this.overlay.style.pointerEvents = 'none'; // Allow clicking through the tint
+    this.overlay.style.zIndex = '500'; // Below the controls overlay
+    this.overlay.style.display = 'none';
+    document.body.appendChild(this.overlay);
+  }
+  
+  // Check whether the camera is under water and switch modes if that changed
+  update(camera) {
+    const { x, y, z } = camera.position;
+    const waterLevel = this.worldGenerator.getWaterLevelAt(x, z);
+    const underwater = waterLevel !== null && y < waterLevel;
+    
+    if (underwater === this.underwater) return;
+    this.underwater = underwater;
+    
+    if (underwater) {
+      this.surfaceFog = this.scene.fog;
+      this.surfaceBackground = this.scene.background;
+      this.scene.fog = this.fog;
+      this.scene.background = this.background;
+    } else {
+      this.scene.fog = this.surfaceFog;
+      this.scene.background = this.surfaceBackground;
+    }
+    
+    this.overlay.style.display = underwater ? 'block' : 'none';
+  }
+  
+  // Remove the tint from the page
+  dispose() {
+    this.overlay.remove();
+  }
+}
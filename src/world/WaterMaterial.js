@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+
+const vertexShader = `
+  attribute float depth; // Water surface minus terrain height (negative just past the shore)
+  
+  uniform float time;
+  uniform float waveHeight;
+  
+  varying float vDepth;
+  varying vec3 vWorldPosition;
+  
+  #include <fog_pars_vertex>
+  
+  void main() {
+    vec3 displaced = position;
+    
+    // Waves die down in the shallows so the water doesn't climb up the shore
+    float amplitude = waveHeight * clamp(depth / 1.5, 0.0, 1.0);
+    displaced.y += amplitude * (
+      sin(position.x * 0.35 + time * 1.3) * 0.5 +
+      sin(position.z * 0.27 - time * 1.1) * 0.35 +
+      sin((position.x + position.z) * 0.6 + time * 2.1) * 0.15
+    );
+    
+    vDepth = depth;
+    vec4 worldPosition = modelMatrix * vec4(displaced, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+    
+    #include <fog_vertex>
+  }
+`;
+
+const fragmentShader = `
+  uniform float time;
+  uniform vec3 shallowColor;
+  uniform vec3 deepColor;
+  uniform vec3 foamColor;
+  uniform vec3 sunDirection;
+  uniform float foamDepth;
+  uniform float opacity;
+  
+  varying float vDepth;
+  varying vec3 vWorldPosition;
+  
+  #include <fog_pars_fragment>
+  
+  void main() {
+    // One normal per triangle, for the same low-poly look as the terrain
+    vec3 normal = normalize(cross(dFdx(vWorldPosition), dFdy(vWorldPosition)));
+    if (normal.y < 0.0) normal = -normal;
+    
+    // Darker where the water is deep
+    float deepness = clamp(vDepth / 4.0, 0.0, 1.0);
+    vec3 color = mix(shallowColor, deepColor, deepness);
+    
+    // Diffuse light and a highlight from the sun
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+    float diffuse = 0.55 + 0.45 * max(dot(normal, sunDirection), 0.0);
+    float specular = pow(max(dot(reflect(-sunDirection, normal), viewDirection), 0.0), 40.0) * 0.5;
+    color = color * diffuse + specular;
+    
+    // Foam where the water meets land, in bands that wash in and out
+    float shore = 1.0 - smoothstep(0.0, foamDepth, vDepth);
+    float bands = 0.5 + 0.5 * sin(vDepth * 12.0 - time * 2.0 + sin(vWorldPosition.x * 0.7 + vWorldPosition.z * 0.5));
+    float foam = clamp(shore * smoothstep(0.3, 0.7, bands + shore * 0.5), 0.0, 1.0);
+    color = mix(color, foamColor, foam);
+    
+    gl_FragColor = vec4(color, mix(opacity, 1.0, max(deepness * 0.3, foam)));
+    
+    #include <fog_fragment>
+  }
+`;
+
+// Animated water surface shared by every chunk. Waves are computed from world
+// positions, so neighbouring chunks line up. Needs a `depth` attribute on the
+// geometry (see TerrainChunk.generateWater); call update() once per frame.
+export class WaterMaterial extends THREE.ShaderMaterial {
+  constructor() {
+    super({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+          time: { value: 0 },
+          waveHeight: { value: 0.12 },
+          shallowColor: { value: new THREE.Color(0x3fb5d5) },
+          deepColor: { value: new THREE.Color(0x12407a) },
+          foamColor: { value: new THREE.Color(0xeef8ff) },
+          sunDirection: { value: new THREE.Vector3(50, 100, 50).normalize() },
+          foamDepth: { value: 0.35 },
+          opacity: { value: 0.7 }
+        }
+      ]),
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      side: THREE.DoubleSide, // Visible from below when the camera is underwater
+      fog: true
+    });
+  }
+  
+  // Advance the wave animation
+  update(time = performance.now() / 1000) {
+    this.uniforms.time.value = time;
+  }
+  
+  // Light the water from the same direction as the scene's sun
+  setSunDirection(direction) {
+    this.uniforms.sunDirection.value.copy(direction).normalize();
+  }
+}
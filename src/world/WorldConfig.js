@@ -0,0 +1,212 @@
+// Default values for every tunable world setting
+export const DEFAULT_WORLD_CONFIG = {
+  seed: null,              // null = pick a random seed when the config is created
+  renderDistance: 5,       // Load radius around the player, in chunks
+  unloadMargin: 1.5,       // Chunks unload this much further out than they load (hysteresis)
+  chunkBuildsPerFrame: 2,  // Max chunks turned into meshes per frame
+  lodDistance: 3,          // Chunks closer than this use full terrain detail, in chunks
+  maxLod: 3,               // Coarsest terrain level (each level halves the grid resolution)
+  objectDetailDistance: 2, // Objects in chunks closer than this are drawn in full detail, in chunks
+  impostorDistance: 3,     // Objects in chunks further than this are drawn as sprites, in chunks
+  objectFadeDistance: 6,   // Objects fade out over the chunk before this distance and aren't drawn past it
+  chunkSize: 32,           // World units per chunk side (also the vertex resolution)
+  landRatio: 0.9,          // Higher values = more land, less water (0.5 balanced, 1.0 all land)
+  waterLevel: 0.15,        // Height of the sea surface
+  biomeScale: 900,         // World units across a typical biome
+  biomeBlend: 0.005,       // Width of the blend at biome borders (larger = softer)
+  riverDensity: 0.35,      // Chance of a river starting in each 256x256 area of highland (0 = no rivers)
+  riverWidth: 4,           // Width of rivers near the sea (narrower near their source)
+  riverDepth: 1,           // Depth of river channels below the water surface
+  erosion: 0,              // 1 = erode the terrain (gullies, sediment, softer slopes); slower to generate
+  erosionStrength: 1,      // Amount of erosion when it is on (droplets and slope passes)
+  volumetric: 0,           // 1 = build nearby chunks from 3D density, with caves and overhangs
+  caveDensity: 0.5,        // Width of cave tunnels in volumetric worlds (0 = no caves)
+  treeDensity: 20,         // Objects per chunk
+  rockDensity: 10,
+  bushDensity: 15,
+  buildingDensity: 20,
+  apartmentDensity: 10,    // Lower density for larger buildings
+  megaRockDensity: 0.1,    // Chance per chunk (1 in ~10 chunks)
+};
+
+// Short URL parameter names accepted in addition to the full keys
+const URL_ALIASES = {
+  water: 'waterLevel',
+  land: 'landRatio',
+  chunk: 'chunkSize',
+  trees: 'treeDensity',
+  rocks: 'rockDensity',
+  bushes: 'bushDensity',
+  buildings: 'buildingDensity',
+  apartments: 'apartmentDensity',
+  megaRocks: 'megaRockDensity',
+};
+
+// Valid ranges for numeric settings
+const LIMITS = {
+  seed: [-Infinity, Infinity],
+  renderDistance: [1, 16],
+  unloadMargin: [0.5, 8],
+  chunkBuildsPerFrame: [1, 32],
+  lodDistance: [1, 16],
+  maxLod: [0, 8],
+  objectDetailDistance: [0, 32],
+  impostorDistance: [0, 32],
+  objectFadeDistance: [2, 32],
+  chunkSize: [4, 256],
+  landRatio: [0, 1],
+  waterLevel: [-50, 50],
+  biomeScale: [50, 100000],
+  biomeBlend: [0.001, 1],
+  riverDensity: [0, 1],
+  riverWidth: [0.5, 20],
+  riverDepth: [0.1, 10],
+  erosion: [0, 1],
+  erosionStrength: [0.1, 4],
+  volumetric: [0, 1],
+  caveDensity: [0, 1],
+  treeDensity: [0, 500],
+  rockDensity: [0, 500],
+  bushDensity: [0, 500],
+  buildingDensity: [0, 500],
+  apartmentDensity: [0, 500],
+  megaRockDensity: [0, 1],
+};
+
+// Settings that must be whole numbers
+const INTEGER_KEYS = new Set(['chunkSize', 'chunkBuildsPerFrame', 'maxLod', 'erosion', 'volumetric']);
+
+// World settings shared by WorldGenerator, TerrainChunk and ObjectPlacer.
+// Can be built from URL query parameters (?seed=1234&renderDistance=4&water=0.3)
+// or from a JSON file, so worlds can be tuned and shared without editing source.
+export class WorldConfig {
+  constructor(values = {}) {
+    Object.assign(this, DEFAULT_WORLD_CONFIG);
+    this.apply(values);
+    
+    // Resolve the seed now so the config always describes one concrete world
+    if (this.seed === null) {
+      this.seed = Math.floor(Math.random() * 10000);
+    }
+  }
+  
+  // Override settings from a plain object, validating every value
+  apply(values) {
+    if (!values || typeof values !== 'object') {
+      throw new Error(`WorldConfig: Expected an object of settings, got ${values}`);
+    }
+    
+    for (const [rawKey, rawValue] of Object.entries(values)) {
+      const key = URL_ALIASES[rawKey] || rawKey;
+      
+      if (!(key in DEFAULT_WORLD_CONFIG)) {
+        console.warn(`WorldConfig: Ignoring unknown setting "${rawKey}"`);
+        continue;
+      }
+      
+      if (key === 'seed' && rawValue === null) {
+        this.seed = null;
+        continue;
+      }
+      
+      this[key] = WorldConfig.validate(key, rawValue);
+    }
+    
+    WorldConfig.validateObjectDistances(this);
+    return this;
+  }
+  
+  // Check that the object levels of detail come in order, so every level
+  // before hidden is reached (see ObjectPlacer.getLodForDistance)
+  static validateObjectDistances({ objectDetailDistance, impostorDistance, objectFadeDistance }) {
+    if (objectDetailDistance > impostorDistance || impostorDistance >= objectFadeDistance) {
+      throw new Error(`WorldConfig: Expected objectDetailDistance <= impostorDistance < objectFadeDistance, got ${objectDetailDistance}, ${impostorDistance} and ${objectFadeDistance}`);
+    }
+  }
+  
+  // Check a single setting and convert it to a number
+  static validate(key, rawValue) {
+    // Number('') is 0, so a blank string is turned away here rather than
+    // passing as zero
+    const value = typeof rawValue === 'string' && rawValue.trim() !== '' ? Number(rawValue.trim()) : rawValue;
+    
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new Error(`WorldConfig: "${key}" must be a number, got ${rawValue}`);
+    }
+    
+    if (INTEGER_KEYS.has(key) && !Number.isInteger(value)) {
+      throw new Error(`WorldConfig: "${key}" must be a whole number, got ${rawValue}`);
+    }
+    
+    const [min, max] = LIMITS[key];
+    if (value < min || value > max) {
+      throw new Error(`WorldConfig: "${key}" must be between ${min} and ${max}, got ${value}`);
+    }
+    
+    return value;
+  }
+  
+  // Build a config from URL query parameters, e.g. "?seed=1234&renderDistance=4&water=0.3"
+  static fromURLParams(search) {
+    return new WorldConfig(WorldConfig.readURLParams(search));
+  }
+  
+  // Raw setting values from a query string
+  static readURLParams(search) {
+    const values = {};
+    
+    for (const [key, value] of new URLSearchParams(search)) {
+      // "config" points to a JSON file and is handled by load(); "save" names
+      // a saved game (see SaveSystem.loadGame)
+      if (key === 'config' || key === 'save') continue;
+      // An empty parameter (?seed=) counts as missing, so the default applies
+      if (value.trim() === '') continue;
+      values[key] = value;
+    }
+    
+    return values;
+  }
+  
+  // Build a config from a JSON string or an already parsed object
+  static fromJSON(json) {
+    const values = typeof json === 'string' ? JSON.parse(json) : json;
+    return new WorldConfig(values);
+  }
+  
+  // Load the config for the page: an optional JSON file (?config=worlds/island.json)
+  // with any other URL parameters applied on top of it
+  static async load(search) {
+    const configUrl = new URLSearchParams(search).get('config');
+    
+    let fileValues = {};
+    if (configUrl) {
+      const response = await fetch(configUrl);
+      if (!response.ok) {
+        throw new Error(`WorldConfig: Failed to load "${configUrl}" (${response.status})`);
+      }
+      fileValues = await response.json();
+    }
+    
+    return new WorldConfig({ ...fileValues, ...WorldConfig.readURLParams(search) });
+  }
+  
+  // Plain object with every setting, suitable for saving as a JSON file
+  toJSON() {
+    const json = {};
+    for (const key of Object.keys(DEFAULT_WORLD_CONFIG)) {
+      json[key] = this[key];
+    }
+    return json;
+  }
+  
+  // URL query string that reproduces this world
+  toURLParams() {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(DEFAULT_WORLD_CONFIG)) {
+      if (this[key] !== DEFAULT_WORLD_CONFIG[key]) {
+        params.set(key, String(this[key]));
+      }
+    }
+    return params.toString();
+  }
+}
@@ -1,29 +1,70 @@
 import * as THREE from 'three';
-import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
 import { TerrainChunk } from './TerrainChunk.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
 import { ObjectPlacer } from './ObjectPlacer.js';
+import { ChunkWorkerPool } from './ChunkWorkerPool.js';
+import { SeededRandom } from './SeededRandom.js';
+import { WaterMaterial } from './WaterMaterial.js';
+import { WorldConfig } from './WorldConfig.js';
+import { createDefaultAssets } from '../assets/DefaultAssets.js';
 
-const RENDER_DISTANCE = 5; // Increased from 3 to 5 for a larger visible world
+// Milliseconds per frame spent turning finished chunk data into meshes
+const CHUNK_BUILD_BUDGET_MS = 4;
+
+// How strongly chunks in front of the camera are preferred (0 = distance only)
+const VIEW_DIRECTION_WEIGHT = 0.5;
+
+// Chunk requests kept in flight per worker. More would lock in priorities
+// that are stale by the time a worker gets to them.
+const REQUESTS_PER_WORKER = 2;
+
+// Chunks only change level of detail once they are this far (in chunks) past the
+// edge of a ring, so standing on a ring border doesn't swap meshes back and forth
+const LOD_HYSTERESIS = 0.5;
+
+// Failed requests after which a chunk is no longer asked for, until the
+// player walks away from it and back
+const MAX_CHUNK_FAILURES = 3;
 
 export class WorldGenerator {
-  constructor(scene) {
+  constructor(scene, config = new WorldConfig(), assets = createDefaultAssets()) {
+    if (!(config instanceof WorldConfig)) {
+      throw new Error('WorldGenerator: config must be a WorldConfig instance');
+    }
+    
     this.scene = scene;
-    this.CHUNK_SIZE = 32; // Make CHUNK_SIZE a property of the class
+    this.config = config;
+    this.CHUNK_SIZE = config.chunkSize; // Make CHUNK_SIZE a property of the class
+    this.renderDistance = config.renderDistance; // Load radius, in chunks
+    this.unloadDistance = config.renderDistance + config.unloadMargin; // Unload radius, in chunks
+    this.chunkBuildsPerFrame = config.chunkBuildsPerFrame;
+    this.lodDistance = config.lodDistance; // Radius of the full-detail ring, in chunks
+    this.maxLod = this.getMaxLod(config);
     this.chunks = new Map(); // Store active chunks using Map for O(1) lookup
-    this.seed = Math.random() * 10000; // Random seed for our world
-    this.noise = new SimplexNoise(); // Noise generator for terrain
-    this.objectPlacer = new ObjectPlacer(this.scene, this.seed);
+    this.seed = config.seed; // The whole world is derived from this seed
+    this.assets = assets; // AssetRegistry with every type of object that can be placed
+    
+    // Single seeded random service - every subsystem gets its own fork of it,
+    // so the same seed always produces the same world
+    this.random = new SeededRandom(this.seed);
+    this.terrainGenerator = new TerrainGenerator(config); // Heights and colours
+    this.objectPlacer = new ObjectPlacer(this.scene, this.random.fork('objects'), config, assets);
+    this.waterMaterial = new WaterMaterial(); // Shared by the water of every chunk
     
-    // Create an initial terrain chunk at origin for spawn point finding
-    this.initialChunk = new TerrainChunk(0, 0, this.CHUNK_SIZE, this.noise, this.seed);
+    // Height fields, colours and placements are computed in Web Workers;
+    // the main thread only builds meshes from the results
+    this.workerPool = new ChunkWorkerPool(config, assets.getSpawnTables());
+    this.pendingChunks = new Set(); // Keys of chunks requested from the workers
+    this.pendingLods = new Map(); // Keys of loaded chunks -> level of detail requested for them
+    this.chunkFailures = new Map(); // Keys of chunks -> failed requests in a row
+    this.readyChunks = []; // Chunk data waiting to be turned into meshes
+    this.loadQueue = []; // Missing chunks and level of detail changes, most important first
+    this.maxPendingChunks = this.workerPool.concurrency * REQUESTS_PER_WORKER + this.chunkBuildsPerFrame;
   }
-
-  // Find a suitable spawn point on land, not water
+  
+  // Find a suitable spawn point on land, not in the sea, a lake or a river
   findSpawnPoint() {
-    // Define water level from our terrain settings
-    const waterLevel = this.initialChunk.waterLevel;
-    
-    // Try several positions near the origin until we find one above water
+    // Try several positions near the origin until we find a dry one
     const searchRadius = 50;
     const attempts = 20;
     
@@ -36,71 +77,485 @@ export class WorldGenerator {
       const z = Math.sin(angle) * distance;
       
       // Get height at this position
-      const height = this.initialChunk.generateHeight(x, z);
+      const height = this.getHeightAt(x, z);
       
-      // If it's above water level with some margin, it's suitable
-      if (height > waterLevel + 0.2) {
+      // If it's dry with some margin above any nearby water, it's suitable
+      if (this.getWaterLevelAt(x, z) === null && height > this.terrainGenerator.waterLevel + 0.2) {
         console.log(`Found suitable spawn point at (${x}, ${height}, ${z})`);
         return new THREE.Vector3(x, height, z);
       }
     }
     
-    // If all else fails, force a minimum height at origin
-    const originHeight = Math.max(this.initialChunk.generateHeight(0, 0), waterLevel + 0.5);
-    console.log(`Forced spawn point at (0, ${originHeight}, 0)`);
+    // If all else fails, start at the origin even if it's under water;
+    // the water and underwater effects are drawn for it like anywhere else
+    const originHeight = this.getHeightAt(0, 0);
+    console.log(`No dry spawn point found, spawning at (0, ${originHeight}, 0)`);
     return new THREE.Vector3(0, originHeight, 0);
   }
   
+  // Height of the terrain surface at a world position, interpolated across the
+  // triangles that are drawn there. Places without a loaded chunk are answered
+  // from the full-detail terrain, so this always returns a number.
+  getHeightAt(x, z) {
+    const chunk = this.getChunkAt(x, z);
+    if (chunk) {
+      return chunk.getHeightAt(x, z);
+    }
+    return this.terrainGenerator.getHeightAt(x, z);
+  }
+  
+  // Upward unit normal of the terrain triangle at a world position
+  getNormalAt(x, z, target = new THREE.Vector3()) {
+    const chunk = this.getChunkAt(x, z);
+    if (chunk) {
+      return chunk.getNormalAt(x, z, target);
+    }
+    return this.terrainGenerator.getNormalAt(x, z, target);
+  }
+  
+  // Height of the ground under a body with its feet at y. On a heightfield that
+  // is simply the terrain height; in volumetric worlds it is the highest floor
+  // at or below y, so inside a cave it is the cave floor, not the hill above.
+  // A height above y means y is inside the ground.
+  getFloorHeightAt(x, y, z) {
+    const volume = this.terrainGenerator.volume;
+    if (volume) {
+      return volume.getFloorHeight(x, y, z);
+    }
+    return this.getHeightAt(x, z);
+  }
+  
+  // Upward normal of the ground at a point on it (see getFloorHeightAt)
+  getFloorNormalAt(x, y, z, target = new THREE.Vector3()) {
+    const volume = this.terrainGenerator.volume;
+    if (volume) {
+      return volume.getNormalAt(x, y, z, target);
+    }
+    return this.getNormalAt(x, z, target);
+  }
+  
+  // Check if a point is inside the ground (below the surface, or inside the
+  // rock of a volumetric world)
+  isSolidAt(x, y, z) {
+    const volume = this.terrainGenerator.volume;
+    if (volume) {
+      return volume.isSolidAt(x, y, z);
+    }
+    return y < this.getHeightAt(x, z);
+  }
+  
+  // Raise (positive delta) or lower (negative delta) the terrain around a
+  // point, by delta in the middle and fading out at the radius. Loaded chunks
+  // that share any moved vertex are re-sampled and rebuilt, and objects on the
+  // moved ground go with it. The edit is kept after the chunks unload.
+  modifyTerrain(x, z, radius, delta) {
+    if (!(radius > 0) || !Number.isFinite(radius) || !Number.isFinite(delta)) {
+      throw new Error(`WorldGenerator: Invalid terrain edit (radius ${radius}, delta ${delta})`);
+    }
+    
+    const edits = this.terrainGenerator.edits;
+    const chunkKeys = this.getChunkKeysAround(x - radius, z - radius, x + radius, z + radius);
+    
+    // Remember where objects stand relative to the edits, to move them with the ground
+    const objects = chunkKeys.flatMap(key => this.objectPlacer.getObjectsInChunk(key));
+    const deltasBefore = objects.map(object => edits.getDeltaAt(object.position.x, object.position.z));
+    
+    const bounds = this.terrainGenerator.editTerrain(x, z, radius, delta);
+    if (!bounds) return;
+    
+    for (const key of chunkKeys) {
+      const chunk = this.chunks.get(key);
+      if (!chunk) continue;
+      
+      this.terrainGenerator.applyEdits(chunk.chunkX, chunk.chunkZ, chunk, bounds);
+      if (chunk.volume) {
+        chunk.refresh(this.terrainGenerator.generateVolume(chunk.chunkX, chunk.chunkZ));
+      } else {
+        chunk.refresh();
+      }
+    }
+    
+    objects.forEach((object, i) => {
+      const change = edits.getDeltaAt(object.position.x, object.position.z) - deltasBefore[i];
+      object.position.y += change;
+      
+      // Objects the player added are rebuilt from their placement when the chunk reloads
+      if (object.userData.addedPlacement) {
+        object.userData.addedPlacement.y += change;
+      }
+    });
+    this.objectPlacer.updateObjects(objects);
+  }
+  
+  // Keys of the chunks whose meshes use any terrain in a range of world
+  // positions: every chunk touching it, and in volumetric worlds the chunks
+  // one column further out, which sample past their edges
+  getChunkKeysAround(minX, minZ, maxX, maxZ) {
+    const margin = this.terrainGenerator.volume ? 1 : 0;
+    const keys = [];
+    
+    // Chunk n covers n * CHUNK_SIZE to (n + 1) * CHUNK_SIZE, borders included
+    const minChunkX = Math.ceil((minX - margin) / this.CHUNK_SIZE) - 1;
+    const minChunkZ = Math.ceil((minZ - margin) / this.CHUNK_SIZE) - 1;
+    const maxChunkX = Math.floor((maxX + margin) / this.CHUNK_SIZE);
+    const maxChunkZ = Math.floor((maxZ + margin) / this.CHUNK_SIZE);
+    
+    for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+      for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+        keys.push(`${chunkX},${chunkZ}`);
+      }
+    }
+    
+    return keys;
+  }
+  
+  // Bring chunk data from the workers, which only know the generated terrain,
+  // up to date with the terrain edits made so far
+  applyTerrainEdits(data) {
+    const { chunkX, chunkZ } = data;
+    const edits = this.terrainGenerator.edits;
+    
+    if (edits.hasEdits(chunkX, chunkZ)) {
+      this.terrainGenerator.applyEdits(chunkX, chunkZ, data);
+      
+      // Placements were planned on the unedited ground
+      if (data.placements) {
+        for (const placement of data.placements) {
+          placement.y += edits.getDeltaAt(placement.x, placement.z);
+        }
+      }
+    }
+    
+    // Volume meshes also sample the first column of each neighbour
+    if (data.volume) {
+      const size = this.CHUNK_SIZE;
+      const edited = this.getChunkKeysAround(chunkX * size, chunkZ * size, (chunkX + 1) * size, (chunkZ + 1) * size)
+        .some(key => edits.chunks.has(key));
+      if (edited) {
+        data.volume = this.terrainGenerator.generateVolume(chunkX, chunkZ);
+      }
+    }
+  }
+  
+  // Plain object with everything the player changed in the world (terrain
+  // edits and added or removed objects), for saving. The rest of the world
+  // comes from the config.
+  getSaveData() {
+    return {
+      terrain: this.terrainGenerator.edits.getSaveData(),
+      objects: this.objectPlacer.getSaveData()
+    };
+  }
+  
+  // Restore the changes from getSaveData. Has to happen before the first
+  // update, since chunks that are already loaded wouldn't show them.
+  restoreSaveData(data) {
+    if (this.chunks.size > 0 || this.pendingChunks.size > 0) {
+      throw new Error('WorldGenerator: Saved changes must be restored before any chunk is loaded');
+    }
+    
+    this.terrainGenerator.edits.restoreSaveData(data.terrain || {});
+    this.objectPlacer.restoreSaveData(data.objects || {});
+  }
+  
+  // Height of the water surface (sea, lake or river) at a world position,
+  // or null where the ground is dry
+  getWaterLevelAt(x, z) {
+    return this.terrainGenerator.getWaterAt(x, z, this.getHeightAt(x, z));
+  }
+  
+  // Name of the biome at a world position (e.g. 'forest' or 'desert')
+  getBiomeAt(x, z) {
+    return this.terrainGenerator.biomes.getBiome(x, z).name;
+  }
+  
+  // Loaded chunk containing a world position, if any
+  getChunkAt(x, z) {
+    const chunkX = Math.floor(x / this.CHUNK_SIZE);
+    const chunkZ = Math.floor(z / this.CHUNK_SIZE);
+    return this.chunks.get(`${chunkX},${chunkZ}`) || null;
+  }
+  
   // Provide access to the object placer for other systems
   getObjectPlacer() {
     return this.objectPlacer;
   }
-
-  // Update world based on player position
-  update(playerPosition) {
-    // Get the chunk coordinates the player is in
-    const currentChunkX = Math.floor(playerPosition.x / this.CHUNK_SIZE);
-    const currentChunkZ = Math.floor(playerPosition.z / this.CHUNK_SIZE);
-    
-    // Generate or update chunks within render distance
-    for (let x = -RENDER_DISTANCE; x <= RENDER_DISTANCE; x++) {
-      for (let z = -RENDER_DISTANCE; z <= RENDER_DISTANCE; z++) {
-        const chunkX = currentChunkX + x;
-        const chunkZ = currentChunkZ + z;
-        const chunkKey = `${chunkX},${chunkZ}`;
-        
-        // If chunk doesn't exist yet, create it
-        if (!this.chunks.has(chunkKey)) {
-          this.generateChunk(chunkX, chunkZ, chunkKey);
-        }
-      }
+  
+  // Coarsest level of detail the chunk size allows: the vertex spacing (2^lod)
+  // has to divide the chunk size
+  getMaxLod(config) {
+    let maxLod = 0;
+    while (maxLod < config.maxLod && config.chunkSize % (2 ** (maxLod + 1)) === 0) {
+      maxLod++;
     }
+    return maxLod;
+  }
+  
+  // Level of detail for a chunk at a distance (in chunks) from the player.
+  // Level 0 covers the lodDistance radius and each further ring is twice as wide
+  // as the one inside it.
+  getLodForDistance(distance) {
+    if (distance < this.lodDistance) return 0;
+    
+    const lod = Math.floor(Math.log2(distance / this.lodDistance)) + 1;
+    return Math.min(lod, this.maxLod);
+  }
+  
+  // Level of detail a chunk should have, keeping its current level while it is
+  // within LOD_HYSTERESIS of that level's ring
+  getChunkLod(distance, currentLod = null) {
+    const lod = this.getLodForDistance(distance);
+    if (currentLod === null || currentLod === lod) return lod;
+    
+    const nearestLod = this.getLodForDistance(Math.max(0, distance - LOD_HYSTERESIS));
+    const farthestLod = this.getLodForDistance(distance + LOD_HYSTERESIS);
+    if (currentLod >= nearestLod && currentLod <= farthestLod) return currentLod;
     
-    // Remove chunks that are too far away
+    return lod;
+  }
+  
+  // Update world based on player position and, optionally, the camera's view direction
+  update(playerPosition, viewDirection = null) {
+    // Player position in chunk units
+    const playerChunkX = playerPosition.x / this.CHUNK_SIZE;
+    const playerChunkZ = playerPosition.z / this.CHUNK_SIZE;
+    const view = this.getHorizontalDirection(viewDirection);
+    
+    // Animate the water
+    this.waterMaterial.update();
+    
+    // Queue missing chunks and level of detail changes by priority,
+    // and request the most important ones
+    this.updateLoadQueue(playerChunkX, playerChunkZ, view);
+    this.requestQueuedChunks();
+    
+    // Unload chunks past the unload radius. It is larger than the load radius,
+    // so walking back and forth across a border doesn't regenerate chunks.
     this.chunks.forEach((chunk, key) => {
-      const [x, z] = key.split(',').map(Number);
-      
-      if (
-        Math.abs(x - currentChunkX) > RENDER_DISTANCE ||
-        Math.abs(z - currentChunkZ) > RENDER_DISTANCE
-      ) {
+      if (this.getChunkDistance(key, playerChunkX, playerChunkZ) > this.unloadDistance) {
         // Remove chunk from scene
         this.scene.remove(chunk.mesh);
+        chunk.dispose();
         this.objectPlacer.removeObjectsInChunk(key);
         this.chunks.delete(key);
+        
+        if (this.pendingLods.has(key)) {
+          this.pendingLods.delete(key);
+          this.workerPool.cancel(key);
+        }
+      }
+    });
+    
+    // Forget requests for chunks we walked away from before they arrived
+    this.pendingChunks.forEach(key => {
+      if (this.getChunkDistance(key, playerChunkX, playerChunkZ) > this.unloadDistance) {
+        this.pendingChunks.delete(key);
+        this.workerPool.cancel(key);
       }
     });
+    
+    // Give chunks that kept failing another chance once the player comes back
+    this.chunkFailures.forEach((failures, key) => {
+      if (this.getChunkDistance(key, playerChunkX, playerChunkZ) > this.unloadDistance) {
+        this.chunkFailures.delete(key);
+      }
+    });
+    
+    // Full, simplified or impostor objects depending on their distance
+    this.objectPlacer.updateLods(playerChunkX, playerChunkZ);
+    
+    // Build meshes for finished chunks, within this frame's budget
+    this.buildReadyChunks(playerChunkX, playerChunkZ, view);
+  }
+  
+  // Normalised (x, z) direction, or null if there is none
+  getHorizontalDirection(direction) {
+    if (!direction) return null;
+    
+    const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+    if (length < 1e-6) return null;
+    
+    return { x: direction.x / length, z: direction.z / length };
   }
   
-  // Generate a new terrain chunk
-  generateChunk(chunkX, chunkZ, chunkKey) {
+  // Distance in chunks from the player to a chunk's center
+  getChunkDistance(key, playerChunkX, playerChunkZ) {
+    const [x, z] = key.split(',').map(Number);
+    const dx = x + 0.5 - playerChunkX;
+    const dz = z + 0.5 - playerChunkZ;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+  
+  // Lower is more important: near chunks first, and chunks in front of the
+  // camera before chunks behind it at the same distance
+  getChunkPriority(chunkX, chunkZ, playerChunkX, playerChunkZ, view) {
+    const dx = chunkX + 0.5 - playerChunkX;
+    const dz = chunkZ + 0.5 - playerChunkZ;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    // The chunks around the player are needed whichever way they look
+    if (!view || distance < 1) return distance;
+    
+    const facing = (dx * view.x + dz * view.z) / distance; // -1 behind, 1 ahead
+    return distance * (1 - VIEW_DIRECTION_WEIGHT * facing);
+  }
+  
+  // Rebuild the list of missing chunks inside the (circular) load radius,
+  // plus loaded chunks whose ring has changed since they were built
+  updateLoadQueue(playerChunkX, playerChunkZ, view) {
+    const centerX = Math.floor(playerChunkX);
+    const centerZ = Math.floor(playerChunkZ);
+    // Chunks stay loaded out to the unload radius, and keep following the rings there
+    const radius = Math.ceil(this.unloadDistance);
+    
+    this.loadQueue.length = 0;
+    
+    for (let x = -radius; x <= radius; x++) {
+      for (let z = -radius; z <= radius; z++) {
+        const chunkX = centerX + x;
+        const chunkZ = centerZ + z;
+        const chunkKey = `${chunkX},${chunkZ}`;
+        
+        if (this.pendingChunks.has(chunkKey) || this.pendingLods.has(chunkKey)) continue;
+        if (this.chunkFailures.get(chunkKey) >= MAX_CHUNK_FAILURES) continue;
+        
+        const distance = this.getChunkDistance(chunkKey, playerChunkX, playerChunkZ);
+        const chunk = this.chunks.get(chunkKey);
+        let lod;
+        
+        if (chunk) {
+          lod = this.getChunkLod(distance, chunk.lod);
+          if (lod === chunk.lod) continue;
+        } else {
+          if (distance > this.renderDistance) continue;
+          lod = this.getChunkLod(distance);
+        }
+        
+        this.loadQueue.push({
+          chunkX,
+          chunkZ,
+          chunkKey,
+          lod,
+          swap: Boolean(chunk), // Only the terrain mesh is replaced
+          priority: this.getChunkPriority(chunkX, chunkZ, playerChunkX, playerChunkZ, view)
+        });
+      }
+    }
+    
+    this.loadQueue.sort((a, b) => a.priority - b.priority);
+  }
+  
+  // Request queued chunks while there is room in the pipeline
+  requestQueuedChunks() {
+    for (const entry of this.loadQueue) {
+      if (this.pendingChunks.size + this.pendingLods.size >= this.maxPendingChunks) break;
+      
+      if (entry.swap) {
+        this.requestLodSwap(entry.chunkX, entry.chunkZ, entry.chunkKey, entry.lod);
+      } else {
+        this.requestChunk(entry.chunkX, entry.chunkZ, entry.chunkKey, entry.lod);
+      }
+    }
+  }
+  
+  // Ask the worker pool for a chunk's data
+  requestChunk(chunkX, chunkZ, chunkKey, lod = 0) {
+    this.pendingChunks.add(chunkKey);
+    
+    this.workerPool.request(chunkX, chunkZ, lod)
+      .then(data => {
+        // Null means the request was cancelled
+        if (data && this.pendingChunks.has(chunkKey)) {
+          this.readyChunks.push(data);
+        }
+      })
+      .catch(error => {
+        console.error(`WorldGenerator: Failed to generate chunk ${chunkKey}:`, error);
+        // Allow the chunk to be requested again, a few times
+        this.pendingChunks.delete(chunkKey);
+        this.countChunkFailure(chunkKey);
+      });
+  }
+  
+  // Ask the worker pool for a loaded chunk's terrain at another level of detail.
+  // Objects stay where they are, so placements aren't planned again.
+  requestLodSwap(chunkX, chunkZ, chunkKey, lod) {
+    this.pendingLods.set(chunkKey, lod);
+    
+    this.workerPool.request(chunkX, chunkZ, lod, false)
+      .then(data => {
+        // Null means the request was cancelled
+        if (data && this.pendingLods.get(chunkKey) === lod) {
+          this.readyChunks.push(data);
+        }
+      })
+      .catch(error => {
+        console.error(`WorldGenerator: Failed to generate chunk ${chunkKey} at level of detail ${lod}:`, error);
+        this.pendingLods.delete(chunkKey);
+        this.countChunkFailure(chunkKey);
+      });
+  }
+  
+  // Note a failed request, and give up on the chunk after MAX_CHUNK_FAILURES
+  countChunkFailure(chunkKey) {
+    const failures = (this.chunkFailures.get(chunkKey) || 0) + 1;
+    this.chunkFailures.set(chunkKey, failures);
+    
+    if (failures === MAX_CHUNK_FAILURES) {
+      console.warn(`WorldGenerator: Giving up on chunk ${chunkKey} after ${failures} failed requests`);
+    }
+  }
+  
+  // Turn finished chunk data into meshes, most important first. Stops after
+  // chunkBuildsPerFrame chunks or once the frame budget is used, but always
+  // builds at least one so loading makes progress.
+  buildReadyChunks(playerChunkX, playerChunkZ, view) {
+    if (this.readyChunks.length === 0) return;
+    
+    const startTime = performance.now();
+    let built = 0;
+    
+    this.readyChunks.sort((a, b) =>
+      this.getChunkPriority(a.chunkX, a.chunkZ, playerChunkX, playerChunkZ, view) -
+      this.getChunkPriority(b.chunkX, b.chunkZ, playerChunkX, playerChunkZ, view)
+    );
+    
+    while (this.readyChunks.length > 0) {
+      const data = this.readyChunks.shift();
+      const chunkKey = `${data.chunkX},${data.chunkZ}`;
+      
+      if (data.placements === null) {
+        // Skip swaps for chunks that were unloaded while waiting
+        if (this.pendingLods.get(chunkKey) !== data.lod) continue;
+        this.pendingLods.delete(chunkKey);
+        
+        this.swapChunkLod(data, chunkKey);
+      } else {
+        // Skip chunks that went out of range while waiting
+        if (!this.pendingChunks.has(chunkKey)) continue;
+        this.pendingChunks.delete(chunkKey);
+        
+        this.generateChunk(data, chunkKey);
+      }
+      this.chunkFailures.delete(chunkKey);
+      built++;
+      
+      if (built >= this.chunkBuildsPerFrame) break;
+      if (performance.now() - startTime > CHUNK_BUILD_BUDGET_MS) break;
+    }
+  }
+  
+  // Build a terrain chunk from generated chunk data
+  generateChunk(data, chunkKey) {
+    this.applyTerrainEdits(data);
+    
     // Create terrain for this chunk
     const chunk = new TerrainChunk(
-      chunkX, 
-      chunkZ, 
-      this.CHUNK_SIZE, 
-      this.noise, 
-      this.seed
+      data.chunkX, 
+      data.chunkZ, 
+      this.terrainGenerator,
+      data,
+      this.waterMaterial
     );
     
     // Add chunk mesh to scene
@@ -110,6 +565,28 @@ export class WorldGenerator {
     this.chunks.set(chunkKey, chunk);
     
     // Place objects on this chunk
-    this.objectPlacer.placeObjectsInChunk(chunk);
+    this.objectPlacer.placeObjectsInChunk(chunk, data.placements);
+  }
+  
+  // Replace a loaded chunk's terrain with the same chunk at another level of detail
+  swapChunkLod(data, chunkKey) {
+    const oldChunk = this.chunks.get(chunkKey);
+    if (!oldChunk) return;
+    
+    this.applyTerrainEdits(data);
+    
+    const chunk = new TerrainChunk(
+      data.chunkX, 
+      data.chunkZ, 
+      this.terrainGenerator,
+      data,
+      this.waterMaterial
+    );
+    
+    this.scene.remove(oldChunk.mesh);
+    oldChunk.dispose();
+    
+    this.scene.add(chunk.mesh);
+    this.chunks.set(chunkKey, chunk);
   }
-} 
\ No newline at end of file
+}